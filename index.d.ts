@@ -0,0 +1,1393 @@
+import { EventEmitter } from "events";
+import { Readable } from "stream";
+import { AxiosAdapter, AxiosInstance, AxiosProxyConfig } from "axios";
+
+/** 'ronin:' or '0x' formatted address */
+export type Address = string;
+export type Erc = 20 | 721 | "20" | "721";
+export type Currency =
+  | "CNY"
+  | "EUR"
+  | "GBP"
+  | "JPY"
+  | "KRW"
+  | "MYR"
+  | "PHP"
+  | "SGD"
+  | "USD"
+  | "VND";
+/** currency codes are accepted in any case */
+export type CurrencyInput = Currency | Lowercase<Currency>;
+export type Amount = string | number | bigint;
+
+export interface Page<T> {
+  total: number;
+  results: T[];
+}
+
+// explorer responses, modeled on the sample responses
+
+export interface Account {
+  address: string;
+  balance: string;
+  timestamp: number | null;
+  transactionCount: string;
+  blockNumber: number;
+  contractCreator: string | null;
+  atTx: string | null;
+  atBlock: number | null;
+  totalNfts: number | null;
+  erc20Networth: number | null;
+  /** only with the formatted option */
+  formattedBalance?: string;
+}
+
+export interface Transaction {
+  hash: string;
+  block_hash: string;
+  block_number: number;
+  from: string;
+  to: string | null;
+  gas: string;
+  gas_price: string;
+  input: string;
+  nonce: number;
+  tx_index: number;
+  value: string;
+  timestamp: number;
+  gas_used: string;
+  cumulative_gas_used: string;
+  contract_address: string | null;
+  status: number;
+  confirmed: boolean;
+  published: number;
+  /** only with the formatted option */
+  formatted_value?: string;
+}
+
+export interface Log {
+  address: string;
+  topics: string[];
+  data: string;
+  logIndex?: number | string | null;
+  [key: string]: unknown;
+}
+
+export interface TransactionDetails {
+  hash: string;
+  from: string;
+  to: string | null;
+  gas: string;
+  input: string;
+  nonce: number;
+  value: string;
+  timestamp: number | null;
+  status: number | null;
+  confirmed: boolean;
+  published: number | null;
+  logs: Log[];
+  blockHash: string | null;
+  blockNumber: number | null;
+  gasPrice: string;
+  txIndex: number | null;
+  gasUsed: string | null;
+  cumulativeGasUsed: string | null;
+  contractAddress: string | null;
+  /** only with the formatted option */
+  formattedValue?: string;
+}
+
+export interface ConfirmedTransaction extends TransactionDetails {
+  success: boolean;
+  confirmations: number;
+}
+
+export interface TokenTransfer {
+  from: string;
+  to: string;
+  value: string;
+  log_index: string;
+  tx_hash: string;
+  block_number: number;
+  timestamp: number;
+  token_address: string;
+  token_decimals: number;
+  token_name: string;
+  token_symbol: string;
+  token_type: "ERC20" | "ERC721";
+  /** only with the formatted option, ERC20 only */
+  formatted_value?: string;
+}
+
+export interface LatestTokenTransfer {
+  from: string;
+  to: string;
+  value: string;
+  timestamp: number;
+  logIndex: string;
+  txHash: string;
+  blockNumber: number;
+  tokenAddress: string;
+  tokenDecimals: number;
+  tokenName: string;
+  tokenSymbol: string;
+  tokenType: "ERC20" | "ERC721";
+  /** only with the formatted option, ERC20 only */
+  formattedValue?: string;
+}
+
+export interface Block {
+  number: number;
+  hash: string;
+  parent_hash: string;
+  nonce: string;
+  transaction_root: string;
+  state_root: string;
+  receipts_root: string;
+  miner: string;
+  difficulty: string;
+  extra_data: string;
+  size: number;
+  gas_limit: string;
+  gas_used: string;
+  timestamp: number;
+  transactions: number;
+  confirmed: boolean;
+  published: number;
+}
+
+export interface BlockDetails {
+  number: number;
+  hash: string;
+  nonce: string;
+  miner: string;
+  difficulty: string;
+  size: number;
+  timestamp: number;
+  transactions: number;
+  confirmed: boolean;
+  published: number | null;
+  parentHash: string;
+  transactionRoot: string;
+  stateRoot: string;
+  receiptsRoot: string;
+  extraData: string;
+  gasLimit: string;
+  gasUsed: string;
+}
+
+export interface TokenInfo {
+  address: string;
+  transfers: number;
+  holders: number;
+  symbol: string;
+  name: string;
+  decimals: number;
+  tokenType: "ERC20" | "ERC721";
+  totalSupply: string;
+  atBlock: number;
+  /** only with the formatted option, ERC20 only */
+  formattedTotalSupply?: string;
+}
+
+export interface TransactionVolumes {
+  overviewData: {
+    blockTime: number;
+    totalAddresses: number;
+    totalBlocks: number;
+    totalTxs: number;
+  };
+  txChartData: {
+    txCount: number[];
+    label: string[];
+  };
+}
+
+export interface DecoderTransaction {
+  contractAddress: string;
+  callData: string;
+  logs: Log[];
+}
+
+/** keyed by lower case token, e.g. { eth: { usd: 3000, ... }, slp: { ... } } */
+export type ExchangeRates = Record<string, Record<string, number>>;
+
+// normalized models, see the normalized option
+
+export interface TransactionModel {
+  hash: string;
+  blockHash: string | null;
+  blockNumber: number | null;
+  txIndex: number | null;
+  from: string | null;
+  to: string | null;
+  value: bigint | null;
+  gas: bigint | null;
+  gasPrice: bigint | null;
+  gasUsed: bigint | null;
+  cumulativeGasUsed: bigint | null;
+  input: string | null;
+  nonce: number | null;
+  status: number | null;
+  confirmed: boolean;
+  timestamp: Date | null;
+  published: Date | null;
+  contractAddress: string | null;
+  formattedValue?: string;
+  logs?: Log[];
+}
+
+export interface TransferModel {
+  txHash: string;
+  logIndex: number | null;
+  blockNumber: number | null;
+  timestamp: Date | null;
+  from: string | null;
+  to: string | null;
+  value: bigint | null;
+  tokenAddress: string | null;
+  tokenDecimals: number | null;
+  tokenName: string | null;
+  tokenSymbol: string | null;
+  tokenType: "ERC20" | "ERC721" | null;
+  formattedValue?: string;
+}
+
+export interface BlockModel {
+  number: number;
+  hash: string;
+  parentHash: string | null;
+  nonce: string | null;
+  miner: string | null;
+  difficulty: bigint | null;
+  size: number | null;
+  gasLimit: bigint | null;
+  gasUsed: bigint | null;
+  transactionCount: number | null;
+  transactionRoot: string | null;
+  stateRoot: string | null;
+  receiptsRoot: string | null;
+  extraData: string | null;
+  confirmed: boolean;
+  timestamp: Date | null;
+  published: Date | null;
+}
+
+export interface AccountModel {
+  address: string;
+  balance: bigint | null;
+  transactionCount: number | null;
+  blockNumber: number | null;
+  timestamp: Date | null;
+  contractCreator: string | null;
+  atTx: string | null;
+  atBlock: number | null;
+  totalNfts: number | null;
+  erc20Networth: number | null;
+  formattedBalance?: string;
+}
+
+export interface TokenModel {
+  address: string;
+  name: string | null;
+  symbol: string | null;
+  decimals: number | null;
+  tokenType: "ERC20" | "ERC721" | null;
+  totalSupply: bigint | null;
+  holders: number | null;
+  transfers: number | null;
+  atBlock: number | null;
+  formattedTotalSupply?: string;
+}
+
+// decoder
+
+export interface AbiParam {
+  type: string;
+  name: string;
+  indexed?: boolean;
+  components?: AbiParam[];
+}
+
+export interface AbiFragment {
+  type: "function" | "event" | string;
+  name: string;
+  inputs: AbiParam[];
+  outputs?: AbiParam[];
+  anonymous?: boolean;
+}
+
+export type Abi = Array<string | AbiFragment>;
+
+export interface ContractInfo {
+  address: string;
+  name: string | null;
+  symbol: string | null;
+}
+
+export interface KnownContract {
+  address: string;
+  name: string;
+  /** ERC20 tokens only */
+  decimals?: number;
+  abi: Abi;
+}
+
+export interface DecodedCall {
+  method: string;
+  signature: string;
+  selector: string;
+  args: Record<string, unknown>;
+}
+
+export interface DecodedLog {
+  address: string;
+  contract: ContractInfo | null;
+  event: string;
+  signature: string;
+  args: Record<string, unknown>;
+  logIndex: number | string | null;
+}
+
+export interface DecodedTransaction {
+  hash: string | null;
+  contract: ContractInfo | null;
+  method: string | null;
+  signature: string | null;
+  selector: string | null;
+  args: Record<string, unknown> | null;
+  events: DecodedLog[];
+}
+
+export class TransactionDecoder {
+  constructor(options?: { contracts?: Record<string, KnownContract> });
+  registerAbi(
+    address: Address,
+    abi: Abi,
+    info?: { name?: string; symbol?: string }
+  ): this;
+  getContract(address: Address): ContractInfo | null;
+  decodeInput(to: Address, input: string): DecodedCall | null;
+  decodeLog(log: Log): DecodedLog | null;
+  decodeTransaction(
+    transaction:
+      | Transaction
+      | TransactionDetails
+      | TransactionModel
+      | DecoderTransaction
+  ): DecodedTransaction;
+}
+
+export const KNOWN_CONTRACTS: Record<string, KnownContract>;
+
+// request layer
+
+export interface RetryOptions {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  retryStatuses?: number[];
+  onRetry?: (info: {
+    url: string;
+    method: string;
+    attempt: number;
+    retries: number;
+    delay: number;
+    error: RoninApiError;
+  }) => void;
+}
+
+export interface RateLimitOptions {
+  requestsPerSecond?: number;
+  burst?: number;
+  maxConcurrency?: number;
+}
+
+export class RateLimiter {
+  constructor(options?: RateLimitOptions);
+  schedule<T>(task: () => Promise<T>): Promise<T>;
+  readonly pending: number;
+}
+
+export interface CacheStore {
+  get(key: string): unknown | Promise<unknown>;
+  /** ttl is in ms, undefined for entries that never expire */
+  set(key: string, value: unknown, ttl: number | undefined): unknown;
+  delete?(key: string): unknown;
+  clear?(): unknown;
+}
+
+export class MemoryCache implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  get(key: string): unknown;
+  set(key: string, value: unknown, ttl?: number): void;
+  delete(key: string): void;
+  clear(): void;
+  readonly size: number;
+}
+
+export interface ResponseCacheOptions {
+  store?: CacheStore;
+  /** ms per endpoint method name, merged over the defaults */
+  ttl?: Record<string, number>;
+  coalesce?: boolean;
+  maxEntries?: number;
+}
+
+export class ResponseCache {
+  constructor(options?: ResponseCacheOptions);
+  store: CacheStore;
+  ttl: Record<string, number>;
+  wrap<T>(
+    endpoint: string,
+    args: unknown[],
+    fetch: () => Promise<T>,
+    isImmutable?: (value: T) => boolean
+  ): Promise<T>;
+  clear(): unknown;
+}
+
+// json-rpc
+
+export interface RpcLog extends Log {
+  address: string;
+  logIndex: number | null;
+  blockNumber: number | null;
+  blockHash: string | null;
+  transactionHash: string | null;
+  transactionIndex: number | null;
+  removed: boolean;
+}
+
+export interface TransactionReceipt {
+  transactionHash: string;
+  blockHash: string;
+  blockNumber: number;
+  txIndex: number;
+  from: string | null;
+  to: string | null;
+  status: number;
+  gasUsed: string;
+  cumulativeGasUsed: string;
+  contractAddress: string | null;
+  logs: RpcLog[];
+}
+
+export type BlockTag = number | string;
+
+export interface LogFilter {
+  address?: Address | Address[];
+  topics?: Array<string | string[] | null>;
+  fromBlock?: BlockTag;
+  toBlock?: BlockTag;
+  blockHash?: string;
+}
+
+export class RpcProvider {
+  constructor(
+    client: RoninClient,
+    url: string,
+    options?: { confirmationBlocks?: number }
+  );
+  url: string;
+  confirmationBlocks: number;
+  call<T = unknown>(method: string, params?: unknown[]): Promise<T>;
+  getBlockNumber(): Promise<number>;
+  getAccount(roninAddress: Address): Promise<Account>;
+  getBlock(blockNumber?: BlockTag): Promise<BlockDetails>;
+  getTransaction(txHash: string): Promise<TransactionDetails>;
+  getTransactionReceipt(txHash: string): Promise<TransactionReceipt>;
+  getLogs(filter?: LogFilter): Promise<RpcLog[]>;
+}
+
+// watchers
+
+export interface ChangeMeta {
+  reorg: boolean;
+  confirmation: boolean;
+}
+
+export class Watcher extends EventEmitter {
+  client: RoninClient;
+  interval: number;
+  running: boolean;
+  /** error of the last poll, null once a poll succeeds */
+  lastError: Error | null;
+  start(): this;
+  stop(error?: Error): this;
+  poll(): Promise<void>;
+}
+
+export interface BlockWatcherOptions {
+  interval?: number;
+  size?: number;
+  maxBackfill?: number;
+  fromBlock?: number | null;
+  transactions?: boolean;
+}
+
+export class BlockWatcher extends Watcher {
+  constructor(client: RoninClient, options?: BlockWatcherOptions);
+  lastNumber: number | null;
+  on(event: "block", listener: (block: Block, meta: ChangeMeta) => void): this;
+  on(
+    event: "transaction",
+    listener: (transaction: Transaction, meta: ChangeMeta) => void
+  ): this;
+  on(event: "gap", listener: (gap: { from: number; to: number }) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: "stop", listener: (error?: Error) => void): this;
+}
+
+export interface AddressWatcherOptions {
+  interval?: number;
+  size?: number;
+  maxBackfill?: number;
+  ercs?: Erc[];
+}
+
+export class AddressWatcher extends Watcher {
+  constructor(
+    client: RoninClient,
+    roninAddress: Address,
+    options?: AddressWatcherOptions
+  );
+  address: string;
+  on(
+    event: "transaction",
+    listener: (transaction: Transaction, meta: ChangeMeta) => void
+  ): this;
+  on(
+    event: "transfer",
+    listener: (transfer: TokenTransfer, meta: ChangeMeta & { erc: Erc }) => void
+  ): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: "stop", listener: (error?: Error) => void): this;
+}
+
+// valuation
+
+export interface ValuedToken {
+  address: string | null;
+  symbol: string;
+  name: string;
+  decimals: number;
+  rate: number | null;
+  value: number | null;
+}
+
+export interface TransferValuation {
+  /** set when valued for an owner address, total is then received minus sent */
+  address?: string;
+  currency: Currency;
+  total: number;
+  tokens: Array<ValuedToken & { amount: string; formattedAmount: string }>;
+  unpriced: string[];
+  transfers: Array<
+    (TokenTransfer | LatestTokenTransfer) & {
+      fiatValue: number | null;
+    }
+  >;
+}
+
+export interface ValueTransfersOptions {
+  /** owner of the transfers, amounts it received count positive and amounts it sent negative */
+  address?: Address;
+}
+
+export interface Portfolio {
+  address: string;
+  currency: Currency;
+  total: number;
+  tokens: Array<ValuedToken & { balance: string; formattedBalance: string }>;
+  unpriced: string[];
+}
+
+export interface FeeAmount {
+  /** wei */
+  fee: string;
+  formattedFee: string;
+  value: number | null;
+}
+
+export interface DailyFees extends FeeAmount {
+  /** UTC date, e.g. '2022-01-21' */
+  date: string;
+  transactions: number;
+  free: number;
+  paid: number;
+  failed: number;
+}
+
+export interface FeeSummary extends FeeAmount {
+  address: string;
+  currency: Currency;
+  rate: number | null;
+  transactions: number;
+  free: number;
+  paid: number;
+  failed: number;
+  wasted: FeeAmount & { gasUsed: string };
+  daily: DailyFees[];
+}
+
+export interface FeeSummaryOptions {
+  /** block number, date or date string of the oldest transaction */
+  since?: number | string | Date | null;
+  currency?: CurrencyInput;
+  pageSize?: number;
+  maxItems?: number;
+}
+
+export interface NftToken {
+  tokenId: string;
+  txHash: string;
+  blockNumber: number;
+  timestamp: number;
+}
+
+export interface NftCollection {
+  address: string;
+  symbol: string;
+  name: string | null;
+  count: number;
+  tokens: NftToken[];
+}
+
+export interface NftHoldings {
+  address: string;
+  count: number;
+  totalNfts: number | null;
+  consistent: boolean | null;
+  collections: NftCollection[];
+}
+
+// marketplace sales
+
+export type SaleCollection = "AXIE" | "LAND" | "ITEM";
+
+export interface Sale {
+  txHash: string;
+  blockNumber: number;
+  /** seconds */
+  timestamp: number | null;
+  contract: string;
+  collection: string | null;
+  tokenId: string;
+  seller: string;
+  buyer: string;
+  /** wei, the seller proceeds if fee is null */
+  priceWeth: string;
+  formattedPrice: string;
+  fee: string | null;
+  formattedFee: string | null;
+}
+
+export interface CollectionSaleStats {
+  address: string;
+  collection: string | null;
+  sales: number;
+  volume: string;
+  formattedVolume: string;
+  median: string;
+  formattedMedian: string;
+  /** lowest sale price, not the lowest listing */
+  floor: string;
+  formattedFloor: string;
+}
+
+export interface CollectionStats {
+  fromBlock: number;
+  toBlock: number;
+  sales: number;
+  collections: CollectionSaleStats[];
+}
+
+export interface CollectionSalesOptions {
+  /** symbols or contract addresses, AXIE, LAND and ITEM by default */
+  contracts?: Array<SaleCollection | string>;
+  blocks?: number;
+  fromBlock?: number | null;
+  toBlock?: number | null;
+}
+
+export const SALE_COLLECTIONS: SaleCollection[];
+export function matchSales(
+  transfers: Array<TokenTransfer | LatestTokenTransfer | TransferModel>,
+  options?: {
+    contracts?: Array<SaleCollection | string>;
+    address?: Address | null;
+    transactions?: Array<Transaction | TransactionDetails | TransactionModel>;
+    decoder?: TransactionDecoder;
+  }
+): Sale[];
+export function salesStats(sales: Sale[]): CollectionSaleStats[];
+
+// katana
+
+export interface KatanaToken {
+  /** null for RON */
+  address: string | null;
+  symbol: string | null;
+  decimals: number | null;
+}
+
+export interface SwapLeg {
+  tokenIn: KatanaToken;
+  amountIn: string;
+  formattedAmountIn: string | null;
+  tokenOut: KatanaToken;
+  amountOut: string;
+  formattedAmountOut: string | null;
+  /** tokenOut per tokenIn */
+  price: number | null;
+}
+
+export interface KatanaActivity {
+  txHash: string;
+  blockNumber: number | null;
+  /** seconds */
+  timestamp: number | null;
+  trader: string;
+  method: string | null;
+  type: "swap" | "addLiquidity" | "removeLiquidity" | null;
+  swap: (SwapLeg & { legs: Array<SwapLeg & { pair: string }> }) | null;
+  liquidity: {
+    pair: string;
+    amountLp: string;
+    formattedAmountLp: string;
+    tokens: Array<{
+      token: KatanaToken;
+      amount: string;
+      formattedAmount: string | null;
+    }>;
+  } | null;
+}
+
+export function isKatanaTransaction(
+  transaction: Transaction | TransactionDetails | TransactionModel
+): boolean;
+export function parseKatanaTransaction(
+  transaction: TransactionDetails | TransactionModel | Transaction,
+  options?: {
+    transfers?: Array<TokenTransfer | LatestTokenTransfer | TransferModel>;
+    decoder?: TransactionDecoder;
+  }
+): KatanaActivity;
+
+// scholars
+
+export interface SlpClaim {
+  txHash: string;
+  blockNumber: number;
+  /** seconds */
+  timestamp: number | null;
+  amount: string;
+}
+
+export interface SlpPayout {
+  /** 'manager', 'scholar' or the address of the ratios key */
+  recipient: string;
+  address: string;
+  ratio: number;
+  expected: string;
+  actual: string;
+  difference: string;
+  ok: boolean;
+}
+
+export interface RevenueShare {
+  scholar: string;
+  claimed: string;
+  claims: number;
+  discrepancies: number;
+  totals: SlpPayout[];
+  periods: Array<{
+    claim: SlpClaim;
+    payouts: SlpPayout[];
+    discrepancy: boolean;
+  }>;
+}
+
+export interface SlpClaimOptions {
+  /** inclusive block numbers, dates or date strings */
+  from?: number | string | Date | null;
+  to?: number | string | Date | null;
+}
+
+export interface RevenueShareOptions extends SlpClaimOptions {
+  managerAddress?: Address;
+  /** e.g. { manager: 0.6, scholar: 0.4 }, other keys are addresses */
+  ratios: Record<string, number>;
+  scholarPayoutAddress?: Address | null;
+  /** SLP difference that still counts as paid, default 1 */
+  tolerance?: number;
+}
+
+export function slpClaims(
+  address: Address,
+  transfers: Array<TokenTransfer | LatestTokenTransfer | TransferModel>,
+  options?: SlpClaimOptions
+): SlpClaim[];
+export function revenueShare(
+  scholarAddress: Address,
+  transfers: Array<TokenTransfer | LatestTokenTransfer | TransferModel>,
+  options: RevenueShareOptions
+): RevenueShare;
+
+// validators
+
+export interface ExtraData {
+  hex: string;
+  bytes: number[];
+  vanity: string;
+  /** e.g. 'geth/go1.15.5/linux' */
+  client: string | null;
+  version: string | null;
+  /** validator addresses, checkpoint blocks only */
+  validators: string[];
+  seal: string | null;
+}
+
+export interface ValidatorStat {
+  address: string;
+  blocks: number;
+  share: number;
+  gasUsed: string;
+  transactions: number;
+  outOfTurn: number;
+  missedTurns: number;
+  lastBlock: number | null;
+  client: string | null;
+  version: string | null;
+}
+
+export interface ValidatorStats {
+  fromBlock: number | null;
+  toBlock: number | null;
+  blocks: number;
+  validatorSet: string[];
+  validators: ValidatorStat[];
+}
+
+export interface ValidatorStatsOptions {
+  blocks?: number | Array<Block | BlockDetails | BlockModel>;
+  fromBlock?: number | null;
+  toBlock?: number | null;
+  concurrency?: number;
+}
+
+export function parseExtraData(
+  value: string | number[] | Uint8Array
+): ExtraData;
+export function validatorStats(
+  blocks: Array<Block | BlockDetails | BlockModel>
+): ValidatorStats;
+
+// history export
+
+export interface ExportRow {
+  block_number: number;
+  log_index: number | null;
+  timestamp: string | null;
+  kind: "transaction" | "erc20" | "erc721";
+  tx_hash: string;
+  from: string | null;
+  to: string | null;
+  direction: "in" | "out" | "self" | null;
+  status: number | null;
+  token_type: string | null;
+  token_symbol: string | null;
+  token_address: string | null;
+  token_id: string | null;
+  value: string;
+  formatted_value: string;
+  fiat_value: number | null;
+  currency: Currency | null;
+}
+
+export type ExportCheckpoint = Pick<
+  ExportRow,
+  "block_number" | "log_index" | "kind" | "tx_hash"
+>;
+
+export interface ExportOptions {
+  format?: "csv" | "jsonl";
+  from?: number | Date | string | null;
+  to?: number | Date | string | null;
+  currency?: CurrencyInput | null;
+  checkpoint?: ExportCheckpoint | null;
+  header?: boolean;
+}
+
+// fixtures
+
+export interface FixtureOptions {
+  mode?: "record" | "replay";
+  dir: string;
+  /** sends the requests in record mode, the axios default adapter by default */
+  adapter?: AxiosAdapter;
+}
+
+export function createFixtureAdapter(options: FixtureOptions): AxiosAdapter;
+
+// client
+
+export interface PaginationOptions {
+  from?: number;
+  pageSize?: number;
+  maxItems?: number;
+}
+
+export interface TokenPaginationOptions extends PaginationOptions {
+  erc?: Erc;
+}
+
+export interface BatchProgress<T> {
+  done: number;
+  total: number;
+  key: string;
+  result: Result<T>;
+}
+
+export interface BatchOptions<T> {
+  concurrency?: number;
+  onProgress?: ((progress: BatchProgress<T>) => void) | null;
+}
+
+export interface WaitForTransactionOptions {
+  timeout?: number;
+  interval?: number;
+  confirmations?: number;
+}
+
+export interface ClientOptions {
+  explorerUrl?: string;
+  decoderUrl?: string;
+  exchangeUrl?: string;
+  rpcUrl?: string;
+  backend?: "explorer" | "rpc";
+  confirmationBlocks?: number;
+  timeout?: number;
+  headers?: Record<string, string>;
+  adapter?: AxiosAdapter;
+  fixtures?: FixtureOptions;
+  proxy?: AxiosProxyConfig | false;
+  http?: AxiosInstance;
+  buildId?: string;
+  retry?: RetryOptions | false;
+  rateLimit?: RateLimitOptions | RateLimiter;
+  cache?: boolean | ResponseCacheOptions | ResponseCache;
+  decoder?: TransactionDecoder;
+  formatted?: boolean;
+  /** responses use the *Model types when enabled, the declared return types describe the raw responses */
+  normalized?: boolean;
+  validate?: boolean;
+}
+
+export const DEFAULT_OPTIONS: Required<
+  Pick<
+    ClientOptions,
+    | "explorerUrl"
+    | "decoderUrl"
+    | "exchangeUrl"
+    | "rpcUrl"
+    | "backend"
+    | "confirmationBlocks"
+    | "timeout"
+    | "formatted"
+    | "normalized"
+    | "validate"
+  >
+>;
+
+export class RoninClient {
+  constructor(options?: ClientOptions);
+  explorerUrl: string;
+  decoderUrl: string;
+  exchangeUrl: string;
+  http: AxiosInstance;
+  buildId: string | null;
+  limiter: RateLimiter;
+  cache: ResponseCache | null;
+  decoder: TransactionDecoder;
+  rpc: RpcProvider;
+  backend: "explorer" | "rpc";
+  formatted: boolean;
+  normalized: boolean;
+  validate: boolean;
+
+  resolveBuildId(refresh?: boolean): Promise<string>;
+  explorerGetAccount(roninAddress: Address): Promise<Account>;
+  explorerGetTransactions(
+    roninAddress: Address,
+    from?: number,
+    size?: number
+  ): Promise<Page<Transaction>>;
+  explorerDecodeTransactionActions(
+    transactions: DecoderTransaction[]
+  ): Promise<unknown>;
+  decodeTransaction(
+    transaction:
+      | Transaction
+      | TransactionDetails
+      | TransactionModel
+      | DecoderTransaction
+  ): DecodedTransaction;
+  explorerGetERCTransfersByRoninAddress(
+    roninAddress: Address,
+    ercSuffix?: Erc,
+    from?: number,
+    size?: number
+  ): Promise<Page<TokenTransfer>>;
+  iterateTransactions(
+    roninAddress: Address,
+    options?: PaginationOptions
+  ): AsyncGenerator<Transaction>;
+  iterateTokenTransfers(
+    roninAddress: Address,
+    options?: TokenPaginationOptions
+  ): AsyncGenerator<TokenTransfer>;
+  getAllTransactions(
+    roninAddress: Address,
+    options?: PaginationOptions
+  ): Promise<Transaction[]>;
+  getAllTokenTransfers(
+    roninAddress: Address,
+    options?: TokenPaginationOptions
+  ): Promise<TokenTransfer[]>;
+  getAccounts(
+    roninAddresses: Address[],
+    options?: BatchOptions<Account>
+  ): Promise<Map<string, Result<Account>>>;
+  getTransfersForAddresses(
+    roninAddresses: Address[],
+    options?: TokenPaginationOptions & BatchOptions<TokenTransfer[]>
+  ): Promise<Map<string, Result<TokenTransfer[]>>>;
+  valueTransfers(
+    transfers: Array<TokenTransfer | LatestTokenTransfer | TransferModel>,
+    currency: CurrencyInput,
+    options?: ValueTransfersOptions
+  ): Promise<TransferValuation>;
+  getPortfolio(
+    roninAddress: Address,
+    currency: CurrencyInput,
+    options?: { maxItems?: number }
+  ): Promise<Portfolio>;
+  getFeeSummary(
+    roninAddress: Address,
+    options?: FeeSummaryOptions
+  ): Promise<FeeSummary>;
+  getNftHoldings(
+    roninAddress: Address,
+    options?: { contract?: string }
+  ): Promise<NftHoldings>;
+  getSales(
+    roninAddress: Address,
+    options?: { contract?: SaleCollection | string }
+  ): Promise<Sale[]>;
+  getCollectionSales(options?: CollectionSalesOptions): Promise<Sale[]>;
+  getCollectionStats(
+    options?: CollectionSalesOptions
+  ): Promise<CollectionStats>;
+  parseKatanaTx(txHash: string): Promise<KatanaActivity>;
+  getSwaps(
+    roninAddress: Address,
+    options?: PaginationOptions & { concurrency?: number }
+  ): Promise<KatanaActivity[]>;
+  getSlpClaims(
+    roninAddress: Address,
+    options?: SlpClaimOptions & Omit<PaginationOptions, "from">
+  ): Promise<SlpClaim[]>;
+  computeRevenueShare(
+    scholarAddress: Address,
+    options: RevenueShareOptions & Omit<PaginationOptions, "from">
+  ): Promise<RevenueShare>;
+  exportAddressHistory(
+    roninAddress: Address,
+    options?: ExportOptions
+  ): Readable;
+  watchBlocks(options?: BlockWatcherOptions): BlockWatcher;
+  watchAddress(
+    roninAddress: Address,
+    options?: AddressWatcherOptions
+  ): AddressWatcher;
+  explorerGetLatestBlocks(size?: number): Promise<Page<Block>>;
+  explorerGetLatestTransactions(size?: number): Promise<Page<Transaction>>;
+  explorerGet14DayTransactionVolumes(): Promise<TransactionVolumes>;
+  explorerGetERC20Tokens(): Promise<TokenInfo[]>;
+  explorerGetERC20Transfers(): Promise<LatestTokenTransfer[]>;
+  explorerGetERC721Tokens(): Promise<TokenInfo[]>;
+  explorerGetERC721Transfers(): Promise<LatestTokenTransfer[]>;
+  explorerGetTransactionDetails(txHash: string): Promise<TransactionDetails>;
+  waitForTransaction(
+    txHash: string,
+    options?: WaitForTransactionOptions
+  ): Promise<ConfirmedTransaction>;
+  explorerGetBlockDetails(blockNumber: number): Promise<BlockDetails>;
+  getValidatorStats(options?: ValidatorStatsOptions): Promise<ValidatorStats>;
+  exchangeGetRates(): Promise<ExchangeRates>;
+}
+
+export function createClient(options?: ClientOptions): RoninClient;
+
+// errors
+
+export interface ErrorDetails {
+  url?: string;
+  status?: number;
+  body?: unknown;
+  cause?: unknown;
+}
+
+export class RoninApiError extends Error {
+  constructor(message: string, details?: ErrorDetails);
+  url?: string;
+  status?: number;
+  body?: unknown;
+  cause?: unknown;
+}
+
+export class InvalidAddressError extends RoninApiError {
+  constructor(address: unknown, reason?: string);
+  address: unknown;
+}
+
+export class NotFoundError extends RoninApiError {}
+
+export class RateLimitError extends RoninApiError {
+  /** ms from the Retry-After header */
+  retryAfter?: number;
+}
+
+export class HttpError extends RoninApiError {
+  /** ms from the Retry-After header, e.g. of a 503 response */
+  retryAfter?: number;
+}
+
+export class UpstreamSchemaError extends RoninApiError {
+  /** endpoint method name, set by response validation */
+  endpoint?: string;
+  /** path of the missing or mismatched field, e.g. 'results[0].block_number' */
+  field?: string;
+}
+
+export class NetworkError extends RoninApiError {}
+
+export class TransactionFailedError extends RoninApiError {
+  constructor(transaction: ConfirmedTransaction);
+  hash: string;
+  transaction: ConfirmedTransaction;
+}
+
+export class TimeoutError extends RoninApiError {}
+
+export class RpcError extends RoninApiError {
+  /** JSON-RPC error code */
+  code?: number;
+}
+
+export class FixtureNotFoundError extends RoninApiError {
+  /** method, url and body the fixture was looked up by */
+  key: string;
+  file: string;
+}
+
+export type Result<T> =
+  | { ok: true; data: T }
+  | { ok: false; error: RoninApiError | Error };
+
+export function toResult<T>(promise: Promise<T>): Promise<Result<T>>;
+
+// helpers
+
+export function isAddressValid(address: unknown): boolean;
+export function isChecksumValid(address: unknown): boolean;
+export function isSameAddress(a: unknown, b: unknown): boolean;
+export function toHexAddress(address: Address): string;
+export function toRoninAddress(address: Address): string;
+export function toChecksumAddress(
+  address: Address,
+  prefix?: "0x" | "ronin:"
+): string;
+
+export function toBigInt(value: Amount): bigint;
+export function formatUnits(value: Amount, decimals?: number): string;
+export function parseUnits(amount: string | number, decimals?: number): bigint;
+
+export const SUPPORTED_CURRENCIES: Currency[];
+export function getRate(
+  rates: ExchangeRates,
+  symbol: string,
+  currency: CurrencyInput
+): number | null;
+
+export type FeeTransaction =
+  | Transaction
+  | TransactionDetails
+  | TransactionModel;
+export function transactionFee(transaction: FeeTransaction): bigint;
+export function isFreeTransaction(transaction: FeeTransaction): boolean;
+export function feeSummary(
+  address: Address,
+  transactions: FeeTransaction[],
+  currency: CurrencyInput,
+  rates: ExchangeRates,
+  options?: { since?: number | string | Date | null }
+): FeeSummary;
+
+export function normalizeTransaction(
+  raw: Transaction | TransactionDetails
+): TransactionModel;
+export function normalizeTransfer(
+  raw: TokenTransfer | LatestTokenTransfer
+): TransferModel;
+export function normalizeBlock(raw: Block | BlockDetails): BlockModel;
+export function normalizeAccount(raw: Account): AccountModel;
+export function normalizeToken(raw: TokenInfo): TokenModel;
+
+export type SchemaType =
+  | string
+  | SchemaType[]
+  | { [field: string]: SchemaType };
+export const SCHEMAS: Record<string, SchemaType>;
+export function validateResponse<T>(endpoint: string, value: T): T;
+
+export const EXPORT_COLUMNS: Array<keyof ExportRow>;
+export function readCheckpoint(
+  content: string,
+  format?: "csv" | "jsonl"
+): ExportCheckpoint | null;
+
+// default client functions
+
+export function explorerGetAccount(roninAddress: Address): Promise<Account>;
+export function explorerGetTransactions(
+  roninAddress: Address,
+  from?: number,
+  size?: number
+): Promise<Page<Transaction>>;
+export function explorerDecodeTransactionActions(
+  transactions: DecoderTransaction[]
+): Promise<unknown>;
+export function decodeTransaction(
+  transaction:
+    | Transaction
+    | TransactionDetails
+    | TransactionModel
+    | DecoderTransaction
+): DecodedTransaction;
+export function registerAbi(
+  address: Address,
+  abi: Abi,
+  info?: { name?: string; symbol?: string }
+): void;
+export function explorerGetERCTransfersByRoninAddress(
+  roninAddress: Address,
+  ercSuffix?: Erc,
+  from?: number,
+  size?: number
+): Promise<Page<TokenTransfer>>;
+export function iterateTransactions(
+  roninAddress: Address,
+  options?: PaginationOptions
+): AsyncGenerator<Transaction>;
+export function iterateTokenTransfers(
+  roninAddress: Address,
+  options?: TokenPaginationOptions
+): AsyncGenerator<TokenTransfer>;
+export function getAllTransactions(
+  roninAddress: Address,
+  options?: PaginationOptions
+): Promise<Transaction[]>;
+export function getAllTokenTransfers(
+  roninAddress: Address,
+  options?: TokenPaginationOptions
+): Promise<TokenTransfer[]>;
+export function getAccounts(
+  roninAddresses: Address[],
+  options?: BatchOptions<Account>
+): Promise<Map<string, Result<Account>>>;
+export function getTransfersForAddresses(
+  roninAddresses: Address[],
+  options?: TokenPaginationOptions & BatchOptions<TokenTransfer[]>
+): Promise<Map<string, Result<TokenTransfer[]>>>;
+export function valueTransfers(
+  transfers: Array<TokenTransfer | LatestTokenTransfer | TransferModel>,
+  currency: CurrencyInput,
+  options?: ValueTransfersOptions
+): Promise<TransferValuation>;
+export function getPortfolio(
+  roninAddress: Address,
+  currency: CurrencyInput,
+  options?: { maxItems?: number }
+): Promise<Portfolio>;
+export function getFeeSummary(
+  roninAddress: Address,
+  options?: FeeSummaryOptions
+): Promise<FeeSummary>;
+export function getNftHoldings(
+  roninAddress: Address,
+  options?: { contract?: string }
+): Promise<NftHoldings>;
+export function getSales(
+  roninAddress: Address,
+  options?: { contract?: SaleCollection | string }
+): Promise<Sale[]>;
+export function getCollectionSales(
+  options?: CollectionSalesOptions
+): Promise<Sale[]>;
+export function getCollectionStats(
+  options?: CollectionSalesOptions
+): Promise<CollectionStats>;
+export function parseKatanaTx(txHash: string): Promise<KatanaActivity>;
+export function getSwaps(
+  roninAddress: Address,
+  options?: PaginationOptions & { concurrency?: number }
+): Promise<KatanaActivity[]>;
+export function getSlpClaims(
+  roninAddress: Address,
+  options?: SlpClaimOptions & Omit<PaginationOptions, "from">
+): Promise<SlpClaim[]>;
+export function computeRevenueShare(
+  scholarAddress: Address,
+  options: RevenueShareOptions & Omit<PaginationOptions, "from">
+): Promise<RevenueShare>;
+export function exportAddressHistory(
+  roninAddress: Address,
+  options?: ExportOptions
+): Readable;
+export function watchBlocks(options?: BlockWatcherOptions): BlockWatcher;
+export function watchAddress(
+  roninAddress: Address,
+  options?: AddressWatcherOptions
+): AddressWatcher;
+export function explorerGetLatestBlocks(size?: number): Promise<Page<Block>>;
+export function explorerGetLatestTransactions(
+  size?: number
+): Promise<Page<Transaction>>;
+export function explorerGet14DayTransactionVolumes(): Promise<TransactionVolumes>;
+export function explorerGetERC20Tokens(): Promise<TokenInfo[]>;
+export function explorerGetERC20Transfers(): Promise<LatestTokenTransfer[]>;
+export function explorerGetERC721Tokens(): Promise<TokenInfo[]>;
+export function explorerGetERC721Transfers(): Promise<LatestTokenTransfer[]>;
+export function explorerGetTransactionDetails(
+  txHash: string
+): Promise<TransactionDetails>;
+export function waitForTransaction(
+  txHash: string,
+  options?: WaitForTransactionOptions
+): Promise<ConfirmedTransaction>;
+export function rpcGetTransactionReceipt(
+  txHash: string
+): Promise<TransactionReceipt>;
+export function rpcGetLogs(filter?: LogFilter): Promise<RpcLog[]>;
+export function explorerGetBlockDetails(
+  blockNumber: number
+): Promise<BlockDetails>;
+export function getValidatorStats(
+  options?: ValidatorStatsOptions
+): Promise<ValidatorStats>;
+export function exchangeGetRates(): Promise<ExchangeRates>;
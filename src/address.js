@@ -0,0 +1,127 @@
+const { keccak256 } = require("js-sha3");
+const { InvalidAddressError } = require("./errors");
+
+const RONIN_PREFIX = "ronin:";
+const HEX_PREFIX = "0x";
+const ADDRESS_BODY = /^[0-9a-fA-F]{40}$/;
+
+function splitAddress(address) {
+  if (typeof address !== "string") {
+    return null;
+  }
+  let trimmed = address.trim();
+  let prefix = trimmed.slice(0, RONIN_PREFIX.length).toLowerCase();
+  if (prefix === RONIN_PREFIX) {
+    return trimmed.slice(RONIN_PREFIX.length);
+  }
+  if (trimmed.slice(0, HEX_PREFIX.length).toLowerCase() === HEX_PREFIX) {
+    return trimmed.slice(HEX_PREFIX.length);
+  }
+  return null;
+}
+
+function checksumBody(body) {
+  let lower = body.toLowerCase();
+  let hash = keccak256(lower);
+  let result = "";
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+function isChecksumValid(address) {
+  /**
+   * Checks the EIP-55 mixed case checksum of an address
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @since      10/19/2026
+   * @return {Boolean} Returns true if the checksum matches.
+   */
+  let body = splitAddress(address);
+  return !!body && ADDRESS_BODY.test(body) && checksumBody(body) === body;
+}
+
+function isAddressValid(address) {
+  /**
+   * Checks if an address is a valid 'ronin:' or '0x' address
+   * All lower or all upper case addresses are accepted as is, mixed case ones must match their EIP-55 checksum
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @since      10/19/2026
+   * @return {Boolean} Returns true if the address is valid.
+   */
+  let body = splitAddress(address);
+  if (!body || !ADDRESS_BODY.test(body)) {
+    return false;
+  }
+  if (body === body.toLowerCase() || body === body.toUpperCase()) {
+    return true;
+  }
+  return checksumBody(body) === body;
+}
+
+function parseAddress(address) {
+  let body = splitAddress(address);
+  if (!body || !ADDRESS_BODY.test(body)) {
+    throw new InvalidAddressError(address);
+  }
+  if (!isAddressValid(address)) {
+    throw new InvalidAddressError(address, "Invalid address checksum");
+  }
+  return body.toLowerCase();
+}
+
+function toHexAddress(address) {
+  /**
+   * Converts an address to lower case '0x' format
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @since      10/19/2026
+   * @return {String} Returns '0x' address, throws InvalidAddressError if invalid.
+   */
+  return HEX_PREFIX + parseAddress(address);
+}
+
+function toRoninAddress(address) {
+  /**
+   * Converts an address to lower case 'ronin:' format
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @since      10/19/2026
+   * @return {String} Returns 'ronin:' address, throws InvalidAddressError if invalid.
+   */
+  return RONIN_PREFIX + parseAddress(address);
+}
+
+function toChecksumAddress(address, prefix = HEX_PREFIX) {
+  /**
+   * Converts an address to EIP-55 mixed case checksum format
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @param {String} prefix - Either '0x' or 'ronin:'
+   * @since      10/19/2026
+   * @return {String} Returns checksummed address, throws InvalidAddressError if invalid.
+   */
+  return prefix + checksumBody(parseAddress(address));
+}
+
+function isSameAddress(a, b) {
+  /**
+   * Compares two addresses regardless of prefix and case
+   * @param {String} a - 'ronin:' or '0x' formatted address
+   * @param {String} b - 'ronin:' or '0x' formatted address
+   * @since      10/19/2026
+   * @return {Boolean} Returns true if both are valid and point to the same account.
+   */
+  return (
+    isAddressValid(a) &&
+    isAddressValid(b) &&
+    parseAddress(a) === parseAddress(b)
+  );
+}
+
+module.exports = {
+  RONIN_PREFIX,
+  isAddressValid,
+  isChecksumValid,
+  isSameAddress,
+  toHexAddress,
+  toRoninAddress,
+  toChecksumAddress,
+};
@@ -0,0 +1,47 @@
+const { RateLimiter } = require("./limiter");
+const { toResult } = require("./errors");
+
+// addresses queried at the same time, the rateLimit option of the client still applies to every request
+const DEFAULT_CONCURRENCY = 4;
+
+async function settleAll(
+  keys,
+  worker,
+  { concurrency = DEFAULT_CONCURRENCY, onProgress = null } = {}
+) {
+  /**
+   * Runs worker for every key with bounded concurrency, failures are kept per key instead of failing the batch
+   * @param {Array} keys - e.g. addresses, duplicates are queried once
+   * @param {Function} worker - key => Promise
+   * @param {Object} options - { concurrency: 4, onProgress: null } onProgress is called with { done, total, key, result } after every key
+   * @since      10/19/2026
+   * @return {Map} Returns key => { ok: true, data } or { ok: false, error }, in the order of keys.
+   */
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError(
+      `concurrency must be a positive integer: ${concurrency}`
+    );
+  }
+  let unique = [...new Set(keys)];
+  let limiter = new RateLimiter({ maxConcurrency: concurrency });
+  let results = new Map(unique.map((key) => [key, null]));
+  let done = 0;
+  await Promise.all(
+    unique.map((key) =>
+      limiter.schedule(async () => {
+        let result = await toResult(Promise.resolve().then(() => worker(key)));
+        results.set(key, result);
+        done++;
+        if (onProgress) {
+          onProgress({ done, total: unique.length, key, result });
+        }
+      })
+    )
+  );
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  settleAll,
+};
@@ -0,0 +1,44 @@
+const { UpstreamSchemaError } = require("./errors");
+
+const NEXT_DATA_SCRIPT =
+  /<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i;
+const BUILD_ID_PROPERTY = /"buildId"\s*:\s*"([^"]+)"/;
+
+function parseBuildId(html, url) {
+  /**
+   * Reads the Next.js buildId from the explorer page html
+   * @param {String} html - html of any explorer page
+   * @param {String} url - requested url, used in the error
+   * @since      10/19/2026
+   * @return {String} Returns buildId, throws UpstreamSchemaError if the page does not contain one.
+   */
+  if (typeof html !== "string") {
+    throw new UpstreamSchemaError(
+      "Unable to resolve explorer buildId: page is not html",
+      { url, body: html, field: "buildId" }
+    );
+  }
+  let script = html.match(NEXT_DATA_SCRIPT);
+  if (script) {
+    try {
+      let nextData = JSON.parse(script[1]);
+      if (nextData?.buildId) {
+        return nextData.buildId;
+      }
+    } catch (e) {
+      // fall through to the plain text search below
+    }
+  }
+  let property = html.match(BUILD_ID_PROPERTY);
+  if (property) {
+    return property[1];
+  }
+  throw new UpstreamSchemaError(
+    "Unable to resolve explorer buildId: __NEXT_DATA__ not found",
+    { url, body: html, field: "buildId" }
+  );
+}
+
+module.exports = {
+  parseBuildId,
+};
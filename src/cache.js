@@ -0,0 +1,171 @@
+const { isAddressValid, toHexAddress } = require("./address");
+
+const MINUTE = 60 * 1000;
+
+// ms, 0 disables caching of the endpoint, confirmed blocks and transactions are always cached forever
+// ttl passed to the store for entries that never expire, e.g. a Redis SET without EX
+const NO_EXPIRY = undefined;
+const DEFAULT_TTL = {
+  explorerGetAccount: 0,
+  explorerGetTransactions: 0,
+  explorerDecodeTransactionActions: 0,
+  explorerGetERCTransfersByRoninAddress: 0,
+  explorerGetLatestBlocks: 0,
+  explorerGetLatestTransactions: 0,
+  explorerGet14DayTransactionVolumes: 10 * MINUTE,
+  explorerGetERC20Tokens: 10 * MINUTE,
+  explorerGetERC20Transfers: 0,
+  explorerGetERC721Tokens: 10 * MINUTE,
+  explorerGetERC721Transfers: 0,
+  explorerGetTransactionDetails: 0,
+  explorerGetBlockDetails: 0,
+  exchangeGetRates: MINUTE,
+};
+
+function cacheKey(endpoint, args) {
+  /**
+   * Builds the cache key of an endpoint call
+   * Address arguments are keyed in lowercase 0x form, so ronin:, 0x and checksummed spellings share one entry
+   * @param {String} endpoint - endpoint method name
+   * @param {Array} args - endpoint arguments
+   * @since      10/19/2026
+   * @return {String} Returns the key.
+   */
+  let keyArgs = args.map((arg) =>
+    typeof arg === "string" && isAddressValid(arg) ? toHexAddress(arg) : arg
+  );
+  return `${endpoint}:${JSON.stringify(keyArgs)}`;
+}
+
+function copy(value) {
+  // deep copy of a response, so callers can not change what later callers get
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value && typeof value === "object") {
+    let result = {};
+    for (let key of Object.keys(value)) {
+      result[key] = copy(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+class MemoryCache {
+  constructor({ maxEntries = 1000 } = {}) {
+    /**
+     * In-memory least recently used cache, the default store of ResponseCache
+     * Any object with the same get/set/delete/clear methods, sync or async, can be used as a store instead
+     * @param {Object} options - { maxEntries: 1000 }
+     * @since      10/19/2026
+     */
+    this.maxEntries = maxEntries;
+    this._entries = new Map();
+  }
+
+  get(key) {
+    let entry = this._entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this._entries.delete(key);
+      return undefined;
+    }
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttl = NO_EXPIRY) {
+    let expiresAt = ttl === NO_EXPIRY ? Infinity : Date.now() + ttl;
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+}
+
+class ResponseCache {
+  constructor({ store, ttl = {}, coalesce = true, maxEntries } = {}) {
+    /**
+     * Caches endpoint responses with per-endpoint TTLs and coalesces concurrent identical calls
+     * @param {Object} options - Cache options, all optional:
+        {
+            store: new MemoryCache(), // { get(key), set(key, value, ttlMs), delete(key), clear() }, may be async, ttlMs is undefined for entries that never expire
+            ttl: {}, // per endpoint ms overrides of DEFAULT_TTL, e.g. { exchangeGetRates: 30000 }
+            coalesce: true, // share one in-flight request between concurrent identical calls
+            maxEntries: 1000 // size of the default MemoryCache
+        }
+     * @since      10/19/2026
+     */
+    this.store = store || new MemoryCache({ maxEntries });
+    this.ttl = { ...DEFAULT_TTL, ...ttl };
+    this.coalesce = coalesce;
+    this._inflight = new Map();
+  }
+
+  async wrap(endpoint, args, fetch, isImmutable = () => false) {
+    /**
+     * Returns the cached response for endpoint and args, or fetches and caches it
+     * @param {String} endpoint - endpoint method name, selects the TTL
+     * @param {Array} args - endpoint arguments, part of the cache key
+     * @param {Function} fetch - () => Promise of the response
+     * @param {Function} isImmutable - response => true if it can be cached forever
+     * @since      10/19/2026
+     * @return {any} Returns a copy of the response, changing it does not change the cached value.
+     */
+    let key = cacheKey(endpoint, args);
+    let cached = await this.store.get(key);
+    if (cached !== undefined) {
+      return copy(cached);
+    }
+    if (this.coalesce && this._inflight.has(key)) {
+      return copy(await this._inflight.get(key));
+    }
+    let request = (async () => {
+      let value = await fetch();
+      let ttl = isImmutable(value) ? NO_EXPIRY : this.ttl[endpoint] || 0;
+      if ((ttl === NO_EXPIRY || ttl > 0) && value !== undefined) {
+        await this.store.set(key, value, ttl);
+      }
+      return value;
+    })();
+    if (!this.coalesce) {
+      return copy(await request);
+    }
+    this._inflight.set(key, request);
+    try {
+      return copy(await request);
+    } finally {
+      this._inflight.delete(key);
+    }
+  }
+
+  clear() {
+    return this.store.clear();
+  }
+}
+
+module.exports = {
+  DEFAULT_TTL,
+  MemoryCache,
+  ResponseCache,
+};
@@ -0,0 +1,397 @@
+const { createClient } = require("./client");
+const {
+  RoninApiError,
+  InvalidAddressError,
+  NotFoundError,
+  RateLimitError,
+  HttpError,
+  NetworkError,
+} = require("./errors");
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  notFound: 3,
+  unavailable: 4,
+};
+
+const USAGE = `Usage: ronin <command> [arguments] [options]
+
+Commands:
+  account <address>             account details and RON balance
+  txs <address>                 transactions of an address, --all for every page
+  transfers <address>           token transfers of an address, --erc 20|721, --all for every page
+  tx <hash>                     transaction details, --decode to decode the call and logs
+  block <number>                block details
+  tokens                        ERC20 tokens, --erc 721 for NFT collections
+  rates                         exchange rates of RON, AXS, SLP, ETH and USDC
+
+Options:
+  -o, --output <format>         table (default), json or csv
+  --columns <a,b,...>           columns for table and csv output
+  --from <n>, --size <n>        page of txs and transfers (default 0, 10)
+  --all                         fetch all pages of txs and transfers
+  --max <n>                     most items fetched with --all (default 10000)
+  --formatted                   add human readable amounts
+  --backend <explorer|rpc>      data source for account, tx and block
+  --rpc-url <url>               JSON-RPC endpoint for --backend rpc
+  --explorer-url <url>          explorer base url
+  --timeout <ms>                request timeout
+  -h, --help                    show this help
+
+Exit codes: 0 ok, 1 error, 2 usage or invalid input, 3 not found, 4 service unavailable or rate limited`;
+
+const FLAGS = ["all", "decode", "formatted", "help"];
+const VALUE_OPTIONS = [
+  "output",
+  "columns",
+  "from",
+  "size",
+  "max",
+  "erc",
+  "backend",
+  "rpc-url",
+  "explorer-url",
+  "timeout",
+];
+const ALIASES = { o: "output", h: "help" };
+
+// table columns per command, json and csv print every column unless --columns is given
+const TABLE_COLUMNS = {
+  txs: ["hash", "block_number", "from", "to", "value", "status", "timestamp"],
+  transfers: [
+    "tx_hash",
+    "block_number",
+    "from",
+    "to",
+    "value",
+    "token_symbol",
+    "token_type",
+  ],
+  tokens: ["address", "symbol", "name", "decimals", "holders", "totalSupply"],
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  /**
+   * Splits command line arguments into positionals and options
+   * @param {Array} argv - arguments after the executable, e.g. ['txs', 'ronin:...', '--all']
+   * @since      10/19/2026
+   * @return {Object} Returns { positionals, options }, throws UsageError for unknown or incomplete options.
+   */
+  let positionals = [];
+  let options = {};
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    let match = arg.match(/^--?([a-z][a-z-]*)(?:=(.*))?$/i);
+    if (!match) {
+      positionals.push(arg);
+      continue;
+    }
+    let name = ALIASES[match[1]] || match[1];
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+      continue;
+    }
+    if (!VALUE_OPTIONS.includes(name)) {
+      throw new UsageError(`Unknown option ${arg}`);
+    }
+    let value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) {
+      throw new UsageError(`Missing value for ${arg}`);
+    }
+    options[name] = value;
+  }
+  return { positionals, options };
+}
+
+function integerOption(options, name, fallback) {
+  if (options[name] === undefined) {
+    return fallback;
+  }
+  let value = Number(options[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+function allOptions(options) {
+  // without --max the pagination default cap applies
+  let maxItems = integerOption(options, "max", null);
+  return maxItems === null ? {} : { maxItems };
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value, jsonReplacer);
+  }
+  return String(value);
+}
+
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+function toRows(data) {
+  // single objects are printed as field/value rows in tables, as one row in csv
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.results)) {
+    return data.results;
+  }
+  return [data];
+}
+
+function columnsOf(rows, columns) {
+  if (columns) {
+    return columns;
+  }
+  let keys = new Set();
+  rows.forEach((row) => Object.keys(row || {}).forEach((key) => keys.add(key)));
+  return [...keys];
+}
+
+function formatTable(rows, columns) {
+  let header = columns;
+  let body = rows.map((row) =>
+    columns.map((column) => stringify(row?.[column]))
+  );
+  let widths = header.map((title, i) =>
+    Math.max(title.length, ...body.map((cells) => cells[i].length))
+  );
+  let line = (cells) =>
+    cells
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(header),
+    line(widths.map((w) => "-".repeat(w))),
+    ...body.map(line),
+  ].join("\n");
+}
+
+function formatRecord(record) {
+  let entries = Object.entries(record || {});
+  let width = Math.max(0, ...entries.map(([key]) => key.length));
+  return entries
+    .map(([key, value]) => `${key.padEnd(width)}  ${stringify(value)}`)
+    .join("\n");
+}
+
+function csvCell(value) {
+  let text = stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((column) => row?.[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n");
+}
+
+function formatOutput(data, { output = "table", columns, command } = {}) {
+  /**
+   * Renders a command result as table, json or csv text
+   * @param {any} data - command result
+   * @param {Object} options - { output: 'table', columns: null, command }, command selects the default table columns
+   * @since      10/19/2026
+   * @return {String} Returns the text to print.
+   */
+  if (output === "json") {
+    return JSON.stringify(data, jsonReplacer, 2);
+  }
+  let isList = Array.isArray(data) || Array.isArray(data?.results);
+  if (output === "csv") {
+    let rows = toRows(data);
+    return formatCsv(rows, columnsOf(rows, columns));
+  }
+  if (!isList) {
+    return formatRecord(data);
+  }
+  let rows = toRows(data);
+  return formatTable(rows, columnsOf(rows, columns || TABLE_COLUMNS[command]));
+}
+
+function ratesToRows(rates) {
+  return Object.entries(rates || {})
+    .filter(([, values]) => values && typeof values === "object")
+    .map(([token, values]) => ({ token, ...values }));
+}
+
+function requireArgument(positionals, index, name) {
+  let value = positionals[index];
+  if (value === undefined) {
+    throw new UsageError(`Missing <${name}>`);
+  }
+  return value;
+}
+
+const COMMANDS = {
+  async account(client, args) {
+    return client.explorerGetAccount(requireArgument(args, 0, "address"));
+  },
+
+  async txs(client, args, options) {
+    let address = requireArgument(args, 0, "address");
+    let from = integerOption(options, "from", 0);
+    if (options.all) {
+      return client.getAllTransactions(address, {
+        from,
+        ...allOptions(options),
+      });
+    }
+    return client.explorerGetTransactions(
+      address,
+      from,
+      integerOption(options, "size", 10)
+    );
+  },
+
+  async transfers(client, args, options) {
+    let address = requireArgument(args, 0, "address");
+    let erc = integerOption(options, "erc", 20);
+    if (erc !== 20 && erc !== 721) {
+      throw new UsageError("--erc must be 20 or 721");
+    }
+    let from = integerOption(options, "from", 0);
+    if (options.all) {
+      return client.getAllTokenTransfers(address, {
+        erc,
+        from,
+        ...allOptions(options),
+      });
+    }
+    return client.explorerGetERCTransfersByRoninAddress(
+      address,
+      erc,
+      from,
+      integerOption(options, "size", 10)
+    );
+  },
+
+  async tx(client, args, options) {
+    let transaction = await client.explorerGetTransactionDetails(
+      requireArgument(args, 0, "hash")
+    );
+    if (!options.decode) {
+      return transaction;
+    }
+    return { ...transaction, decoded: client.decodeTransaction(transaction) };
+  },
+
+  async block(client, args) {
+    let number = requireArgument(args, 0, "number");
+    if (!/^\d+$/.test(number)) {
+      throw new UsageError("<number> must be a block number");
+    }
+    return client.explorerGetBlockDetails(Number(number));
+  },
+
+  async tokens(client, args, options) {
+    let erc = integerOption(options, "erc", 20);
+    if (erc !== 20 && erc !== 721) {
+      throw new UsageError("--erc must be 20 or 721");
+    }
+    return erc === 721
+      ? client.explorerGetERC721Tokens()
+      : client.explorerGetERC20Tokens();
+  },
+
+  async rates(client) {
+    return ratesToRows(await client.exchangeGetRates());
+  },
+};
+
+function exitCodeFor(error) {
+  if (error instanceof UsageError || error instanceof InvalidAddressError) {
+    return EXIT_CODES.usage;
+  }
+  if (error instanceof NotFoundError) {
+    return EXIT_CODES.notFound;
+  }
+  if (
+    error instanceof NetworkError ||
+    error instanceof RateLimitError ||
+    (error instanceof HttpError && error.status >= 500)
+  ) {
+    return EXIT_CODES.unavailable;
+  }
+  return EXIT_CODES.error;
+}
+
+function clientOptions(options) {
+  if (options.backend && !["explorer", "rpc"].includes(options.backend)) {
+    throw new UsageError("--backend must be explorer or rpc");
+  }
+  return {
+    ...(options["explorer-url"] && { explorerUrl: options["explorer-url"] }),
+    ...(options["rpc-url"] && { rpcUrl: options["rpc-url"] }),
+    ...(options.backend && { backend: options.backend }),
+    ...(options.timeout && { timeout: integerOption(options, "timeout", 0) }),
+    formatted: options.formatted === true,
+  };
+}
+
+async function run(
+  argv,
+  { stdout = process.stdout, stderr = process.stderr, client } = {}
+) {
+  /**
+   * Runs the ronin command line interface
+   * @param {Array} argv - arguments after the executable
+   * @param {Object} io - { stdout, stderr, client }, client defaults to a new client built from the options
+   * @since      10/19/2026
+   * @return {Number} Returns the exit code, see EXIT_CODES.
+   */
+  try {
+    let { positionals, options } = parseArgs(argv);
+    let [command, ...args] = positionals;
+    if (options.help || !command || command === "help") {
+      stdout.write(USAGE + "\n");
+      return command || options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+      throw new UsageError(`Unknown command ${command}`);
+    }
+    let output = options.output || "table";
+    if (!["table", "json", "csv"].includes(output)) {
+      throw new UsageError("--output must be table, json or csv");
+    }
+    let columns = options.columns ? options.columns.split(",") : null;
+    let data = await COMMANDS[command](
+      client || createClient(clientOptions(options)),
+      args,
+      options
+    );
+    stdout.write(formatOutput(data, { output, columns, command }) + "\n");
+    return EXIT_CODES.ok;
+  } catch (e) {
+    let code = exitCodeFor(e);
+    let hint = code === EXIT_CODES.usage ? "\nRun ronin --help for usage." : "";
+    let known = e instanceof RoninApiError || e instanceof UsageError;
+    stderr.write(`ronin: ${known ? e.message : e.stack || e}${hint}\n`);
+    return code;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  formatOutput,
+  run,
+};
@@ -0,0 +1,1732 @@
+const { default: axios } = require("axios");
+const { parseBuildId } = require("./buildId");
+const { toHexAddress, toRoninAddress } = require("./address");
+const { RateLimiter } = require("./limiter");
+const { withRetry, sleep, withTimeout } = require("./retry");
+const { ResponseCache } = require("./cache");
+const { TransactionDecoder } = require("./decoder");
+const {
+  formatTransfer,
+  formatToken,
+  formatAccount,
+  formatTransaction,
+} = require("./units");
+const valuation = require("./valuation");
+const { BlockWatcher, AddressWatcher } = require("./watcher");
+const historyExport = require("./export");
+const { feeSummary } = require("./fees");
+const { nftHoldings, resolveContract } = require("./nft");
+const { settleAll } = require("./batch");
+const { createFixtureAdapter } = require("./fixtures");
+const { validatorStats } = require("./validators");
+const {
+  SALE_COLLECTIONS,
+  TRANSFER_TOPIC,
+  addressTopic,
+  transferFromLog,
+  matchSales,
+  salesStats,
+} = require("./sales");
+const { isKatanaTransaction, parseKatanaTransaction } = require("./katana");
+const { slpClaims, revenueShare } = require("./scholars");
+const { RpcProvider, DEFAULT_CONFIRMATION_BLOCKS } = require("./rpc");
+const {
+  normalizeTransaction,
+  normalizeTransfer,
+  normalizeBlock,
+  normalizeAccount,
+  normalizeToken,
+} = require("./models");
+const { validateResponse } = require("./schemas");
+const {
+  DEFAULT_MAX_ITEMS,
+  paginate,
+  collect,
+  transactionKey,
+  transferKey,
+  rangeBound,
+  isBefore,
+} = require("./pagination");
+const {
+  NotFoundError,
+  TransactionFailedError,
+  TimeoutError,
+  toApiError,
+  responseField,
+} = require("./errors");
+
+// ms, a 404 with a buildId resolved this recently is a missing page, not a redeployed explorer
+const BUILD_ID_MAX_AGE = 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  explorerUrl: "https://explorer.roninchain.com",
+  decoderUrl: "https://decoder.roninchain.com",
+  exchangeUrl: "https://exchange-rate.axieinfinity.com",
+  rpcUrl: "https://api.roninchain.com/rpc",
+  backend: "explorer",
+  confirmationBlocks: DEFAULT_CONFIRMATION_BLOCKS,
+  timeout: 0,
+  headers: {},
+  retry: {},
+  rateLimit: {},
+  cache: false,
+  formatted: false,
+  normalized: false,
+  validate: false,
+};
+
+function isConfirmed(value) {
+  return value?.confirmed === true;
+}
+
+function formatPage(page, formatter) {
+  return { ...page, results: page.results.map(formatter) };
+}
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+class RoninClient {
+  constructor(options = {}) {
+    /**
+     * Creates a client for the ronin chain explorer, decoder and exchange services
+     * @param {Object} options - Client options, all optional:
+        {
+            explorerUrl: 'https://explorer.roninchain.com',
+            decoderUrl: 'https://decoder.roninchain.com',
+            exchangeUrl: 'https://exchange-rate.axieinfinity.com',
+            rpcUrl: 'https://api.roninchain.com/rpc', // JSON-RPC endpoint used by client.rpc and the rpc backend
+            backend: 'explorer', // 'rpc' serves explorerGetAccount, explorerGetBlockDetails and explorerGetTransactionDetails over JSON-RPC
+            confirmationBlocks: 15, // rpc backend only, blocks on top before a block or transaction counts as confirmed
+            timeout: 0, // request timeout in ms, 0 means no timeout
+            headers: {}, // default headers sent with every request
+            adapter: undefined, // custom axios adapter, e.g. for mocking
+            fixtures: undefined, // { mode: 'record' | 'replay', dir } record responses to fixture files or replay them offline, see src/fixtures.js
+            proxy: undefined, // axios proxy config
+            http: undefined, // axios compatible instance, overrides the options above
+            buildId: undefined, // explorer Next.js buildId, resolved automatically when omitted
+            retry: { // false disables retries
+                retries: 3,
+                minDelay: 500, // ms, doubled with every attempt
+                maxDelay: 30000,
+                factor: 2,
+                jitter: true,
+                retryStatuses: [408, 500, 502, 503, 504], // 429 and network errors are always retried
+                onRetry: undefined // ({ url, method, attempt, retries, delay, error }) => {}
+            },
+            rateLimit: { // shared by all requests of the client, unlimited by default, or a RateLimiter instance to share between clients
+                requestsPerSecond: Infinity,
+                burst: requestsPerSecond,
+                maxConcurrency: Infinity
+            },
+            cache: false, // true for the in-memory default, or { store, ttl, coalesce, maxEntries }, see ResponseCache
+            decoder: undefined, // TransactionDecoder used by decodeTransaction, a new one with the known Ronin ABIs by default
+            formatted: false, // add human readable amounts (formattedBalance, formatted_value, ...) to responses
+            normalized: false, // return camelCase Transaction, Transfer, Block, Account and Token models, see src/models.js
+            validate: false // check responses against the expected shapes, see src/schemas.js
+        }
+     * @since      10/19/2026
+     */
+    let config = { ...DEFAULT_OPTIONS, ...options };
+    this.explorerUrl = trimTrailingSlash(config.explorerUrl);
+    this.decoderUrl = trimTrailingSlash(config.decoderUrl);
+    this.exchangeUrl = trimTrailingSlash(config.exchangeUrl);
+    this.timeout = config.timeout;
+    this.headers = { ...config.headers };
+    let adapter = config.fixtures
+      ? createFixtureAdapter({ adapter: config.adapter, ...config.fixtures })
+      : config.adapter;
+    this.http =
+      config.http ||
+      axios.create({
+        timeout: this.timeout,
+        headers: this.headers,
+        ...(adapter && { adapter }),
+        ...(config.proxy !== undefined && { proxy: config.proxy }),
+      });
+    this.buildId = config.buildId || null;
+    this._buildIdRequest = null;
+    this._buildIdResolvedAt = 0;
+    this.retry = config.retry === false ? { retries: 0 } : { ...config.retry };
+    this.limiter =
+      config.rateLimit instanceof RateLimiter
+        ? config.rateLimit
+        : new RateLimiter(config.rateLimit);
+    this.cache = !config.cache
+      ? null
+      : config.cache instanceof ResponseCache
+      ? config.cache
+      : new ResponseCache(config.cache === true ? {} : config.cache);
+    this.decoder = config.decoder || new TransactionDecoder();
+    this.formatted = config.formatted;
+    this.normalized = config.normalized;
+    this.validate = config.validate;
+    if (!["explorer", "rpc"].includes(config.backend)) {
+      throw new TypeError(
+        `Unknown backend ${config.backend}, use 'explorer' or 'rpc'`
+      );
+    }
+    this.backend = config.backend;
+    this.rpc = new RpcProvider(this, config.rpcUrl, {
+      confirmationBlocks: config.confirmationBlocks,
+    });
+  }
+
+  _format(result, formatter, model) {
+    if (this.formatted && formatter) {
+      result = formatter(result);
+    }
+    return this.normalized && model ? model(result) : result;
+  }
+
+  async _cached(endpoint, args, fetch, isImmutable) {
+    let load = this.validate
+      ? async () => validateResponse(endpoint, await fetch())
+      : fetch;
+    if (!this.cache) {
+      return load();
+    }
+    return this.cache.wrap(endpoint, args, load, isImmutable);
+  }
+
+  async _request(config) {
+    return withRetry(
+      () => this.limiter.schedule(() => this._send(config)),
+      this.retry,
+      { url: config.url, method: config.method }
+    );
+  }
+
+  async _send(config) {
+    try {
+      return await this.http.request(config);
+    } catch (e) {
+      throw toApiError(e, config.url);
+    }
+  }
+
+  async resolveBuildId(refresh = false) {
+    /**
+     * Returns the buildId of the currently deployed explorer, needed for all _next/data endpoints
+     * Resolved once from the explorer html and cached, concurrent calls share one request
+     * @param {Boolean} refresh - Ignore the cached buildId and fetch it again
+     * @since      10/19/2026
+     * @return {String} Returns buildId, throws if it can not be resolved.
+     */
+    if (this.buildId && !refresh) {
+      return this.buildId;
+    }
+    if (!this._buildIdRequest) {
+      this._buildIdRequest = this._request({
+        method: "get",
+        url: `${this.explorerUrl}/`,
+        responseType: "text",
+      })
+        .then((res) => {
+          this.buildId = parseBuildId(res.data, `${this.explorerUrl}/`);
+          this._buildIdResolvedAt = Date.now();
+          return this.buildId;
+        })
+        .finally(() => {
+          this._buildIdRequest = null;
+        });
+    }
+    return this._buildIdRequest;
+  }
+
+  async _getNextData(path) {
+    let buildId = await this.resolveBuildId();
+    try {
+      return await this._request({
+        method: "get",
+        url: this._nextDataUrl(buildId, path),
+      });
+    } catch (e) {
+      if (!(e instanceof NotFoundError)) {
+        throw e;
+      }
+      // the explorer may have been redeployed, unless another call already refreshed the buildId
+      if (this.buildId === buildId) {
+        if (Date.now() - this._buildIdResolvedAt < BUILD_ID_MAX_AGE) {
+          throw e;
+        }
+        await this.resolveBuildId(true);
+      }
+      if (this.buildId === buildId) {
+        // still deployed, the page does not exist
+        throw e;
+      }
+      return this._request({
+        method: "get",
+        url: this._nextDataUrl(this.buildId, path),
+      });
+    }
+  }
+
+  _nextDataUrl(buildId, path) {
+    return `${this.explorerUrl}/_next/data/${buildId}/${path}`;
+  }
+
+  async explorerGetAccount(roninAddress) {
+    /**
+     * Returns account details for specific ronin address
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @since      1/21/2022
+     * @return {Object} Returns account details, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          address: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          balance: '0',
+          timestamp: null,
+          transactionCount: '26',
+          blockNumber: 10404510,
+          contractCreator: null,
+          atTx: null,
+          atBlock: null,
+          totalNfts: 0,
+          erc20Networth: 0.00000291999401061816
+      }
+     * */
+    let result = await this._cached(
+      "explorerGetAccount",
+      [roninAddress],
+      async () => {
+        if (this.backend === "rpc") {
+          return this.rpc.getAccount(roninAddress);
+        }
+        let address = toRoninAddress(roninAddress);
+        let path = `address/${address}.json?address=${address}`;
+        let res = await this._getNextData(path);
+        return responseField(res, ["pageProps", "accountInfo"]);
+      }
+    );
+    return this._format(result, formatAccount, normalizeAccount);
+  }
+
+  async explorerGetTransactions(roninAddress, from = 0, size = 10) {
+    /**
+     * Returns transactions for specific ronin address
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Number} from - Start from
+     * @param {Number} size - Number of transactions
+     * @since      1/21/2022
+     * @return {Object} Returns array of transaction actions, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          total: 26,
+          results: [
+              {
+              hash: '0x1b40db41915a4d028c734e6918a1bfdf1dadaf8e8362b1615c2870013bbf4387',
+              block_hash: '0xbe2b5d8be4f782611bbe222570a83bc484c13ee65581872808db3dc8d6f3cf03',
+              block_number: 10404510,
+              from: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+              to: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+              gas: '368888',
+              gas_price: '0',
+              input: '0x42842e0e0000000000000000000000003ead4ca7305e30169e42437c74e7c81bdab7b9c3000000000000000000000000d0e1739f15e09a5f3cdf8bbd6eb8a532e2d9d895000000000000000000000000000000000000000000000000000000000028cb97',
+              nonce: 25,
+              tx_index: 56,
+              value: '0',
+              timestamp: 1642798207,
+              gas_used: '79263',
+              cumulative_gas_used: '7113087',
+              contract_address: null,
+              status: 1,
+              confirmed: true,
+              published: 1642798237173072100
+              },
+              {
+              hash: '0xb544e7cd5ef4daea13c4c6370111752bb1cb72f9dcdf00538a407d8b9ddaa90f',
+              block_hash: '0xbe2b5d8be4f782611bbe222570a83bc484c13ee65581872808db3dc8d6f3cf03',
+              block_number: 10404510,
+              from: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+              to: '0x213073989821f738a7ba3520c3d31a1f9ad31bbd',
+              gas: '698575',
+              gas_price: '0',
+              input: '0x4d51bfc4000000000000000000000000f48a09b0af4b51048df65ac575e01d892cf9dabc000000000000000000000000c99a6a985ed2cac1ef41640596c5a5f9f4e19ef500000000000000000000000000000000000000000000000000470de4df8200000000000000000000000000000000000000000000000000000000000000233dc852221010c9d3f6c8e23c2cd53ea75d5e123224892639da2ad4958506260c7c35',
+              nonce: 24,
+              tx_index: 6,
+              value: '0',
+              timestamp: 1642798207,
+              gas_used: '29847',
+              cumulative_gas_used: '208929',
+              contract_address: null,
+              status: 0,
+              confirmed: true,
+              published: 1642798237167369700
+              }
+          ]
+      }
+     * */
+    let result = await this._cached(
+      "explorerGetTransactions",
+      [roninAddress, from, size],
+      async () => {
+        let modifiedRoninAddress = toHexAddress(roninAddress);
+        let url = `${this.explorerUrl}/api/txs/${modifiedRoninAddress}?from=${from}&size=${size}`;
+        let res = await this._request({ method: "get", url });
+        responseField(res, ["results"]);
+        return res.data;
+      }
+    );
+    return this._format(
+      result,
+      (page) => formatPage(page, formatTransaction),
+      (page) => formatPage(page, normalizeTransaction)
+    );
+  }
+
+  async explorerDecodeTransactionActions(transactions) {
+    /**
+     * Returns decoded transaction actions
+     * @param {Object} transactions - transactions need to be in format of: 
+          {
+              contractAddress: "transaction.to",
+              callData: 'transaction.input',
+              logs: []
+          }
+     * @since      1/21/2022
+     * @return {Object} Returns array of transaction actions, throws RoninApiError on failure.
+     */
+    return this._cached(
+      "explorerDecodeTransactionActions",
+      [transactions],
+      async () => {
+        let url = `${this.decoderUrl}/decoder/actions`;
+
+        let body = {
+          txs: transactions,
+        };
+        let res = await this._request({ method: "post", url, data: body });
+        return res.data;
+      }
+    );
+  }
+
+  decodeTransaction(transaction) {
+    /**
+     * Decodes method, arguments and Transfer/Approval events of a transaction locally, without the remote decoder
+     * @param {Object} transaction - transaction from explorerGetTransactions or explorerGetTransactionDetails
+     * @since      10/19/2026
+     * @return {Object} Returns decoded transaction, see TransactionDecoder#decodeTransaction.
+     */
+    return this.decoder.decodeTransaction(transaction);
+  }
+
+  async explorerGetERCTransfersByRoninAddress(
+    roninAddress,
+    ercSuffix = 20,
+    from = 0,
+    size = 10
+  ) {
+    /**
+     * Returns ERC transfers for specific ronin address
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Number, String} ercSuffix - Either 20 or 721
+     * @param {Number} from - Start from
+     * @param {Number} size - Number of transfers
+     * @since      1/21/2022
+     * @return {Object} Returns transfers, throws RoninApiError on failure.
+     * Sample response:
+     {
+      total: 5,
+      results: [
+          {
+          from: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          to: '0xa99cacd1427f493a95b585a5c7989a08c86a616b',
+          value: '850000000000000',
+          log_index: '9',
+          tx_hash: '0x7381de4f019a30dbd14e1568772a81e5365dbe879a5c0493604a27662e06399c',
+          block_number: 10404504,
+          timestamp: 1642798189,
+          token_address: '0xc99a6a985ed2cac1ef41640596c5a5f9f4e19ef5',
+          token_decimals: 18,
+          token_name: 'Ronin Wrapped Ether',
+          token_symbol: 'WETH',
+          token_type: 'ERC20'
+          },
+          {
+          from: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          to: '0xf48a09b0af4b51048df65ac575e01d892cf9dabc',
+          value: '19150000000000000',
+          log_index: '10',
+          tx_hash: '0x7381de4f019a30dbd14e1568772a81e5365dbe879a5c0493604a27662e06399c',
+          block_number: 10404504,
+          timestamp: 1642798189,
+          token_address: '0xc99a6a985ed2cac1ef41640596c5a5f9f4e19ef5',
+          token_decimals: 18,
+          token_name: 'Ronin Wrapped Ether',
+          token_symbol: 'WETH',
+          token_type: 'ERC20'
+          }
+      ]
+     }
+     */
+    let result = await this._cached(
+      "explorerGetERCTransfersByRoninAddress",
+      [roninAddress, ercSuffix, from, size],
+      async () => {
+        let modifiedRoninAddress = toHexAddress(roninAddress);
+        let url = `${this.explorerUrl}/api/tokentxs?addr=${modifiedRoninAddress}&from=${from}&size=${size}&token=ERC${ercSuffix}`;
+        let res = await this._request({ method: "get", url });
+        responseField(res, ["results"]);
+        return res.data;
+      }
+    );
+    return this._format(
+      result,
+      (page) => formatPage(page, formatTransfer),
+      (page) => formatPage(page, normalizeTransfer)
+    );
+  }
+
+  iterateTransactions(roninAddress, options = {}) {
+    /**
+     * Iterates over all transactions of an address, newest first, fetching pages as needed
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { from: 0, pageSize: 100, maxItems: Infinity }
+     * @since      10/19/2026
+     * @return {AsyncGenerator} Yields transactions in the explorerGetTransactions format, throws RoninApiError on failure.
+     */
+    let address = toHexAddress(roninAddress);
+    return paginate(
+      (from, size) => this.explorerGetTransactions(address, from, size),
+      transactionKey,
+      options
+    );
+  }
+
+  iterateTokenTransfers(roninAddress, options = {}) {
+    /**
+     * Iterates over all ERC20 or ERC721 transfers of an address, newest first, fetching pages as needed
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { erc: 20, from: 0, pageSize: 100, maxItems: Infinity }
+     * @since      10/19/2026
+     * @return {AsyncGenerator} Yields transfers in the explorerGetERCTransfersByRoninAddress format, throws RoninApiError on failure.
+     */
+    let address = toHexAddress(roninAddress);
+    let { erc = 20, ...pageOptions } = options;
+    return paginate(
+      (from, size) =>
+        this.explorerGetERCTransfersByRoninAddress(address, erc, from, size),
+      transferKey,
+      pageOptions
+    );
+  }
+
+  async getAllTransactions(roninAddress, options = {}) {
+    /**
+     * Returns all transactions of an address, see iterateTransactions
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { from: 0, pageSize: 100, maxItems: 10000 }
+     * @since      10/19/2026
+     * @return {Array} Returns transactions, throws RoninApiError on failure.
+     */
+    return collect(
+      this.iterateTransactions(roninAddress, {
+        maxItems: DEFAULT_MAX_ITEMS,
+        ...options,
+      })
+    );
+  }
+
+  async getAllTokenTransfers(roninAddress, options = {}) {
+    /**
+     * Returns all ERC20 or ERC721 transfers of an address, see iterateTokenTransfers
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { erc: 20, from: 0, pageSize: 100, maxItems: 10000 }
+     * @since      10/19/2026
+     * @return {Array} Returns transfers, throws RoninApiError on failure.
+     */
+    return collect(
+      this.iterateTokenTransfers(roninAddress, {
+        maxItems: DEFAULT_MAX_ITEMS,
+        ...options,
+      })
+    );
+  }
+
+  async getAccounts(roninAddresses, options = {}) {
+    /**
+     * Returns explorerGetAccount for many addresses, a failing address does not fail the batch
+     * @param {Array} roninAddresses - 'ronin:' or '0x' formatted addresses
+     * @param {Object} options - { concurrency: 4, onProgress: null } onProgress is called with { done, total, key, result } after every address
+     * @since      10/19/2026
+     * @return {Map} Returns address => { ok: true, data: account } or { ok: false, error }, keyed by the addresses as given.
+     */
+    return settleAll(
+      roninAddresses,
+      (roninAddress) => this.explorerGetAccount(roninAddress),
+      options
+    );
+  }
+
+  async getTransfersForAddresses(roninAddresses, options = {}) {
+    /**
+     * Returns all ERC20 or ERC721 transfers of many addresses, a failing address does not fail the batch
+     * @param {Array} roninAddresses - 'ronin:' or '0x' formatted addresses
+     * @param {Object} options - { erc: 20, from: 0, pageSize: 100, maxItems: 10000, concurrency: 4, onProgress: null }, see getAllTokenTransfers
+     * @since      10/19/2026
+     * @return {Map} Returns address => { ok: true, data: transfers } or { ok: false, error }, keyed by the addresses as given.
+     */
+    let { concurrency, onProgress, ...pageOptions } = options;
+    return settleAll(
+      roninAddresses,
+      (roninAddress) => this.getAllTokenTransfers(roninAddress, pageOptions),
+      { concurrency, onProgress }
+    );
+  }
+
+  async valueTransfers(transfers, currency, options = {}) {
+    /**
+     * Values ERC20 transfers in fiat using the current exchangeGetRates rates
+     * Pass the owner address to get the net value, received minus sent, instead of the gross turnover
+     * @param {Array} transfers - transfers from explorerGetERCTransfersByRoninAddress or explorerGetERC20Transfers
+     * @param {String} currency - one of CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+     * @param {Object} options - { address } 'ronin:' or '0x' formatted owner of the transfers
+     * @since      10/19/2026
+     * @return {Object} Returns per-token and total values, see valuation.valueTransfers.
+     */
+    let rates = await this.exchangeGetRates();
+    return valuation.valueTransfers(transfers, currency, rates, options);
+  }
+
+  async getPortfolio(roninAddress, currency, options = {}) {
+    /**
+     * Values the RON balance and the ERC20 holdings of an address in fiat
+     * Holdings are replayed from the full ERC20 transfer history of the address
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {String} currency - one of CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+     * @param {Object} options - { maxItems: Infinity } cap of transfers to replay
+     * @since      10/19/2026
+     * @return {Object} Returns per-token and total values, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          address: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          currency: 'PHP',
+          total: 145.8,
+          tokens: [
+            {
+              address: '0xa8754b9fa15fc18bb59458815510e40a12cd2014',
+              symbol: 'SLP',
+              name: 'Smooth Love Potion',
+              decimals: 0,
+              balance: '540',
+              formattedBalance: '540',
+              rate: 0.27,
+              value: 145.8
+            }
+          ],
+          unpriced: []
+       }
+     */
+    let [account, transfers, rates] = await Promise.all([
+      this.explorerGetAccount(roninAddress),
+      this.getAllTokenTransfers(roninAddress, {
+        maxItems: Infinity,
+        ...options,
+        erc: 20,
+      }),
+      this.exchangeGetRates(),
+    ]);
+    let balances = valuation.tokenBalances(roninAddress, transfers);
+    return valuation.buildPortfolio(
+      roninAddress,
+      account,
+      balances,
+      currency,
+      rates
+    );
+  }
+
+  async getFeeSummary(roninAddress, options = {}) {
+    /**
+     * Reports RON fees paid, free transaction quota usage per day and gas wasted on failed transactions of an address
+     * Transactions with gas price 0 used the free quota, only transactions sent by the address are counted
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { since: null, currency: 'USD', maxItems: 10000 }
+     * since is the block number, date or date string of the oldest transaction to count, history is fetched until then
+     * @since      10/19/2026
+     * @return {Object} Returns the fee summary, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          address: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          currency: 'USD',
+          rate: 2.05,
+          transactions: 2,
+          free: 2,
+          paid: 0,
+          failed: 1,
+          fee: '0',
+          formattedFee: '0',
+          value: 0,
+          wasted: { gasUsed: '29847', fee: '0', formattedFee: '0', value: 0 },
+          daily: [
+            {
+              date: '2022-01-21',
+              transactions: 2,
+              free: 2,
+              paid: 0,
+              failed: 1,
+              fee: '0',
+              formattedFee: '0',
+              value: 0
+            }
+          ]
+       }
+     */
+    let { since = null, currency = "USD", ...pageOptions } = options;
+    let items = this.iterateTransactions(roninAddress, {
+      maxItems: DEFAULT_MAX_ITEMS,
+      ...pageOptions,
+    });
+    let [transactions, rates] = await Promise.all([
+      this._collectSince(items, since, normalizeTransaction),
+      this.exchangeGetRates(),
+    ]);
+    return feeSummary(roninAddress, transactions, currency, rates, { since });
+  }
+
+  async getNftHoldings(roninAddress, options = {}) {
+    /**
+     * Returns the ERC721 token ids an address currently owns per collection, replayed from its full ERC721 transfer history
+     * count is cross-checked against totalNfts of explorerGetAccount, consistent is false if they differ
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { contract: null } collection symbol ('AXIE', 'LAND', 'ITEM') or contract address to return
+     * @since      10/19/2026
+     * @return {Object} Returns holdings per collection, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          address: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          count: 2,
+          totalNfts: 2,
+          consistent: true,
+          collections: [
+            {
+              address: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+              symbol: 'AXIE',
+              name: 'Axie',
+              count: 2,
+              tokens: [
+                {
+                  tokenId: '2669463',
+                  txHash: '0x1b1a7e8f2d1b5c4d62f1ba6d5bd1e0e4f6f9d7ad0e3d24d5b7e7c38f9b9a3e1c',
+                  blockNumber: 10404510,
+                  timestamp: 1642798207
+                },
+                ...
+              ]
+            }
+          ]
+       }
+     */
+    if (options.contract) {
+      resolveContract(options.contract); // invalid contracts fail before fetching
+    }
+    let [account, transfers] = await Promise.all([
+      this.explorerGetAccount(roninAddress),
+      this.getAllTokenTransfers(roninAddress, { maxItems: Infinity, erc: 721 }),
+    ]);
+    return nftHoldings(roninAddress, account, transfers, options);
+  }
+
+  async getSales(roninAddress, options = {}) {
+    /**
+     * Returns the marketplace sales an address bought or sold, correlated from its ERC721 and WETH transfers
+     * The seller only receives its proceeds, the price of its sales is read from the settleAuction transaction, one request per sale
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { contract: null } collection symbol ('AXIE', 'LAND', 'ITEM') or contract address, all three by default
+     * @since      10/19/2026
+     * @return {Array} Returns sales, newest first, see matchSales, throws RoninApiError on failure.
+     * Sample response:
+     * [
+          {
+            txHash: '0x8b7a94b7281326420a54ba3c6ab54f2ef5f0bd527576dfa89bc437a9a5eb9d03',
+            blockNumber: 10404506,
+            timestamp: 1642798195,
+            contract: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+            collection: 'AXIE',
+            tokenId: '2673559',
+            seller: '0xf48a09b0af4b51048df65ac575e01d892cf9dabc',
+            buyer: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+            priceWeth: '20000000000000000',
+            formattedPrice: '0.02',
+            fee: '850000000000000',
+            formattedFee: '0.00085'
+          }
+       ]
+     */
+    let contracts = options.contract ? [options.contract] : SALE_COLLECTIONS;
+    contracts.forEach(resolveContract); // invalid contracts fail before fetching
+    let address = toHexAddress(roninAddress);
+    let [nfts, payments] = await Promise.all([
+      this.getAllTokenTransfers(address, { maxItems: Infinity, erc: 721 }),
+      this.getAllTokenTransfers(address, { maxItems: Infinity, erc: 20 }),
+    ]);
+    let transfers = [...nfts, ...payments];
+    let sales = matchSales(transfers, { contracts, address });
+    let unpriced = [
+      ...new Set(
+        sales.filter((sale) => sale.fee === null).map((sale) => sale.txHash)
+      ),
+    ];
+    if (!unpriced.length) {
+      return sales;
+    }
+    let transactions = await Promise.all(
+      unpriced.map((txHash) => this.explorerGetTransactionDetails(txHash))
+    );
+    return matchSales(transfers, {
+      contracts,
+      address,
+      transactions,
+      decoder: this.decoder,
+    });
+  }
+
+  async getCollectionSales(options = {}) {
+    /**
+     * Returns the marketplace sales of collections over a block range, read from Transfer event logs over JSON-RPC
+     * WETH transfers are only fetched for the buyers of the range, timestamps need one explorerGetBlockDetails request per block with sales
+     * @param {Object} options - { contracts: ['AXIE', 'LAND', 'ITEM'], blocks: 1000, fromBlock: null, toBlock: null } without a range the latest blocks are used
+     * @since      10/19/2026
+     * @return {Array} Returns sales, newest first, see getSales, throws RoninApiError on failure.
+     */
+    let contracts = (options.contracts || SALE_COLLECTIONS).map(
+      resolveContract
+    );
+    let range = await this._blockRange({ blocks: 1000, ...options });
+    let transfersOf = (logs) =>
+      logs.map((log) => transferFromLog(log, this.decoder)).filter(Boolean);
+    let nfts = transfersOf(
+      await this.rpc.getLogs({
+        address: contracts,
+        topics: [TRANSFER_TOPIC],
+        ...range,
+      })
+    );
+    let buyers = [...new Set(nfts.map((transfer) => transfer.to))];
+    if (!buyers.length) {
+      return [];
+    }
+    let payments = transfersOf(
+      await this.rpc.getLogs({
+        address: resolveContract("WETH"),
+        topics: [TRANSFER_TOPIC, buyers.map(addressTopic)],
+        ...range,
+      })
+    );
+    let sales = matchSales([...nfts, ...payments], { contracts });
+    let numbers = [...new Set(sales.map((sale) => sale.blockNumber))];
+    let blocks = await Promise.all(
+      numbers.map((number) => this.explorerGetBlockDetails(number))
+    );
+    let timestamps = new Map(
+      blocks
+        .map(normalizeBlock)
+        .map((block) => [block.number, block.timestamp.getTime() / 1000])
+    );
+    return sales.map((sale) => ({
+      ...sale,
+      timestamp: timestamps.get(sale.blockNumber) ?? null,
+    }));
+  }
+
+  async getCollectionStats(options = {}) {
+    /**
+     * Returns sale volume, median price and floor per collection over a block range, see getCollectionSales
+     * floor is the lowest sale price in the range, not the lowest current listing
+     * @param {Object} options - { contracts: ['AXIE', 'LAND', 'ITEM'], blocks: 1000, fromBlock: null, toBlock: null }
+     * @since      10/19/2026
+     * @return {Object} Returns statistics per collection, highest volume first, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          fromBlock: 10404230,
+          toBlock: 10405229,
+          sales: 2,
+          collections: [
+            {
+              address: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+              collection: 'AXIE',
+              sales: 2,
+              volume: '45000000000000000',
+              formattedVolume: '0.045',
+              median: '22500000000000000',
+              formattedMedian: '0.0225',
+              floor: '20000000000000000',
+              formattedFloor: '0.02'
+            }
+          ]
+       }
+     */
+    let range = await this._blockRange({ blocks: 1000, ...options });
+    let sales = await this.getCollectionSales({ ...options, ...range });
+    return { ...range, sales: sales.length, collections: salesStats(sales) };
+  }
+
+  async parseKatanaTx(txHash) {
+    /**
+     * Parses a Katana DEX swap or liquidity change from the Transfer events of a transaction, see parseKatanaTransaction
+     * @param {string} txHash - transaction hash
+     * @since      10/19/2026
+     * @return {Object} Returns the Katana activity, type is null for other transactions, throws RoninApiError on failure.
+     */
+    let transaction = await this.explorerGetTransactionDetails(txHash);
+    return parseKatanaTransaction(transaction, { decoder: this.decoder });
+  }
+
+  async getSwaps(roninAddress, options = {}) {
+    /**
+     * Returns the Katana swaps and liquidity changes an address sent, parsed from its successful Katana router calls
+     * Every Katana transaction needs one explorerGetTransactionDetails request for its Transfer events
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { from: 0, pageSize: 100, maxItems: 10000, concurrency: 4 }, see getAllTransactions
+     * @since      10/19/2026
+     * @return {Array} Returns Katana activities, newest first, see parseKatanaTransaction, throws RoninApiError on failure.
+     */
+    let { concurrency, ...pageOptions } = options;
+    let transactions = await this.getAllTransactions(roninAddress, pageOptions);
+    let hashes = transactions
+      .filter(
+        (transaction) =>
+          isKatanaTransaction(transaction) &&
+          normalizeTransaction(transaction).status === 1
+      )
+      .map((transaction) => transaction.hash);
+    let results = await settleAll(
+      hashes,
+      (txHash) => this.parseKatanaTx(txHash),
+      { concurrency }
+    );
+    let activities = [];
+    for (let result of results.values()) {
+      if (!result.ok) {
+        throw result.error;
+      }
+      activities.push(result.data);
+    }
+    return activities;
+  }
+
+  async getSlpClaims(roninAddress, options = {}) {
+    /**
+     * Returns the SLP claims of an address, SLP minted from the zero address to it, see slpClaims
+     * ERC20 transfers are fetched until the first one before from
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { from: null, to: null, pageSize: 100, maxItems: 10000 } from and to are inclusive block numbers or dates
+     * @since      10/19/2026
+     * @return {Array} Returns claims, newest first, throws RoninApiError on failure.
+     * Sample response:
+     * [
+          {
+            txHash: '0x5c0e0f4b5a9b6bdb8d1b1d6f8c2a0b0e8c9a0f6d4c3b2a1908f7e6d5c4b3a291',
+            blockNumber: 10400017,
+            timestamp: 1642785051,
+            amount: '150'
+          }
+       ]
+     */
+    let { from = null, to = null, ...pageOptions } = options;
+    let transfers = await this._slpHistory(roninAddress, from, pageOptions);
+    return slpClaims(roninAddress, transfers, { from, to });
+  }
+
+  async computeRevenueShare(scholarAddress, options = {}) {
+    /**
+     * Compares the expected manager and scholar split of every SLP claim of a scholar account with the SLP it sent out, see revenueShare
+     * @param {String} scholarAddress - 'ronin:' or '0x' formatted address the claims are minted to
+     * @param {Object} options - { managerAddress, ratios, scholarPayoutAddress: null, from: null, to: null, tolerance: 1, pageSize: 100, maxItems: 10000 }
+     * ratios maps 'manager', 'scholar' or an address to its share, e.g. { manager: 0.6, scholar: 0.4 }
+     * @since      10/19/2026
+     * @return {Object} Returns expected and actual payouts per claim and in total, throws TypeError for invalid ratios or RoninApiError on failure.
+     * Sample response:
+     * {
+          scholar: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          claimed: '540',
+          claims: 2,
+          discrepancies: 2,
+          totals: [
+            {
+              recipient: 'manager',
+              address: '0xd0e1739f15e09a5f3cdf8bbd6eb8a532e2d9d895',
+              ratio: 0.6,
+              expected: '324',
+              actual: '0',
+              difference: '-324',
+              ok: false
+            },
+            ...
+          ],
+          periods: [
+            {
+              claim: {
+                txHash: '0x5c0e0f4b5a9b6bdb8d1b1d6f8c2a0b0e8c9a0f6d4c3b2a1908f7e6d5c4b3a291',
+                blockNumber: 10400017,
+                timestamp: 1642785051,
+                amount: '150'
+              },
+              payouts: [
+                {
+                  recipient: 'manager',
+                  address: '0xd0e1739f15e09a5f3cdf8bbd6eb8a532e2d9d895',
+                  ratio: 0.6,
+                  expected: '90',
+                  actual: '0',
+                  difference: '-90',
+                  ok: false
+                },
+                ...
+              ],
+              discrepancy: true
+            },
+            ...
+          ]
+       }
+     */
+    let {
+      managerAddress,
+      ratios,
+      scholarPayoutAddress,
+      from = null,
+      to = null,
+      tolerance,
+      ...pageOptions
+    } = options;
+    let shareOptions = {
+      managerAddress,
+      ratios,
+      scholarPayoutAddress,
+      from,
+      to,
+      tolerance,
+    };
+    revenueShare(scholarAddress, [], shareOptions); // invalid ratios fail before fetching
+    let transfers = await this._slpHistory(scholarAddress, from, pageOptions);
+    return revenueShare(scholarAddress, transfers, shareOptions);
+  }
+
+  async _slpHistory(roninAddress, since, pageOptions) {
+    let items = this.iterateTokenTransfers(roninAddress, {
+      maxItems: DEFAULT_MAX_ITEMS,
+      ...pageOptions,
+      erc: 20,
+    });
+    return this._collectSince(items, since, normalizeTransfer);
+  }
+
+  exportAddressHistory(roninAddress, options = {}) {
+    /**
+     * Streams the complete history of an address for accounting, merging transactions and ERC20/ERC721 transfers
+     * Rows are ordered oldest first by block number and log index, pages are fetched from the oldest end so rows are written while fetching continues
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - { format: 'csv', from: null, to: null, currency: null, checkpoint: null }
+     * from and to are inclusive block numbers, or dates compared with the row timestamp
+     * currency adds fiat values at the current exchangeGetRates rates, checkpoint resumes after a row, see readCheckpoint
+     * @since      10/19/2026
+     * @return {Readable} Returns a stream of csv or jsonl lines, throws TypeError for invalid options.
+     * Sample response (csv):
+     * block_number,log_index,timestamp,kind,tx_hash,from,to,direction,status,token_type,token_symbol,token_address,token_id,value,formatted_value,fiat_value,currency
+     * 10404504,,2022-01-21T20:49:49.000Z,transaction,0x7381...,ronin:3ead...,ronin:7a25...,out,1,,RON,,,0,0,0,USD
+     * 10404504,9,2022-01-21T20:49:49.000Z,erc20,0x7381...,ronin:3ead...,ronin:a99c...,out,,ERC20,WETH,ronin:c99a...,,850000000000000,0.00085,2.55,USD
+     */
+    return historyExport.exportAddressHistory(this, roninAddress, options);
+  }
+
+  watchBlocks(options = {}) {
+    /**
+     * Starts a watcher emitting 'block' (and optionally 'transaction') events for new chain activity
+     * @param {Object} options - see BlockWatcher, e.g. { interval: 3000, fromBlock: null, transactions: false }
+     * @since      10/19/2026
+     * @return {BlockWatcher} Returns the running watcher, call stop() to end it.
+     */
+    return new BlockWatcher(this, options).start();
+  }
+
+  watchAddress(roninAddress, options = {}) {
+    /**
+     * Starts a watcher emitting 'transaction' and 'transfer' events for new activity of an address
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - see AddressWatcher, e.g. { interval: 3000, ercs: [20, 721] }
+     * @since      10/19/2026
+     * @return {AddressWatcher} Returns the running watcher, call stop() to end it.
+     */
+    return new AddressWatcher(this, roninAddress, options).start();
+  }
+
+  async explorerGetLatestBlocks(size = 10) {
+    /**
+     * Returns latest blocks as well as total amount of transactions
+     * @param {Number} size - Number of blocks to return
+     * @since      1/21/2022
+     * @return {Object} Returns blocks, throws RoninApiError on failure.
+     * Sample response:
+     {
+          total: 10405229,
+          results: [
+              {
+              number: 10405229,
+              hash: '0x1f67693a19f43caac0fbcdfb4590e92f0596e368567f58d9454b48f888f584a1',
+              parent_hash: '0xc09587c536c71f3a6c0c8eea0ccffea5870d644a44cc1af9604cdc1774671e9d',
+              nonce: '0x0',
+              transaction_root: '0x4ea5c426de7f7e4a5de1f44cdeff322dfa4db686b0cf70c5886dfaeb9db5fff8',
+              state_root: '0xc804fc6db16e837091949e5c72cb06a5eb326f7699afa1ee9a17bd622b611990',
+              receipts_root: '0x44e24fda2b4682866b09b244c871ea03f2c4d1961a5f66a99f5a1d3df7176b73',
+              miner: '0x70bb1fb41c8c42f6ddd53a708e2b82209495e455',
+              difficulty: '7',
+              extra_data: 'Bytes([216, 131, 2, 3, 0, 132, 103, 101, 116, 104, 136, 103, 111, 49, 46, 49, 53, 46, 53, 133, 108, 105, 110, 117, 120, 0, 0, 0, 0, 0, 0, 0, 38, 11, 29, 185, 201, 145, 104, 138, 123, 27, 14, 56, 4, 254, 76, 104, 224, 236, 113, 35, 31, 226, 207, 247, 119, 83, 27, 88, 51, 197, 201, 158, 15, 141, 167, 196, 21, 181, 240, 47, 112, 70, 14, 122, 154, 0, 57, 18, 16, 211, 116, 164, 108, 152, 44, 185, 126, 80, 204, 117, 150, 225, 52, 85, 0])',
+              size: 10165,
+              gas_limit: '100000000',
+              gas_used: '4211050',
+              timestamp: 1642800364,
+              transactions: 31,
+              confirmed: false,
+              published: 1642800364414029600
+              },
+              {
+              number: 10405228,
+              hash: '0xc09587c536c71f3a6c0c8eea0ccffea5870d644a44cc1af9604cdc1774671e9d',
+              parent_hash: '0x71f156c65aa4e2c04efefb641c4a2f0e2a07efafcd16eaca79f74d8407d28d2a',
+              nonce: '0x0',
+              transaction_root: '0x20b0d8e506da3ff8bc71e273d1bf997701ecde2977c4c8af3241c925339fb6dc',
+              state_root: '0x7498b816ecda29c3f36e53d5d818a48a7f099b4f496d379f1f365d1da3a7dba7',
+              receipts_root: '0x9c61f9e2f726248b393e762762635afcbafd76d3c88df09c2e7f6c75c094c3dc',
+              miner: '0x11360eacdedd59bc433afad4fc8f0417d1fbebab',
+              difficulty: '7',
+              extra_data: 'Bytes([216, 131, 2, 3, 0, 132, 103, 101, 116, 104, 136, 103, 111, 49, 46, 49, 53, 46, 53, 133, 108, 105, 110, 117, 120, 0, 0, 0, 0, 0, 0, 0, 84, 206, 148, 254, 133, 146, 61, 101, 1, 88, 170, 208, 193, 118, 200, 220, 72, 0, 178, 40, 70, 250, 49, 44, 67, 221, 166, 232, 181, 111, 126, 176, 49, 99, 244, 45, 249, 210, 104, 203, 10, 46, 148, 90, 228, 42, 13, 81, 109, 192, 3, 18, 38, 179, 137, 73, 89, 148, 223, 104, 23, 5, 197, 148, 1])',
+              size: 26398,
+              gas_limit: '100000000',
+              gas_used: '11372397',
+              timestamp: 1642800361,
+              transactions: 87,
+              confirmed: false,
+              published: 1642800362051681000
+              }
+          ]
+      }
+     */
+    let result = await this._cached(
+      "explorerGetLatestBlocks",
+      [size],
+      async () => {
+        let url = `${this.explorerUrl}/api/blocks?size=${size}`;
+        let res = await this._request({ method: "get", url });
+        responseField(res, ["results"]);
+        return res.data;
+      }
+    );
+    return this._format(result, null, (page) =>
+      formatPage(page, normalizeBlock)
+    );
+  }
+
+  async explorerGetLatestTransactions(size = 10) {
+    /**
+     * Returns latest transactions as well as total amount of transactions
+     * @param {Number} size - Number of transactions to return
+     * @since      1/21/2022
+     * @return {Object} Returns transactions, throws RoninApiError on failure.
+     * Sample response:
+     {
+          total: 285008384,
+          results: [
+              {
+              hash: '0x45d8210de98b273aab255c669e44c958965a638fd75d3dd8ea720cb77b9bef17',
+              block_hash: '0x195556f82dc7d70228c6be838370389a62c78db3aeb411c2aadf5b34e4761587',
+              block_number: 10405201,
+              from: '0xb65143798a62de9c642035ac57f1d4963bb56eca',
+              to: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+              gas: '487659',
+              gas_price: '0',
+              input: '0x8264f2c20000000000000000000000000000000000000000000000000000000000a5e5c90000000000000000000000000000000000000000000000000000000000a15cee',
+              nonce: 93,
+              tx_index: 6,
+              value: '0',
+              timestamp: 1642800280,
+              gas_used: '431230',
+              cumulative_gas_used: '777713',
+              contract_address: null,
+              status: 1,
+              confirmed: false,
+              published: 1642800280449960400
+              },
+              {
+              hash: '0x222fd31b51f25ac933050150ff77d2c11215190e08f506343cf3e65ab77d4a1f',
+              block_hash: '0x7263acfd8f3316269618ec483383e6aac028be1af14f17223d3ce109dba35778',
+              block_number: 10405200,
+              from: '0x0e40db8a3b3753e00eb4ecf3037830c47cdb5724',
+              to: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+              gas: '320451',
+              gas_price: '1000000000',
+              input: '0xef509b6b000000000000000000000000000000000000000000000000000000000000004000000000000000000000000000000000000000000000000000000000000000a000000000000000000000000000000000000000000000000000000000000000020000000000000000000000000000000000000000000000000000000000a5f74b0000000000000000000000000000000000000000000000000000000000a5f75b0000000000000000000000000000000000000000000000000000000000000002649e5c390d99f1d2c89bdb5010f8f615dcc796455bc5edeaaf2665779af038a4746ab4e45210016fe106f16d1df8547fb244f21c193fa422d913a804d9231a37',
+              nonce: 660692,
+              tx_index: 42,
+              value: '0',
+              timestamp: 1642800277,
+              gas_used: '195876',
+              cumulative_gas_used: '5871544',
+              contract_address: null,
+              status: 1,
+              confirmed: false,
+              published: 1642800277801683500
+              }
+          ]
+      }
+     */
+    let result = await this._cached(
+      "explorerGetLatestTransactions",
+      [size],
+      async () => {
+        let url = `${this.explorerUrl}/api/txs?size=${size}`;
+        let res = await this._request({ method: "get", url });
+        responseField(res, ["results"]);
+        return res.data;
+      }
+    );
+    return this._format(
+      result,
+      (page) => formatPage(page, formatTransaction),
+      (page) => formatPage(page, normalizeTransaction)
+    );
+  }
+
+  async explorerGet14DayTransactionVolumes() {
+    /**
+     * Returns transaction volumes for the last 14 days on the Ronin Chain
+     * @since      1/21/2022
+     * @return {Object} Returns transaction volumes, throws RoninApiError on failure.
+     * Sample response:
+     {
+      overviewData: {
+          blockTime: 3,
+          totalAddresses: 9612835,
+          totalBlocks: 10405131,
+          totalTxs: 285006903
+      },
+      txChartData: {
+          txCount: [
+          1013023,  898903,  780884,
+          800291,  932133,  843717,
+          811878,  816803,  866738,
+          1105586, 1235726, 1176264,
+          1022480, 1046154, 1319591
+          ],
+          label: [
+          '06 Jan', '',       '',
+          '',       '',       '',
+          '',       '13 Jan', '',
+          '',       '',       '',
+          '',       '',       '20 Jan'
+          ]
+      }
+     }
+     */
+    return this._cached("explorerGet14DayTransactionVolumes", [], async () => {
+      let path = `index.json`;
+      let res = await this._getNextData(path);
+      return responseField(res, ["pageProps"]);
+    });
+  }
+
+  async explorerGetERC20Tokens() {
+    /**
+     * Returns all ERC20 tokens
+     * @since      1/21/2022
+     * @return {Object} Returns all ERC20 token data, throws RoninApiError on failure.
+     * Sample response:
+     [
+      {
+        address: '0xc99a6a985ed2cac1ef41640596c5a5f9f4e19ef5',
+        transfers: 40036882,
+        holders: 866882,
+        symbol: 'WETH',
+        name: 'Ronin Wrapped Ether',
+        decimals: 18,
+        tokenType: 'ERC20',
+        totalSupply: '343486206907896403930354',
+        atBlock: 777
+      },
+      {
+        address: '0x97a9107c1793bc407d6f527b77e7fff4d812bece',
+        transfers: 22825350,
+        holders: 132465,
+        symbol: 'AXS',
+        name: 'Axie Infinity Shard',
+        decimals: 18,
+        tokenType: 'ERC20',
+        totalSupply: '52433252920007334630500782',
+        atBlock: 2670084
+      }
+     ]
+     */
+    let result = await this._cached("explorerGetERC20Tokens", [], async () => {
+      let path = `tokens.json`;
+      let res = await this._getNextData(path);
+      return responseField(res, ["pageProps", "tokens", "results"]);
+    });
+    return this._format(
+      result,
+      (tokens) => tokens.map(formatToken),
+      (tokens) => tokens.map(normalizeToken)
+    );
+  }
+
+  async explorerGetERC20Transfers() {
+    /**
+     * Returns last ERC20 transfers
+     * @since      1/21/2022
+     * @return {Object} Returns last 25 ERC20 transfers, throws RoninApiError on failure.
+     * Sample response:
+     * 
+     [
+      {
+        from: '0xa7964991f339668107e2b6a6f6b8e8b74aa9d017',
+        to: '0x097faa854b87fdebb538f1892760ea1b4f31fa41',
+        value: '1000000',
+        timestamp: 1642799698,
+        logIndex: '20',
+        txHash: '0xcd29c1f16f98a3c2584ce25a84943faf91767933a9f53895c993e2db2a9f13b5',
+        blockNumber: 10405007,
+        tokenAddress: '0x0b7007c13325c48911f73a2dad5fa5dcbf808adc',
+        tokenDecimals: 6,
+        tokenName: 'USD Coin',
+        tokenSymbol: 'USDC',
+        tokenType: 'ERC20'
+      },
+      {
+        from: '0x0000000000000000000000000000000000000000',
+        to: '0xd24e851f3b1fa390d865f0f2a9d3f2d738487001',
+        value: '1249',
+        timestamp: 1642799698,
+        logIndex: '61',
+        txHash: '0xc6f611bf38f3fdf42fa57a75478ca7f574b8fc6c65ae245fc87d9fc142e4f01b',
+        blockNumber: 10405007,
+        tokenAddress: '0xa8754b9fa15fc18bb59458815510e40a12cd2014',
+        tokenDecimals: 0,
+        tokenName: 'Smooth Love Potion',
+        tokenSymbol: 'SLP',
+        tokenType: 'ERC20'
+      }
+    ]
+     */
+    let result = await this._cached(
+      "explorerGetERC20Transfers",
+      [],
+      async () => {
+        let path = `tokentxns.json`;
+        let res = await this._getNextData(path);
+        return responseField(res, ["pageProps", "transfers"]);
+      }
+    );
+    return this._format(
+      result,
+      (transfers) => transfers.map(formatTransfer),
+      (transfers) => transfers.map(normalizeTransfer)
+    );
+  }
+
+  async explorerGetERC721Tokens() {
+    /**
+     * Returns all ERC721 tokens
+     * @since      1/21/2022
+     * @return {Object} Returns all ERC721 token data, throws RoninApiError on failure.
+     * Sample response:
+     [
+      {
+        address: '0x8c811e3c958e190f5ec15fb376533a3398620500',
+        transfers: 32333,
+        holders: 2716,
+        symbol: 'LAND',
+        name: 'Axie Land',
+        decimals: 0,
+        tokenType: 'ERC721',
+        totalSupply: '16780',
+        atBlock: 199149
+      },
+      {
+        address: '0xa96660f0e4a3e9bc7388925d245a6d4d79e21259',
+        transfers: 302291,
+        holders: 5021,
+        symbol: 'ITEM',
+        name: 'Axie Land Item',
+        decimals: 0,
+        tokenType: 'ERC721',
+        totalSupply: '233119',
+        atBlock: 199865
+      },
+      {
+        address: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+        transfers: 95897046,
+        holders: 2968162,
+        symbol: 'AXIE',
+        name: 'Axie',
+        decimals: 0,
+        tokenType: 'ERC721',
+        totalSupply: '10924638',
+        atBlock: 2678592
+      }
+    ]
+     */
+    let result = await this._cached("explorerGetERC721Tokens", [], async () => {
+      let path = `tokens-nft.json`;
+      let res = await this._getNextData(path);
+      return responseField(res, ["pageProps", "tokens", "results"]);
+    });
+    return this._format(result, null, (tokens) => tokens.map(normalizeToken));
+  }
+
+  async explorerGetERC721Transfers() {
+    /**
+     * Returns latest ERC721 transfers
+     * @since      1/21/2022
+     * @return {Object} Returns transfers data, throws RoninApiError on failure.
+     * Sample response:
+     * [
+      {
+        from: '0xd02288ee9440058dd14457e814ed0e2db5bc66a1',
+        to: '0xec79dcbc799a0924648ba3f9b878e4b9565d6329',
+        value: '3042003',
+        timestamp: 1642799449,
+        logIndex: '55',
+        txHash: '0x18ce1cb75b007156eb1cb2cdd04b40dda8cd35026eb281d9f52848e07ca3bec1',
+        blockNumber: 10404924,
+        tokenAddress: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+        tokenDecimals: 0,
+        tokenName: 'Axie',
+        tokenSymbol: 'AXIE',
+        tokenType: 'ERC721'
+      },
+      {
+        from: '0xa0c142df2aea4cdc579a4556369a3ba9e74bb56f',
+        to: '0xbb3cc0e2e7f92fa2ae881a1b48c2e8751fbe1ad2',
+        value: '10556597',
+        timestamp: 1642799449,
+        logIndex: '56',
+        txHash: '0x4f0e99fec27a9e033fb00937c37ae8f47d85a37bc350ae2362ba13ee0aa7cccb',
+        blockNumber: 10404924,
+        tokenAddress: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+        tokenDecimals: 0,
+        tokenName: 'Axie',
+        tokenSymbol: 'AXIE',
+        tokenType: 'ERC721'
+      }
+     * ]
+     */
+    let result = await this._cached(
+      "explorerGetERC721Transfers",
+      [],
+      async () => {
+        let path = `tokentxns-nft.json`;
+        let res = await this._getNextData(path);
+        return responseField(res, ["pageProps", "transfers"]);
+      }
+    );
+    return this._format(result, null, (transfers) =>
+      transfers.map(normalizeTransfer)
+    );
+  }
+
+  async explorerGetTransactionDetails(txHash) {
+    /**
+     * Returns the transaction details for a given transaction hash.
+     * @param {string} txHash - transaction hash
+     * @since      1/21/2022
+     * @return {Object} Returns transaction data, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          hash: '0x8b7a94b7281326420a54ba3c6ab54f2ef5f0bd527576dfa89bc437a9a5eb9d03',
+          from: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          to: '0x213073989821f738a7ba3520c3d31a1f9ad31bbd',
+          gas: '698575',
+          input: '0x4d51bfc4000000000000000000000000f48a09b0af4b51048df65ac575e01d892cf9dabc000000000000000000000000c99a6a985ed2cac1ef41640596c5a5f9f4e19ef500000000000000000000000000000000000000000000000000470de4df8200000000000000000000000000000000000000000000000000000000000000233dc852221010c9d3f6c8e23c2cd53ea75d5e123224892639da2ad4958506260c7c35',
+          nonce: 19,
+          value: '0',
+          timestamp: 1642798195,
+          status: 0,
+          confirmed: true,
+          published: 1642798225073554000,
+          logs: [],
+          blockHash: '0x817cb7ba293929808731cd1ee48c1c4972d84fc0c6153e6334232ddaf9acfd89',
+          blockNumber: 10404506,
+          gasPrice: '0',
+          txIndex: 2,
+          gasUsed: '29847',
+          cumulativeGasUsed: '96502',
+          contractAddress: null
+       }
+     */
+    let result = await this._cached(
+      "explorerGetTransactionDetails",
+      [txHash],
+      async () => {
+        if (this.backend === "rpc") {
+          return this.rpc.getTransaction(txHash);
+        }
+        let path = `tx/${txHash}.json?txHash=${txHash}`;
+        let res = await this._getNextData(path);
+        let transaction = responseField(res, ["pageProps"])?.transaction;
+        if (!transaction) {
+          throw new NotFoundError(`Transaction not found: ${txHash}`, {
+            url: res.config?.url,
+            status: res.status,
+            body: res.data,
+          });
+        }
+        return transaction;
+      },
+      isConfirmed
+    );
+    return this._format(result, formatTransaction, normalizeTransaction);
+  }
+
+  async _latestBlockNumber() {
+    if (this.backend === "rpc") {
+      return this.rpc.getBlockNumber();
+    }
+    let { results } = await this.explorerGetLatestBlocks(1);
+    return results[0]?.number ?? null;
+  }
+
+  async _blockRange({ blocks, fromBlock = null, toBlock = null }) {
+    // without a range the latest blocks are used
+    if (toBlock === null) {
+      toBlock =
+        fromBlock === null
+          ? await this._latestBlockNumber()
+          : fromBlock + blocks - 1;
+    }
+    if (fromBlock === null) {
+      fromBlock = Math.max(0, toBlock - blocks + 1);
+    }
+    return { fromBlock, toBlock };
+  }
+
+  async _collectSince(items, since, normalize) {
+    // pages are newest first, items older than since are not needed
+    let bound = rangeBound(since);
+    let collected = [];
+    for await (let item of items) {
+      if (isBefore(normalize(item), bound)) {
+        break;
+      }
+      collected.push(item);
+    }
+    return collected;
+  }
+
+  async waitForTransaction(
+    txHash,
+    { timeout = 120000, interval = 3000, confirmations = 1 } = {}
+  ) {
+    /**
+     * Polls a transaction until it is confirmed, unknown hashes are treated as pending
+     * @param {string} txHash - transaction hash
+     * @param {Object} options - all optional:
+        {
+            timeout: 120000, // ms before giving up
+            interval: 3000, // ms between polls
+            confirmations: 1 // blocks including the transaction block that must exist, the explorer confirmed flag is always required
+        }
+     * @since      10/19/2026
+     * @return {Object} Returns transaction details with success and confirmations added,
+     *    throws TransactionFailedError if the transaction reverted (status 0), TimeoutError on timeout or RoninApiError on failure.
+     * Sample response:
+     * {
+          hash: '0x8b7a94b7281326420a54ba3c6ab54f2ef5f0bd527576dfa89bc437a9a5eb9d03',
+          ...transaction details, see explorerGetTransactionDetails
+          status: 1,
+          confirmed: true,
+          blockNumber: 10404506,
+          success: true,
+          confirmations: 3
+       }
+     */
+    let deadline = Date.now() + timeout;
+    let timedOut = () =>
+      new TimeoutError(
+        `Transaction ${txHash} not confirmed within ${timeout}ms`
+      );
+    let poll = async () => {
+      let transaction = null;
+      try {
+        transaction = await this.explorerGetTransactionDetails(txHash);
+      } catch (e) {
+        if (!(e instanceof NotFoundError)) {
+          throw e;
+        }
+      }
+      if (!transaction?.confirmed) {
+        return null;
+      }
+      let confirmed = 1;
+      if (confirmations > 1) {
+        let head = await this._latestBlockNumber();
+        confirmed =
+          (head ?? transaction.blockNumber) - transaction.blockNumber + 1;
+      }
+      if (confirmed < confirmations) {
+        return null;
+      }
+      return {
+        ...transaction,
+        success: Number(transaction.status) === 1,
+        confirmations: confirmed,
+      };
+    };
+    for (;;) {
+      // a stalled request or its retries must not outlive the timeout
+      let result = await withTimeout(poll(), deadline - Date.now(), timedOut);
+      if (result) {
+        if (!result.success) {
+          throw new TransactionFailedError(result);
+        }
+        return result;
+      }
+      let remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw timedOut();
+      }
+      await sleep(Math.min(interval, remaining));
+    }
+  }
+
+  async explorerGetBlockDetails(blockNumber) {
+    /**
+     * Get block details for a given block number
+     * @param {Number} blockNumber Block number to get details for
+     * Conversion rates to CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+     * @since      1/21/2022
+     * @return {Object} Returns block data, throws RoninApiError on failure.
+     * Sample response:
+     * {
+     *   number: 1,
+     *   hash: '0x5027d9836eabbd069a3b089f128caf9cf11506cd3849fb3ac43a8e2188b238c2',
+     *   nonce: '0x0',
+     *   miner: '0xf224beff587362a88d859e899d0d80c080e1e812',
+     *   difficulty: '3',
+     *   size: 607,
+     *   timestamp: 1611571777,
+     *   transactions: 0,
+     *   confirmed: true,
+     *   published: 1638520922470513400,
+     *   parentHash: '0x6e675ee97607f4e695188786c3c1853fb1562f1c075629eb5dbcff269422a1a4',
+     *   transactionRoot: '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421',
+     *   stateRoot: '0xd7f5c1399df288345a17ceb796849dea975dabdf50e8cd4aa7ee8915fb421918',
+     *   receiptsRoot: '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421',
+     *   extraData: 'Bytes([216, 131, 2, 1, 0, 132, 103, 101, 116, 104, 136, 103, 111, 49, 46, 49, 53, 46, 53, 133, 108, 105, 110, 117, 120, 0, 0, 0, 0, 0, 0, 0, 65, 130, 166, 186, 189, 122, 247, 80, 48, 9, 46, 43, 152, 196, 244, 145, 156, 79, 5, 204, 218, 164, 103, 246, 73, 136, 238, 139, 64, 46, 216, 236, 16, 202, 33, 20, 159, 37, 111, 209, 61, 61, 107, 160, 46, 75, 88, 192, 135, 68, 231, 182, 21, 35, 221, 51, 102, 135, 147, 202, 106, 151, 118, 48, 1])',
+     *   gasLimit: '2145386497',
+     *   gasUsed: '0'
+     * }
+     */
+    let result = await this._cached(
+      "explorerGetBlockDetails",
+      [blockNumber],
+      async () => {
+        if (this.backend === "rpc") {
+          return this.rpc.getBlock(blockNumber);
+        }
+        let path = `block/${blockNumber}.json?blockID=${blockNumber}`;
+        let res = await this._getNextData(path);
+        let block = responseField(res, ["pageProps"])?.block;
+        if (!block) {
+          throw new NotFoundError(`Block not found: ${blockNumber}`, {
+            url: res.config?.url,
+            status: res.status,
+            body: res.data,
+          });
+        }
+        return block;
+      },
+      isConfirmed
+    );
+    return this._format(result, null, normalizeBlock);
+  }
+
+  async getValidatorStats(options = {}) {
+    /**
+     * Returns blocks produced, gas used and missed turns per validator (miner) over a block range
+     * Blocks are fetched one by one with explorerGetBlockDetails, confirmed blocks are cached when the cache is enabled
+     * @param {Object} options - { blocks: 100, fromBlock: null, toBlock: null, concurrency: 4 } without a range the latest blocks are used, blocks may also be an array of already fetched blocks
+     * @since      10/19/2026
+     * @return {Object} Returns per validator statistics, throws RoninApiError on failure.
+     * Sample response:
+     * {
+          fromBlock: 10405130,
+          toBlock: 10405229,
+          blocks: 100,
+          validatorSet: ['0x000000000000000000000000000000000000dead', ...],
+          validators: [
+            {
+              address: '0x70bb1fb41c8c42f6ddd53a708e2b82209495e455',
+              blocks: 9,
+              share: 0.09,
+              gasUsed: '38911466',
+              transactions: 263,
+              outOfTurn: 0,
+              missedTurns: 1,
+              lastBlock: 10405229,
+              client: 'geth/go1.15.5/linux',
+              version: '2.3.0'
+            },
+            ...
+          ]
+       }
+     */
+    let { blocks = 100, fromBlock, toBlock, concurrency } = options;
+    if (Array.isArray(blocks)) {
+      return validatorStats(blocks);
+    }
+    ({ fromBlock, toBlock } = await this._blockRange({
+      blocks,
+      fromBlock,
+      toBlock,
+    }));
+    let numbers = [];
+    for (let number = fromBlock; number <= toBlock; number++) {
+      numbers.push(number);
+    }
+    let results = await settleAll(
+      numbers,
+      (number) => this.explorerGetBlockDetails(number),
+      { concurrency }
+    );
+    let details = [];
+    for (let result of results.values()) {
+      if (!result.ok) {
+        throw result.error;
+      }
+      details.push(result.data);
+    }
+    return validatorStats(details);
+  }
+
+  async exchangeGetRates() {
+    /**
+     * Get current exchange rates for all supported currencies
+     * Conversion rates to CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+     * @since      1/21/2022
+     * @return {Object} Returns exchange rates, throws RoninApiError on failure.
+     */
+    return this._cached("exchangeGetRates", [], async () => {
+      let url = `${this.exchangeUrl}/`;
+      let res = await this._request({ method: "get", url });
+      return res.data;
+    });
+  }
+}
+
+function createClient(options) {
+  /**
+   * Returns a new RoninClient configured with the given options
+   * @param {Object} options - see RoninClient constructor
+   * @since      10/19/2026
+   * @return {RoninClient} Returns client instance.
+   */
+  return new RoninClient(options);
+}
+
+module.exports = {
+  RoninClient,
+  createClient,
+  DEFAULT_OPTIONS,
+};
@@ -0,0 +1,251 @@
+const { keccak256 } = require("js-sha3");
+
+const WORD = 32;
+
+function parseParam(text) {
+  let parts = text.trim().split(/\s+/);
+  let type = parts.shift();
+  let indexed = parts[0] === "indexed";
+  if (indexed) {
+    parts.shift();
+  }
+  return { type, name: parts[0] || "", indexed };
+}
+
+function parseParamList(text) {
+  let trimmed = text.trim();
+  return trimmed ? trimmed.split(",").map(parseParam) : [];
+}
+
+function parseFragment(fragment) {
+  /**
+   * Parses a human readable ABI entry, e.g. 'event Transfer(address indexed from, address indexed to, uint256 value)'
+   * JSON ABI entries are returned as they are, tuple types are only supported in JSON form
+   * @param {String, Object} fragment - human readable or JSON ABI entry
+   * @since      10/19/2026
+   * @return {Object} Returns JSON ABI entry.
+   */
+  if (typeof fragment !== "string") {
+    return fragment;
+  }
+  let match = fragment
+    .trim()
+    .match(
+      /^(function|event)\s+(\w+)\s*\(([^)]*)\)(?:.*?returns\s*\(([^)]*)\))?/
+    );
+  if (!match) {
+    throw new Error(`Unsupported ABI fragment: ${fragment}`);
+  }
+  let [, kind, name, inputs, outputs] = match;
+  return {
+    type: kind,
+    name,
+    inputs: parseParamList(inputs),
+    ...(kind === "function" && { outputs: parseParamList(outputs || "") }),
+  };
+}
+
+function arrayInfo(type) {
+  let match = type.match(/^(.*)\[(\d*)\]$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    childType: match[1],
+    length: match[2] === "" ? null : Number(match[2]),
+  };
+}
+
+function childParam(param, childType) {
+  return { ...param, type: childType, name: "" };
+}
+
+function canonicalType(param) {
+  let array = arrayInfo(param.type);
+  if (array) {
+    let child = canonicalType(childParam(param, array.childType));
+    return `${child}[${array.length === null ? "" : array.length}]`;
+  }
+  if (param.type === "tuple") {
+    return `(${param.components.map(canonicalType).join(",")})`;
+  }
+  if (param.type === "uint" || param.type === "int") {
+    return `${param.type}256`;
+  }
+  return param.type;
+}
+
+function fragmentSignature(fragment) {
+  return `${fragment.name}(${fragment.inputs.map(canonicalType).join(",")})`;
+}
+
+function functionSelector(fragment) {
+  return "0x" + keccak256(fragmentSignature(fragment)).slice(0, 8);
+}
+
+function eventTopic(fragment) {
+  return "0x" + keccak256(fragmentSignature(fragment));
+}
+
+function isDynamic(param) {
+  let array = arrayInfo(param.type);
+  if (array) {
+    return (
+      array.length === null || isDynamic(childParam(param, array.childType))
+    );
+  }
+  if (param.type === "tuple") {
+    return param.components.some(isDynamic);
+  }
+  return param.type === "bytes" || param.type === "string";
+}
+
+function headSize(param) {
+  if (isDynamic(param)) {
+    return WORD;
+  }
+  let array = arrayInfo(param.type);
+  if (array) {
+    return array.length * headSize(childParam(param, array.childType));
+  }
+  if (param.type === "tuple") {
+    return param.components.reduce((size, c) => size + headSize(c), 0);
+  }
+  return WORD;
+}
+
+function readWord(bytes, position) {
+  if (position < 0 || position + WORD > bytes.length) {
+    throw new Error(`ABI data too short, needed word at ${position}`);
+  }
+  return bytes.subarray(position, position + WORD);
+}
+
+function readUint(bytes, position) {
+  return BigInt("0x" + readWord(bytes, position).toString("hex"));
+}
+
+function readLength(bytes, position) {
+  let value = readUint(bytes, position);
+  if (value > BigInt(bytes.length)) {
+    throw new Error(`ABI length out of range at ${position}`);
+  }
+  return Number(value);
+}
+
+function decodeTuple(params, bytes, base) {
+  let values = [];
+  let position = base;
+  for (let param of params) {
+    if (isDynamic(param)) {
+      values.push(
+        decodeValue(param, bytes, base + readLength(bytes, position))
+      );
+      position += WORD;
+    } else {
+      values.push(decodeValue(param, bytes, position));
+      position += headSize(param);
+    }
+  }
+  return values;
+}
+
+function namedValues(params, values) {
+  let result = {};
+  params.forEach((param, i) => {
+    result[param.name || String(i)] = values[i];
+  });
+  return result;
+}
+
+function decodeValue(param, bytes, position) {
+  let array = arrayInfo(param.type);
+  if (array) {
+    let child = childParam(param, array.childType);
+    let length = array.length;
+    if (length === null) {
+      length = readLength(bytes, position);
+      position += WORD;
+    }
+    return decodeTuple(new Array(length).fill(child), bytes, position);
+  }
+  if (param.type === "tuple") {
+    let values = decodeTuple(param.components, bytes, position);
+    return namedValues(param.components, values);
+  }
+  if (param.type === "bytes" || param.type === "string") {
+    let length = readLength(bytes, position);
+    let start = position + WORD;
+    if (start + length > bytes.length) {
+      throw new Error(`ABI data too short for ${param.type} at ${position}`);
+    }
+    let data = bytes.subarray(start, start + length);
+    return param.type === "string"
+      ? data.toString("utf8")
+      : "0x" + data.toString("hex");
+  }
+  let word = readWord(bytes, position);
+  if (param.type === "address") {
+    return "0x" + word.subarray(12).toString("hex");
+  }
+  if (param.type === "bool") {
+    return word[WORD - 1] === 1;
+  }
+  let fixedBytes = param.type.match(/^bytes(\d+)$/);
+  if (fixedBytes) {
+    return "0x" + word.subarray(0, Number(fixedBytes[1])).toString("hex");
+  }
+  let integer = param.type.match(/^(u?)int(\d*)$/);
+  if (integer) {
+    let value = BigInt("0x" + word.toString("hex"));
+    // signed values are sign extended to the full word
+    if (!integer[1] && value >= 1n << 255n) {
+      value -= 1n << 256n;
+    }
+    return value.toString();
+  }
+  throw new Error(`Unsupported ABI type: ${param.type}`);
+}
+
+function hexToBytes(hex) {
+  let body = (hex || "").replace(/^0x/i, "");
+  if (body.length % 2 !== 0 || /[^0-9a-f]/i.test(body)) {
+    throw new Error("Invalid hex data");
+  }
+  return Buffer.from(body, "hex");
+}
+
+function decodeValues(params, data) {
+  /**
+   * Decodes ABI encoded data into an array of values, see decodeParameters
+   * @param {Array} params - JSON ABI params
+   * @param {String} data - '0x' hex data
+   * @since      10/19/2026
+   * @return {Array} Returns values in param order.
+   */
+  let bytes = typeof data === "string" ? hexToBytes(data) : data;
+  return decodeTuple(params, bytes, 0);
+}
+
+function decodeParameters(params, data) {
+  /**
+   * Decodes ABI encoded data into named values
+   * Integers are returned as decimal strings, addresses as lower case '0x' strings, bytes as '0x' hex
+   * @param {Array} params - JSON ABI params, e.g. fragment.inputs
+   * @param {String} data - '0x' hex data
+   * @since      10/19/2026
+   * @return {Object} Returns values keyed by param name, or by position for unnamed params.
+   */
+  return namedValues(params, decodeValues(params, data));
+}
+
+module.exports = {
+  parseFragment,
+  fragmentSignature,
+  functionSelector,
+  eventTopic,
+  isDynamic,
+  hexToBytes,
+  decodeValues,
+  decodeParameters,
+};
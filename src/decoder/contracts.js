@@ -0,0 +1,135 @@
+const ERC20_ABI = [
+  "function transfer(address to, uint256 value) returns (bool)",
+  "function transferFrom(address from, address to, uint256 value) returns (bool)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+];
+
+const ERC721_ABI = [
+  "function transferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+  "function approve(address to, uint256 tokenId)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+  "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+];
+
+const WRAPPED_NATIVE_ABI = [
+  ...ERC20_ABI,
+  "function deposit()",
+  "function withdraw(uint256 wad)",
+  "event Deposit(address indexed dst, uint256 wad)",
+  "event Withdrawal(address indexed src, uint256 wad)",
+];
+
+const KATANA_PAIR_ABI = [
+  ...ERC20_ABI,
+  "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+  "event Sync(uint112 reserve0, uint112 reserve1)",
+];
+
+const KATANA_ROUTER_ABI = [
+  "function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)",
+  "function addLiquidityRON(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountRONMin, address to, uint256 deadline)",
+  "function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)",
+  "function removeLiquidityRON(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountRONMin, address to, uint256 deadline)",
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+  "function swapExactRONForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapTokensForExactRON(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+  "function swapExactTokensForRON(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapRONForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)",
+];
+
+const MARKETPLACE_ABI = [
+  "function settleAuction(address _seller, address _token, uint256 _bidAmount, uint256 _listingIndex, uint256 _listingState)",
+];
+
+// contracts the decoder knows out of the box, keyed by symbol, ERC20 tokens with their decimals
+const KNOWN_CONTRACTS = {
+  AXIE: {
+    address: "0x32950db2a7164ae833121501c797d79e7b79d74c",
+    name: "Axie",
+    abi: [
+      ...ERC721_ABI,
+      "function breedAxies(uint256 _sireId, uint256 _matronId)",
+    ],
+  },
+  LAND: {
+    address: "0x8c811e3c958e190f5ec15fb376533a3398620500",
+    name: "Axie Land",
+    abi: ERC721_ABI,
+  },
+  ITEM: {
+    address: "0xa96660f0e4a3e9bc7388925d245a6d4d79e21259",
+    name: "Axie Land Item",
+    abi: ERC721_ABI,
+  },
+  WETH: {
+    address: "0xc99a6a985ed2cac1ef41640596c5a5f9f4e19ef5",
+    name: "Ronin Wrapped Ether",
+    decimals: 18,
+    abi: ERC20_ABI,
+  },
+  AXS: {
+    address: "0x97a9107c1793bc407d6f527b77e7fff4d812bece",
+    name: "Axie Infinity Shard",
+    decimals: 18,
+    abi: ERC20_ABI,
+  },
+  SLP: {
+    address: "0xa8754b9fa15fc18bb59458815510e40a12cd2014",
+    name: "Smooth Love Potion",
+    decimals: 0,
+    abi: [
+      ...ERC20_ABI,
+      "function checkpoint(address _owner, uint256 _amount, uint256 _createdAt, bytes _signature)",
+    ],
+  },
+  USDC: {
+    address: "0x0b7007c13325c48911f73a2dad5fa5dcbf808adc",
+    name: "USD Coin",
+    decimals: 6,
+    abi: ERC20_ABI,
+  },
+  WRON: {
+    address: "0xe514d9deb7966c8be0ca922de8a064264ea6bcd4",
+    name: "Wrapped Ronin",
+    decimals: 18,
+    abi: WRAPPED_NATIVE_ABI,
+  },
+  MARKETPLACE: {
+    address: "0x213073989821f738a7ba3520c3d31a1f9ad31bbd",
+    name: "Axie Marketplace",
+    abi: MARKETPLACE_ABI,
+  },
+  KATANA_ROUTER: {
+    address: "0x7d0556d55ca1a92708681e2e231733ebd922597d",
+    name: "Katana Router",
+    abi: KATANA_ROUTER_ABI,
+  },
+};
+
+// events decoded on any contract, e.g. transfers of unknown tokens and Katana pairs
+const GENERIC_EVENTS = [
+  ...ERC20_ABI,
+  ...ERC721_ABI,
+  ...WRAPPED_NATIVE_ABI,
+  ...KATANA_PAIR_ABI,
+].filter((fragment) => fragment.startsWith("event"));
+
+module.exports = {
+  ERC20_ABI,
+  ERC721_ABI,
+  WRAPPED_NATIVE_ABI,
+  KATANA_PAIR_ABI,
+  KATANA_ROUTER_ABI,
+  MARKETPLACE_ABI,
+  KNOWN_CONTRACTS,
+  GENERIC_EVENTS,
+};
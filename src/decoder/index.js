@@ -0,0 +1,227 @@
+const { toHexAddress } = require("../address");
+const {
+  parseFragment,
+  fragmentSignature,
+  functionSelector,
+  eventTopic,
+  decodeParameters,
+  decodeValues,
+  hexToBytes,
+} = require("./abi");
+const { KNOWN_CONTRACTS, GENERIC_EVENTS } = require("./contracts");
+
+const HASHED_TOPIC_TYPE = /^(string|bytes|tuple)$|\[/;
+
+function eventKey(topic, indexedCount) {
+  return `${topic.toLowerCase()}:${indexedCount}`;
+}
+
+function buildEvents(abi, events = new Map()) {
+  for (let fragment of abi.map(parseFragment)) {
+    if (fragment.type !== "event" || fragment.anonymous) {
+      continue;
+    }
+    let indexedCount = fragment.inputs.filter((i) => i.indexed).length;
+    events.set(eventKey(eventTopic(fragment), indexedCount), fragment);
+  }
+  return events;
+}
+
+class TransactionDecoder {
+  constructor({ contracts = KNOWN_CONTRACTS } = {}) {
+    /**
+     * Decodes transaction input and logs locally using registered ABIs
+     * Comes with the ABIs of the known Ronin contracts (AXIE, LAND, ITEM, WETH, AXS, SLP, USDC, WRON, marketplace, Katana router)
+     * @param {Object} options - { contracts: KNOWN_CONTRACTS }, contracts keyed by symbol: { address, name, abi }
+     * @since      10/19/2026
+     */
+    this._contracts = new Map();
+    this._genericEvents = buildEvents(GENERIC_EVENTS);
+    for (let [symbol, contract] of Object.entries(contracts)) {
+      this.registerAbi(contract.address, contract.abi, {
+        name: contract.name,
+        symbol,
+      });
+    }
+  }
+
+  registerAbi(address, abi, { name = null, symbol = null } = {}) {
+    /**
+     * Adds an ABI for a contract, merged with any ABI registered for it before
+     * @param {String} address - 'ronin:' or '0x' formatted contract address
+     * @param {Array} abi - JSON ABI or human readable entries, e.g. 'function transfer(address to, uint256 value)'
+     * @param {Object} info - { name, symbol } of the contract
+     * @since      10/19/2026
+     * @return {TransactionDecoder} Returns the decoder.
+     */
+    let key = toHexAddress(address);
+    let contract = this._contracts.get(key) || {
+      address: key,
+      name,
+      symbol,
+      functions: new Map(),
+      events: new Map(),
+    };
+    contract.name = name || contract.name;
+    contract.symbol = symbol || contract.symbol;
+    for (let fragment of abi.map(parseFragment)) {
+      if (fragment.type === "function") {
+        contract.functions.set(functionSelector(fragment), fragment);
+      }
+    }
+    buildEvents(abi, contract.events);
+    this._contracts.set(key, contract);
+    return this;
+  }
+
+  getContract(address) {
+    /**
+     * Returns the registered contract info for an address
+     * @param {String} address - 'ronin:' or '0x' formatted contract address
+     * @since      10/19/2026
+     * @return {Object} Returns { address, name, symbol } or null.
+     */
+    let contract = address && this._contracts.get(toHexAddress(address));
+    if (!contract) {
+      return null;
+    }
+    let { name, symbol } = contract;
+    return { address: contract.address, name, symbol };
+  }
+
+  decodeInput(to, input) {
+    /**
+     * Decodes the call data of a transaction
+     * @param {String} to - 'ronin:' or '0x' address of the called contract
+     * @param {String} input - '0x' call data, transaction.input
+     * @since      10/19/2026
+     * @return {Object} Returns { method, signature, selector, args } or null if the method is unknown.
+     * Sample response:
+     * {
+          method: 'safeTransferFrom',
+          signature: 'safeTransferFrom(address,address,uint256)',
+          selector: '0x42842e0e',
+          args: {
+            from: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+            to: '0xd0e1739f15e09a5f3cdf8bbd6eb8a532e2d9d895',
+            tokenId: '2673559'
+          }
+       }
+     */
+    if (!to || !input || input.length < 10) {
+      return null;
+    }
+    let selector = input.slice(0, 10).toLowerCase();
+    let fragment = this._contracts
+      .get(toHexAddress(to))
+      ?.functions.get(selector);
+    if (!fragment) {
+      return null;
+    }
+    try {
+      let data = hexToBytes(input).subarray(4);
+      return {
+        method: fragment.name,
+        signature: fragmentSignature(fragment),
+        selector,
+        args: decodeParameters(fragment.inputs, data),
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  decodeLog(log) {
+    /**
+     * Decodes an event log, using the ABI of the emitting contract or the generic Transfer/Approval/Katana pair events
+     * @param {Object} log - { address, topics, data, logIndex }
+     * @since      10/19/2026
+     * @return {Object} Returns { address, contract, event, signature, args, logIndex } or null if the event is unknown.
+     */
+    let topics = log?.topics || [];
+    if (!topics.length) {
+      return null;
+    }
+    let address = log.address?.toLowerCase();
+    let key = eventKey(topics[0], topics.length - 1);
+    let fragment =
+      this._contracts.get(address)?.events.get(key) ||
+      this._genericEvents.get(key);
+    if (!fragment) {
+      return null;
+    }
+    try {
+      let plain = fragment.inputs.filter((param) => !param.indexed);
+      let dataValues = decodeValues(plain, log.data || "0x");
+      let args = {};
+      let topicIndex = 1;
+      let dataIndex = 0;
+      fragment.inputs.forEach((param, i) => {
+        let value;
+        if (!param.indexed) {
+          value = dataValues[dataIndex++];
+        } else if (HASHED_TOPIC_TYPE.test(param.type)) {
+          // dynamic indexed values are only stored as their hash
+          value = topics[topicIndex++];
+        } else {
+          value = decodeValues([param], topics[topicIndex++])[0];
+        }
+        args[param.name || String(i)] = value;
+      });
+      return {
+        address,
+        contract: this.getContract(address),
+        event: fragment.name,
+        signature: fragmentSignature(fragment),
+        args,
+        logIndex: log.logIndex ?? log.log_index ?? null,
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  decodeTransaction(transaction) {
+    /**
+     * Decodes the method call and the event logs of a transaction
+     * @param {Object} transaction - transaction from explorerGetTransactions or explorerGetTransactionDetails,
+     *    or the { contractAddress, callData, logs } format of explorerDecodeTransactionActions
+     * @since      10/19/2026
+     * @return {Object} Returns decoded transaction, method and args are null if the call is unknown.
+     * Sample response:
+     * {
+          hash: '0x8b7a94b7281326420a54ba3c6ab54f2ef5f0bd527576dfa89bc437a9a5eb9d03',
+          contract: { address: '0x213073989821f738a7ba3520c3d31a1f9ad31bbd', name: 'Axie Marketplace', symbol: 'MARKETPLACE' },
+          method: 'settleAuction',
+          signature: 'settleAuction(address,address,uint256,uint256,uint256)',
+          selector: '0x4d51bfc4',
+          args: {
+            _seller: '0xf48a09b0af4b51048df65ac575e01d892cf9dabc',
+            _token: '0xc99a6a985ed2cac1ef41640596c5a5f9f4e19ef5',
+            _bidAmount: '20000000000000000',
+            _listingIndex: '2309576',
+            _listingState: '37149837264585971795754439363397059444648236258270178306687006402596657986613'
+          },
+          events: []
+       }
+     */
+    let to = transaction.to ?? transaction.contractAddress;
+    to = to ? toHexAddress(to) : null;
+    let input = transaction.input ?? transaction.callData;
+    let call = this.decodeInput(to, input);
+    let logs = transaction.logs || [];
+    return {
+      hash: transaction.hash ?? null,
+      contract: this.getContract(to),
+      method: call?.method ?? null,
+      signature: call?.signature ?? null,
+      selector: call?.selector ?? input?.slice(0, 10) ?? null,
+      args: call?.args ?? null,
+      events: logs.map((log) => this.decodeLog(log)).filter(Boolean),
+    };
+  }
+}
+
+module.exports = {
+  TransactionDecoder,
+};
@@ -0,0 +1,188 @@
+class RoninApiError extends Error {
+  constructor(message, { url, status, body, cause } = {}) {
+    /**
+     * Base class of all errors thrown by the wrapper
+     * @param {String} message - Error message
+     * @param {Object} details - { url, status, body, cause } of the failed request, where known
+     * @since      10/19/2026
+     */
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.status = status;
+    this.body = body;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+class InvalidAddressError extends RoninApiError {
+  constructor(address, reason = "Invalid address") {
+    super(`${reason}: ${address}`);
+    this.address = address;
+  }
+}
+
+class NotFoundError extends RoninApiError {}
+
+class RateLimitError extends RoninApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+class HttpError extends RoninApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+class UpstreamSchemaError extends RoninApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.endpoint = details.endpoint;
+    this.field = details.field;
+  }
+}
+
+class NetworkError extends RoninApiError {}
+
+class TransactionFailedError extends RoninApiError {
+  constructor(transaction) {
+    super(`Transaction failed: ${transaction.hash}`);
+    this.hash = transaction.hash;
+    this.transaction = transaction;
+  }
+}
+
+class TimeoutError extends RoninApiError {}
+
+class RpcError extends RoninApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code;
+  }
+}
+
+class FixtureNotFoundError extends RoninApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.key = details.key;
+    this.file = details.file;
+  }
+}
+
+function parseRetryAfter(value) {
+  /**
+   * Converts a Retry-After header to milliseconds
+   * @param {String} value - header value, either seconds or a http date
+   * @since      10/19/2026
+   * @return {Number} Returns delay in ms or undefined.
+   */
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  let seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  let date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function toApiError(e, url) {
+  /**
+   * Converts an axios error to the matching RoninApiError
+   * @param {Error} e - error thrown by the http client
+   * @param {String} url - requested url
+   * @since      10/19/2026
+   * @return {Error} Returns RoninApiError, or e itself when it is not a request error.
+   */
+  if (e instanceof RoninApiError) {
+    return e;
+  }
+  url = e.config?.url || url;
+  if (e.response) {
+    let { status, data: body, headers } = e.response;
+    let details = { url, status, body, cause: e };
+    if (status === 404) {
+      return new NotFoundError(`Not found: ${url}`, details);
+    }
+    let retryAfter = parseRetryAfter(headers?.["retry-after"]);
+    if (status === 429) {
+      return new RateLimitError(`Rate limited: ${url}`, {
+        ...details,
+        retryAfter,
+      });
+    }
+    return new HttpError(`Request failed with status ${status}: ${url}`, {
+      ...details,
+      retryAfter,
+    });
+  }
+  if (e.request || e.code || e.isAxiosError) {
+    return new NetworkError(`Network error: ${e.message} (${url})`, {
+      url,
+      cause: e,
+    });
+  }
+  return e;
+}
+
+function responseField(res, keys, url = res?.config?.url) {
+  /**
+   * Reads a nested field from a response body, throws UpstreamSchemaError if any part of the path is missing
+   * @param {Object} res - http response
+   * @param {Array} keys - path to the field, e.g. ['pageProps', 'tokens', 'results']
+   * @param {String} url - requested url, used in the error
+   * @since      10/19/2026
+   * @return {any} Returns the field value.
+   */
+  let value = res?.data;
+  for (let i = 0; i < keys.length; i++) {
+    if (value === null || typeof value !== "object" || !(keys[i] in value)) {
+      let field = keys.slice(0, i + 1).join(".");
+      throw new UpstreamSchemaError(
+        `Unexpected response from ${url}: missing "${field}"`,
+        { url, status: res?.status, body: res?.data, field }
+      );
+    }
+    value = value[keys[i]];
+  }
+  return value;
+}
+
+async function toResult(promise) {
+  /**
+   * Settles a promise into a result object instead of throwing
+   * @param {Promise} promise - any wrapper call
+   * @since      10/19/2026
+   * @return {Object} Returns { ok: true, data } or { ok: false, error }.
+   */
+  try {
+    return { ok: true, data: await promise };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+module.exports = {
+  RoninApiError,
+  InvalidAddressError,
+  NotFoundError,
+  RateLimitError,
+  HttpError,
+  UpstreamSchemaError,
+  NetworkError,
+  TransactionFailedError,
+  TimeoutError,
+  RpcError,
+  FixtureNotFoundError,
+  parseRetryAfter,
+  toApiError,
+  responseField,
+  toResult,
+};
@@ -0,0 +1,339 @@
+const { Readable } = require("stream");
+const { isSameAddress, toRoninAddress } = require("./address");
+const { normalizeTransaction, normalizeTransfer } = require("./models");
+const {
+  paginateReverse,
+  transactionKey,
+  transferKey,
+  rangeBound,
+  isBefore,
+  isAfter,
+} = require("./pagination");
+const { RON_DECIMALS, formatUnits } = require("./units");
+const { checkCurrency, getRate } = require("./valuation");
+
+const EXPORT_COLUMNS = [
+  "block_number",
+  "log_index",
+  "timestamp",
+  "kind",
+  "tx_hash",
+  "from",
+  "to",
+  "direction",
+  "status",
+  "token_type",
+  "token_symbol",
+  "token_address",
+  "token_id",
+  "value",
+  "formatted_value",
+  "fiat_value",
+  "currency",
+];
+
+// transactions sort before the transfers of their block, the explorer has no log index for them
+const KIND_ORDER = { transaction: 0, erc20: 1, erc721: 2 };
+
+function compareKeys(a, b) {
+  return (
+    a.block_number - b.block_number ||
+    (a.log_index ?? -1) - (b.log_index ?? -1) ||
+    KIND_ORDER[a.kind] - KIND_ORDER[b.kind] ||
+    (a.tx_hash < b.tx_hash ? -1 : a.tx_hash > b.tx_hash ? 1 : 0)
+  );
+}
+
+function checkpointOf(row) {
+  /**
+   * Returns the position of an exported row, rows after it are exported when resuming
+   * @param {Object} row - exported row
+   * @since      10/19/2026
+   * @return {Object} Returns { block_number, log_index, kind, tx_hash }.
+   */
+  let { block_number, log_index, kind, tx_hash } = row;
+  return { block_number, log_index, kind, tx_hash };
+}
+
+function parseCsvLine(line) {
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    let char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+function readCheckpoint(content, format = "csv") {
+  /**
+   * Reads the checkpoint from a partially written export, only complete lines are considered
+   * @param {String} content - export written so far
+   * @param {String} format - 'csv' or 'jsonl'
+   * @since      10/19/2026
+   * @return {Object} Returns the checkpoint of the last complete row, or null if there is none.
+   */
+  let lines = String(content).split("\n");
+  lines.pop(); // text after the last newline was not completely written
+  lines = lines.filter((line) => line.trim());
+  if (format === "jsonl") {
+    return lines.length
+      ? checkpointOf(JSON.parse(lines[lines.length - 1]))
+      : null;
+  }
+  if (lines.length < 2) {
+    return null;
+  }
+  let header = parseCsvLine(lines[0]);
+  let cells = parseCsvLine(lines[lines.length - 1]);
+  let row = Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+  return checkpointOf({
+    ...row,
+    block_number: Number(row.block_number),
+    log_index: row.log_index === "" ? null : Number(row.log_index),
+  });
+}
+
+function direction(owner, from, to) {
+  let sent = isSameAddress(from, owner);
+  let received = isSameAddress(to, owner);
+  return sent && received ? "self" : sent ? "out" : received ? "in" : null;
+}
+
+function fiatValue(formatted, symbol, valuation) {
+  if (!valuation || formatted === null) {
+    return null;
+  }
+  let rate = getRate(valuation.rates, symbol, valuation.currency);
+  return rate === null ? null : Number(formatted) * rate;
+}
+
+function transactionRow(owner, transaction, valuation) {
+  let formatted = formatUnits(transaction.value ?? 0n, RON_DECIMALS);
+  return {
+    block_number: transaction.blockNumber,
+    log_index: null,
+    timestamp: transaction.timestamp?.toISOString() ?? null,
+    kind: "transaction",
+    tx_hash: transaction.hash,
+    from: transaction.from,
+    to: transaction.to,
+    direction: direction(owner, transaction.from, transaction.to),
+    status: transaction.status,
+    token_type: null,
+    token_symbol: "RON",
+    token_address: null,
+    token_id: null,
+    value: (transaction.value ?? 0n).toString(),
+    formatted_value: formatted,
+    fiat_value: fiatValue(formatted, "RON", valuation),
+    currency: valuation?.currency ?? null,
+  };
+}
+
+function transferRow(owner, transfer, valuation) {
+  let nft = transfer.tokenType === "ERC721";
+  let formatted = nft
+    ? "1"
+    : formatUnits(transfer.value, transfer.tokenDecimals ?? 0);
+  return {
+    block_number: transfer.blockNumber,
+    log_index: transfer.logIndex,
+    timestamp: transfer.timestamp?.toISOString() ?? null,
+    kind: nft ? "erc721" : "erc20",
+    tx_hash: transfer.txHash,
+    from: transfer.from,
+    to: transfer.to,
+    direction: direction(owner, transfer.from, transfer.to),
+    status: null,
+    token_type: transfer.tokenType,
+    token_symbol: transfer.tokenSymbol,
+    token_address: transfer.tokenAddress,
+    token_id: nft ? transfer.value.toString() : null,
+    value: nft ? "1" : transfer.value.toString(),
+    formatted_value: formatted,
+    fiat_value: nft
+      ? null
+      : fiatValue(formatted, transfer.tokenSymbol, valuation),
+    currency: valuation?.currency ?? null,
+  };
+}
+
+function checkOptions(roninAddress, options) {
+  return {
+    owner: toRoninAddress(roninAddress),
+    lower: rangeBound(options.from),
+    upper: rangeBound(options.to),
+    currency: options.currency ? checkCurrency(options.currency) : null,
+  };
+}
+
+function historySources(client, owner, skip) {
+  // every source yields { model, erc } oldest first
+  let source = (fetchPage, itemKey, erc) => {
+    let normalize = erc ? normalizeTransfer : normalizeTransaction;
+    return (async function* () {
+      let items = paginateReverse(fetchPage, itemKey, {
+        skip: skip && ((item) => skip(normalize(item))),
+      });
+      for await (let item of items) {
+        yield { model: normalize(item), erc };
+      }
+    })();
+  };
+  return [
+    source(
+      (from, size) => client.explorerGetTransactions(owner, from, size),
+      transactionKey,
+      null
+    ),
+    ...[20, 721].map((erc) =>
+      source(
+        (from, size) =>
+          client.explorerGetERCTransfersByRoninAddress(owner, erc, from, size),
+        transferKey,
+        erc
+      )
+    ),
+  ];
+}
+
+async function* blocksOf(sources) {
+  /**
+   * Merges sources ordered oldest first into the entries of one block at a time
+   * Only the next entry of every source is held, sources are read one after the other
+   */
+  let heads = [];
+  for (let source of sources) {
+    heads.push(await source.next());
+  }
+  for (;;) {
+    let live = heads.filter((head) => !head.done);
+    if (!live.length) {
+      return;
+    }
+    let block = Math.min(...live.map((head) => head.value.model.blockNumber));
+    let entries = [];
+    for (let i = 0; i < sources.length; i++) {
+      while (!heads[i].done && heads[i].value.model.blockNumber === block) {
+        entries.push(heads[i].value);
+        heads[i] = await sources[i].next();
+      }
+    }
+    yield entries;
+  }
+}
+
+async function* iterateAddressHistory(client, roninAddress, options = {}) {
+  /**
+   * Yields the merged transaction and ERC20/ERC721 transfer history of an address, oldest first
+   * Pages are fetched from the oldest end and merged block by block, so rows are yielded while fetching continues
+   * Items older than from or the checkpoint are passed over with a binary search over the pages
+   * Rows without a timestamp take the timestamp of their block, with a date range they are skipped if the block has none
+   * @param {RoninClient} client - client used for fetching
+   * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+   * @param {Object} options - see exportAddressHistory
+   * @since      10/19/2026
+   * @return {AsyncGenerator} Yields rows with the EXPORT_COLUMNS fields.
+   */
+  let { owner, lower, upper, currency } = checkOptions(roninAddress, options);
+  let checkpoint = options.checkpoint || null;
+  let byDate = lower?.time !== undefined || upper?.time !== undefined;
+  let valuation = currency
+    ? { currency, rates: await client.exchangeGetRates() }
+    : null;
+  let skip =
+    lower || checkpoint
+      ? (model) =>
+          isBefore(model, lower) ||
+          (!!checkpoint && model.blockNumber < checkpoint.block_number)
+      : null;
+  let sources = historySources(client, owner, skip);
+  for await (let entries of blocksOf(sources)) {
+    let timestamp =
+      entries.find(({ model }) => model.timestamp)?.model.timestamp ?? null;
+    let rows = [];
+    for (let { model, erc } of entries) {
+      if (!model.timestamp) {
+        model = { ...model, timestamp };
+      }
+      if (isAfter(model, upper)) {
+        // sources are ordered, every later row is out of range as well
+        yield* rows.sort(compareKeys);
+        return;
+      }
+      if ((skip && skip(model)) || (byDate && !model.timestamp)) {
+        continue;
+      }
+      let row = erc
+        ? transferRow(owner, model, valuation)
+        : transactionRow(owner, model, valuation);
+      if (!checkpoint || compareKeys(row, checkpoint) > 0) {
+        rows.push(row);
+      }
+    }
+    yield* rows.sort(compareKeys);
+  }
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* exportLines(rows, format, header) {
+  if (format === "csv" && header) {
+    yield EXPORT_COLUMNS.join(",") + "\n";
+  }
+  for await (let row of rows) {
+    yield format === "csv"
+      ? EXPORT_COLUMNS.map((column) => csvCell(row[column])).join(",") + "\n"
+      : JSON.stringify(row) + "\n";
+  }
+}
+
+function exportAddressHistory(client, roninAddress, options = {}) {
+  /**
+   * Streams the merged history of an address as csv or jsonl, see RoninClient#exportAddressHistory
+   * @since      10/19/2026
+   * @return {Readable} Returns a readable stream of text lines.
+   */
+  let { format = "csv", checkpoint = null, header = !checkpoint } = options;
+  if (format !== "csv" && format !== "jsonl") {
+    throw new TypeError(
+      `Unsupported export format ${format}, use csv or jsonl`
+    );
+  }
+  // invalid options throw here instead of failing the stream
+  checkOptions(roninAddress, options);
+  let rows = iterateAddressHistory(client, roninAddress, options);
+  return Readable.from(exportLines(rows, format, header), {
+    objectMode: false,
+  });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  checkpointOf,
+  readCheckpoint,
+  iterateAddressHistory,
+  exportAddressHistory,
+};
@@ -0,0 +1,110 @@
+const { isSameAddress, toHexAddress } = require("./address");
+const { normalizeTransaction } = require("./models");
+const { RON_DECIMALS, formatUnits } = require("./units");
+const { checkCurrency, getRate } = require("./valuation");
+const { rangeBound, isBefore } = require("./pagination");
+
+function transactionFee(transaction) {
+  /**
+   * Returns the RON fee paid for a transaction, gas used times gas price
+   * @param {Object} transaction - transaction from explorerGetTransactions, explorerGetTransactionDetails or a Transaction model
+   * @since      10/19/2026
+   * @return {BigInt} Returns the fee in wei, 0n for free transactions.
+   */
+  let { gasUsed, gasPrice } = normalizeTransaction(transaction);
+  return (gasUsed ?? 0n) * (gasPrice ?? 0n);
+}
+
+function isFreeTransaction(transaction) {
+  /**
+   * Returns whether a transaction used the free transaction quota, which is sent with a gas price of 0
+   * @param {Object} transaction - transaction from explorerGetTransactions, explorerGetTransactionDetails or a Transaction model
+   * @since      10/19/2026
+   * @return {Boolean} Returns true for free transactions.
+   */
+  return (normalizeTransaction(transaction).gasPrice ?? 0n) === 0n;
+}
+
+function feeAmount(fee, rate) {
+  let formattedFee = formatUnits(fee, RON_DECIMALS);
+  return {
+    fee: fee.toString(),
+    formattedFee,
+    value: rate === null ? null : Number(formattedFee) * rate,
+  };
+}
+
+function feeSummary(address, transactions, currency, rates, options = {}) {
+  /**
+   * Summarizes fees paid, free quota usage and gas wasted on failed transactions of an address
+   * Only transactions sent by the address are counted, days are UTC dates of the transaction timestamp
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @param {Array} transactions - transactions from explorerGetTransactions or getAllTransactions
+   * @param {String} currency - one of CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+   * @param {Object} rates - exchangeGetRates response
+   * @param {Object} options - { since: null } block number, date or date string of the oldest transaction to count
+   * @since      10/19/2026
+   * @return {Object} Returns the fee summary, see getFeeSummary.
+   */
+  let code = checkCurrency(currency);
+  let since = rangeBound(options.since);
+  let rate = getRate(rates, "RON", code);
+  let owner = toHexAddress(address);
+  let totals = { transactions: 0, free: 0, paid: 0, failed: 0, fee: 0n };
+  let wasted = { gasUsed: 0n, fee: 0n };
+  let days = new Map();
+  for (let transaction of transactions.map(normalizeTransaction)) {
+    if (
+      !isSameAddress(transaction.from, owner) ||
+      isBefore(transaction, since)
+    ) {
+      continue;
+    }
+    let fee = transactionFee(transaction);
+    let free = isFreeTransaction(transaction);
+    let failed = transaction.status === 0;
+    let date = transaction.timestamp?.toISOString().slice(0, 10) ?? null;
+    let day = days.get(date) || {
+      date,
+      transactions: 0,
+      free: 0,
+      paid: 0,
+      failed: 0,
+      fee: 0n,
+    };
+    for (let entry of [totals, day]) {
+      entry.transactions++;
+      entry[free ? "free" : "paid"]++;
+      entry.failed += failed ? 1 : 0;
+      entry.fee += fee;
+    }
+    if (failed) {
+      wasted.gasUsed += transaction.gasUsed ?? 0n;
+      wasted.fee += fee;
+    }
+    days.set(date, day);
+  }
+  return {
+    address: owner,
+    currency: code,
+    rate,
+    transactions: totals.transactions,
+    free: totals.free,
+    paid: totals.paid,
+    failed: totals.failed,
+    ...feeAmount(totals.fee, rate),
+    wasted: {
+      gasUsed: wasted.gasUsed.toString(),
+      ...feeAmount(wasted.fee, rate),
+    },
+    daily: [...days.values()]
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+      .map((day) => ({ ...day, ...feeAmount(day.fee, rate) })),
+  };
+}
+
+module.exports = {
+  transactionFee,
+  isFreeTransaction,
+  feeSummary,
+};
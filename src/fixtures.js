@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { default: axios } = require("axios");
+const { keccak256 } = require("js-sha3");
+const { FixtureNotFoundError } = require("./errors");
+
+const FIXTURE_MODES = ["record", "replay"];
+
+function keyBody(data) {
+  // JSON-RPC ids count up per client, keyed without them a replay does not depend on the call order
+  let body = typeof data === "string" ? data : JSON.stringify(data);
+  let parsed;
+  try {
+    parsed = typeof data === "string" ? JSON.parse(data) : data;
+  } catch (e) {
+    return body;
+  }
+  if (!parsed || typeof parsed !== "object" || !("jsonrpc" in parsed)) {
+    return body;
+  }
+  let { id, ...request } = parsed;
+  return JSON.stringify(request);
+}
+
+function requestKey(config) {
+  /**
+   * Returns the key a request is recorded under, method, url with query and body
+   * The id of JSON-RPC bodies is not part of the key
+   * @param {Object} config - axios request config as passed to the adapter
+   * @since      10/19/2026
+   * @return {String} Returns e.g. 'GET https://explorer.roninchain.com/api/txs/0x...?from=0&size=10'.
+   */
+  let method = (config.method || "get").toUpperCase();
+  let url = axios.getUri({
+    url: config.url,
+    params: config.params,
+    paramsSerializer: config.paramsSerializer,
+  });
+  let body =
+    config.data === undefined || config.data === null
+      ? ""
+      : keyBody(config.data);
+  return body ? `${method} ${url} ${body}` : `${method} ${url}`;
+}
+
+function fixtureFile(dir, key) {
+  // readable prefix for reviewing fixture diffs, the hash keeps names unique
+  let [method, url] = key.split(" ");
+  let slug = `${method}-${url.replace(/^https?:\/\//, "")}`
+    .replace(/[^a-zA-Z0-9.-]+/g, "_")
+    .slice(0, 80);
+  return path.join(dir, `${slug}-${keccak256(key).slice(0, 12)}.json`);
+}
+
+function encodeBody(data) {
+  // adapters return the raw body, json is stored parsed so fixtures stay readable
+  if (typeof data !== "string") {
+    return { json: data ?? null };
+  }
+  try {
+    return { json: JSON.parse(data) };
+  } catch (e) {
+    return { text: data };
+  }
+}
+
+function decodeBody(body) {
+  return "text" in body ? body.text : JSON.stringify(body.json);
+}
+
+function writeFixture(file, key, response) {
+  let fixture = {
+    request: key,
+    response: {
+      status: response.status,
+      statusText: response.statusText || "",
+      headers: { ...response.headers },
+      ...encodeBody(response.data),
+    },
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + "\n");
+}
+
+function replayResponse(config, fixture) {
+  let { status, statusText, headers } = fixture.response;
+  let response = {
+    data: decodeBody(fixture.response),
+    status,
+    statusText,
+    headers,
+    config,
+    request: {},
+  };
+  let validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(status)) {
+    return response;
+  }
+  // same shape as the errors of the axios http adapter, see toApiError
+  let error = new Error(`Request failed with status code ${status}`);
+  error.config = config;
+  error.response = response;
+  error.isAxiosError = true;
+  throw error;
+}
+
+function createFixtureAdapter({ mode = "replay", dir, adapter } = {}) {
+  /**
+   * Creates an axios adapter that records responses to fixture files or replays them offline
+   * Fixtures are keyed by method, url and body, one json file per request in dir
+   * In replay mode requests without a fixture throw FixtureNotFoundError, nothing is sent
+   * @param {Object} options - { mode: 'replay', dir, adapter } mode is 'record' or 'replay', adapter sends the recorded requests, the axios default adapter by default
+   * @since      10/19/2026
+   * @return {Function} Returns the axios adapter.
+   */
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new TypeError(
+      `Unknown fixture mode ${mode}, use 'record' or 'replay'`
+    );
+  }
+  if (!dir) {
+    throw new TypeError("Fixture dir is required");
+  }
+  let send = adapter || axios.defaults.adapter;
+  return async (config) => {
+    let key = requestKey(config);
+    let file = fixtureFile(dir, key);
+    if (mode === "replay") {
+      if (!fs.existsSync(file)) {
+        throw new FixtureNotFoundError(`No fixture for ${key}`, {
+          url: config.url,
+          key,
+          file,
+        });
+      }
+      return replayResponse(config, JSON.parse(fs.readFileSync(file, "utf8")));
+    }
+    try {
+      let response = await send(config);
+      writeFixture(file, key, response);
+      return response;
+    } catch (e) {
+      // error responses are recorded as well, network errors are not
+      if (e.response) {
+        writeFixture(file, key, e.response);
+      }
+      throw e;
+    }
+  };
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  requestKey,
+  fixtureFile,
+  createFixtureAdapter,
+};
@@ -0,0 +1,285 @@
+const { toHexAddress } = require("./address");
+const { TransactionDecoder } = require("./decoder");
+const { KNOWN_CONTRACTS } = require("./decoder/contracts");
+const { normalizeTransaction, normalizeTransfer } = require("./models");
+const { transferFromLog } = require("./sales");
+const { RON_DECIMALS, formatUnits } = require("./units");
+
+const ROUTER_ADDRESS = KNOWN_CONTRACTS.KATANA_ROUTER.address;
+const WRON_ADDRESS = KNOWN_CONTRACTS.WRON.address;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Katana LP tokens are Uniswap V2 style pair tokens
+const LP_DECIMALS = 18;
+
+// the router wraps RON sent with the call and unwraps WRON paid out, the trader only sees RON
+const RON = { address: null, symbol: "RON", decimals: RON_DECIMALS };
+
+const KNOWN_TOKENS = Object.values(KNOWN_CONTRACTS)
+  .filter((contract) => contract.decimals !== undefined)
+  .map((contract) => contract.address);
+
+function isKatanaTransaction(transaction) {
+  /**
+   * Returns whether a transaction calls the Katana router
+   * @param {Object} transaction - transaction from explorerGetTransactions, explorerGetTransactionDetails or a Transaction model
+   * @since      10/19/2026
+   * @return {Boolean} Returns true for Katana router calls.
+   */
+  let { to } = normalizeTransaction(transaction);
+  return Boolean(to) && toHexAddress(to) === ROUTER_ADDRESS;
+}
+
+function tokenOf(transfer) {
+  return {
+    address: toHexAddress(transfer.tokenAddress),
+    symbol: transfer.tokenSymbol,
+    decimals: transfer.tokenDecimals,
+  };
+}
+
+function amountOf(token, amount, suffix = "") {
+  return {
+    [`amount${suffix}`]: amount.toString(),
+    [`formattedAmount${suffix}`]:
+      token.decimals === null ? null : formatUnits(amount, token.decimals),
+  };
+}
+
+function priceOf(amountIn, amountOut) {
+  // tokenOut per tokenIn
+  let sent = Number(amountIn.formattedAmountIn);
+  let received = Number(amountOut.formattedAmountOut);
+  return amountIn.formattedAmountIn === null ||
+    amountOut.formattedAmountOut === null ||
+    !sent
+    ? null
+    : received / sent;
+}
+
+function swapLeg(tokenIn, amountIn, tokenOut, amountOut) {
+  let sent = amountOf(tokenIn, amountIn, "In");
+  let received = amountOf(tokenOut, amountOut, "Out");
+  return {
+    tokenIn,
+    ...sent,
+    tokenOut,
+    ...received,
+    price: priceOf(sent, received),
+  };
+}
+
+function isLpTransfer(transfer) {
+  let address = toHexAddress(transfer.tokenAddress);
+  return (
+    !KNOWN_TOKENS.includes(address) &&
+    (toHexAddress(transfer.from) === ZERO_ADDRESS ||
+      toHexAddress(transfer.to) === address)
+  );
+}
+
+function traderFlows(trader, transfers, lpAddress) {
+  let flows = new Map();
+  let add = (token, amount) => {
+    let key = token.address ?? token.symbol;
+    let entry = flows.get(key) || { token, amount: 0n };
+    entry.amount += amount;
+    flows.set(key, entry);
+  };
+  for (let transfer of transfers) {
+    let token = tokenOf(transfer);
+    let from = toHexAddress(transfer.from);
+    let to = toHexAddress(transfer.to);
+    if (token.address === lpAddress || from === to) {
+      continue;
+    }
+    if (token.address === WRON_ADDRESS && from === ROUTER_ADDRESS) {
+      add(RON, -transfer.value);
+    }
+    if (token.address === WRON_ADDRESS && to === ROUTER_ADDRESS) {
+      add(RON, transfer.value);
+    }
+    if (to === trader) {
+      add(token, transfer.value);
+    }
+    if (from === trader) {
+      add(token, -transfer.value);
+    }
+  }
+  return [...flows.values()].filter((flow) => flow.amount !== 0n);
+}
+
+function swapLegs(trader, transfers) {
+  // a pair receives the token sold and sends the token bought, hops of a path are separate pairs
+  let pairs = new Map();
+  for (let transfer of transfers) {
+    for (let [side, address] of [
+      ["in", toHexAddress(transfer.to)],
+      ["out", toHexAddress(transfer.from)],
+    ]) {
+      if ([trader, ROUTER_ADDRESS, ZERO_ADDRESS].includes(address)) {
+        continue;
+      }
+      let pair = pairs.get(address) || { in: [], out: [] };
+      pair[side].push(transfer);
+      pairs.set(address, pair);
+    }
+  }
+  let legs = [];
+  for (let [pair, { in: sold, out: bought }] of pairs) {
+    if (sold.length !== 1 || bought.length !== 1) {
+      continue;
+    }
+    legs.push({
+      pair,
+      logIndex: sold[0].logIndex,
+      ...swapLeg(
+        tokenOf(sold[0]),
+        sold[0].value,
+        tokenOf(bought[0]),
+        bought[0].value
+      ),
+    });
+  }
+  return legs
+    .sort((a, b) => a.logIndex - b.logIndex)
+    .map(({ logIndex, ...leg }) => leg);
+}
+
+function activityType(method, lpTransfers, flows) {
+  if (method?.startsWith("swap")) {
+    return "swap";
+  }
+  if (method?.startsWith("addLiquidity")) {
+    return "addLiquidity";
+  }
+  if (method?.startsWith("removeLiquidity")) {
+    return "removeLiquidity";
+  }
+  if (lpTransfers.length) {
+    return lpTransfers.some(
+      (transfer) => toHexAddress(transfer.from) === ZERO_ADDRESS
+    )
+      ? "addLiquidity"
+      : "removeLiquidity";
+  }
+  let sent = flows.filter((flow) => flow.amount < 0n);
+  let received = flows.filter((flow) => flow.amount > 0n);
+  return sent.length === 1 && received.length === 1 ? "swap" : null;
+}
+
+function parseKatanaTransaction(transaction, options = {}) {
+  /**
+   * Parses a Katana swap or liquidity change from the ERC20 Transfer events of a transaction, without the remote decoder
+   * Amounts are seen from the sender, RON wrapped and unwrapped by the router counts as RON
+   * @param {Object} transaction - explorerGetTransactionDetails response or a transaction with logs
+   * @param {Object} options - { transfers: null, decoder: null } transfers of the transaction to use instead of its logs
+   * @since      10/19/2026
+   * @return {Object} Returns the Katana activity, type, swap and liquidity are null for other transactions.
+   * Sample response:
+   * {
+        txHash: '0x2e5f9ed45d8b8c3c1cbd1ef1d5c8a6a1e4bc8f4a9c3f07c6d1c3a8e0b5f4d2a1',
+        blockNumber: 10404520,
+        timestamp: 1642798237,
+        trader: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+        method: 'swapExactTokensForRON',
+        type: 'swap',
+        swap: {
+          tokenIn: { address: '0xa8754b9fa15fc18bb59458815510e40a12cd2014', symbol: 'SLP', decimals: 0 },
+          amountIn: '540',
+          formattedAmountIn: '540',
+          tokenOut: { address: null, symbol: 'RON', decimals: 18 },
+          amountOut: '8210000000000000000',
+          formattedAmountOut: '8.21',
+          price: 0.015203703703703705,
+          legs: [
+            {
+              pair: '0x8f1c5eda143fa3d1bea8b4e92f33562014d30e0d',
+              tokenIn: { address: '0xa8754b9fa15fc18bb59458815510e40a12cd2014', symbol: 'SLP', decimals: 0 },
+              amountIn: '540',
+              formattedAmountIn: '540',
+              tokenOut: { address: '0xe514d9deb7966c8be0ca922de8a064264ea6bcd4', symbol: 'WRON', decimals: 18 },
+              amountOut: '8210000000000000000',
+              formattedAmountOut: '8.21',
+              price: 0.015203703703703705
+            }
+          ]
+        },
+        liquidity: null
+     }
+   */
+  let model = normalizeTransaction(transaction);
+  let decoder = options.decoder || new TransactionDecoder();
+  let trader = toHexAddress(model.from);
+  let transfers = (
+    options.transfers ||
+    (transaction.logs || [])
+      .map((log) =>
+        transferFromLog(
+          {
+            transactionHash: model.hash,
+            blockNumber: model.blockNumber,
+            ...log,
+          },
+          decoder
+        )
+      )
+      .filter(Boolean)
+  )
+    .map(normalizeTransfer)
+    .filter((transfer) => transfer.tokenType !== "ERC721")
+    .sort((a, b) => a.logIndex - b.logIndex);
+  let method = decoder.decodeTransaction(transaction).method;
+  let lpTransfers = transfers.filter(isLpTransfer);
+  let lpAddress = lpTransfers.length
+    ? toHexAddress(lpTransfers[0].tokenAddress)
+    : null;
+  let flows = traderFlows(trader, transfers, lpAddress);
+  let type = activityType(method, lpTransfers, flows);
+  let activity = {
+    txHash: model.hash,
+    blockNumber: model.blockNumber,
+    timestamp: model.timestamp ? model.timestamp.getTime() / 1000 : null,
+    trader,
+    method,
+    type,
+    swap: null,
+    liquidity: null,
+  };
+  let sent = flows.filter((flow) => flow.amount < 0n);
+  let received = flows.filter((flow) => flow.amount > 0n);
+  if (type === "swap" && sent.length === 1 && received.length === 1) {
+    activity.swap = {
+      ...swapLeg(
+        sent[0].token,
+        -sent[0].amount,
+        received[0].token,
+        received[0].amount
+      ),
+      legs: swapLegs(trader, transfers),
+    };
+  }
+  if (lpAddress && (type === "addLiquidity" || type === "removeLiquidity")) {
+    let lpAmount = lpTransfers
+      .filter((transfer) =>
+        type === "addLiquidity"
+          ? toHexAddress(transfer.to) !== ZERO_ADDRESS
+          : toHexAddress(transfer.to) === lpAddress
+      )
+      .reduce((total, transfer) => total + transfer.value, 0n);
+    activity.liquidity = {
+      pair: lpAddress,
+      ...amountOf({ decimals: LP_DECIMALS }, lpAmount, "Lp"),
+      tokens: (type === "addLiquidity" ? sent : received).map((flow) => ({
+        token: flow.token,
+        ...amountOf(flow.token, flow.amount < 0n ? -flow.amount : flow.amount),
+      })),
+    };
+  }
+  return activity;
+}
+
+module.exports = {
+  isKatanaTransaction,
+  parseKatanaTransaction,
+};
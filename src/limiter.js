@@ -0,0 +1,86 @@
+class RateLimiter {
+  constructor({
+    requestsPerSecond = Infinity,
+    burst = Math.max(1, requestsPerSecond),
+    maxConcurrency = Infinity,
+  } = {}) {
+    /**
+     * Token bucket limiter with a cap on concurrently running tasks
+     * @param {Object} options - Limiter options, all optional:
+        {
+            requestsPerSecond: Infinity, // bucket refill rate
+            burst: requestsPerSecond, // bucket size, number of tasks that may start at once
+            maxConcurrency: Infinity // number of tasks that may run at the same time
+        }
+     * @since      10/19/2026
+     */
+    this.requestsPerSecond = requestsPerSecond;
+    this.burst = burst;
+    this.maxConcurrency = maxConcurrency;
+    this.tokens = burst;
+    this.active = 0;
+    this._queue = [];
+    this._refilledAt = Date.now();
+    this._timer = null;
+  }
+
+  schedule(task) {
+    /**
+     * Runs task as soon as a token and a concurrency slot are available
+     * @param {Function} task - () => Promise
+     * @since      10/19/2026
+     * @return {Promise} Returns the result of task.
+     */
+    return new Promise((resolve, reject) => {
+      this._queue.push({ task, resolve, reject });
+      this._drain();
+    });
+  }
+
+  get pending() {
+    return this._queue.length;
+  }
+
+  _refill() {
+    if (!Number.isFinite(this.requestsPerSecond)) {
+      return;
+    }
+    let now = Date.now();
+    let elapsed = (now - this._refilledAt) / 1000;
+    this._refilledAt = now;
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + elapsed * this.requestsPerSecond
+    );
+  }
+
+  _drain() {
+    while (this._queue.length && this.active < this.maxConcurrency) {
+      this._refill();
+      if (this.tokens < 1) {
+        if (!this._timer) {
+          let wait = ((1 - this.tokens) / this.requestsPerSecond) * 1000;
+          this._timer = setTimeout(() => {
+            this._timer = null;
+            this._drain();
+          }, Math.ceil(wait));
+        }
+        return;
+      }
+      this.tokens -= 1;
+      this.active++;
+      let { task, resolve, reject } = this._queue.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._drain();
+        });
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter,
+};
@@ -0,0 +1,275 @@
+const { toRoninAddress } = require("./address");
+const { toBigInt } = require("./units");
+
+function camelToSnake(key) {
+  return key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+}
+
+function field(raw, key) {
+  // explorer responses use either naming style for the same field
+  let value = raw[key];
+  if (value === undefined) {
+    value = raw[camelToSnake(key)];
+  }
+  return value === undefined ? null : value;
+}
+
+function toAddress(value) {
+  return value ? toRoninAddress(value) : null;
+}
+
+function toQuantity(value) {
+  return value === null || value === "" ? null : toBigInt(value);
+}
+
+function toInteger(value) {
+  return value === null || value === "" ? null : Number(value);
+}
+
+function toDate(seconds) {
+  if (seconds === null || seconds instanceof Date) {
+    return seconds;
+  }
+  return new Date(Number(seconds) * 1000);
+}
+
+function publishedDate(nanoseconds) {
+  // published is nanoseconds, already rounded by JSON parsing
+  if (nanoseconds === null || nanoseconds instanceof Date) {
+    return nanoseconds;
+  }
+  return new Date(Math.floor(nanoseconds / 1e6));
+}
+
+function formattedFields(raw, keys) {
+  let fields = {};
+  for (let key of keys) {
+    let value = field(raw, key);
+    if (value !== null) {
+      fields[key] = value;
+    }
+  }
+  return fields;
+}
+
+function normalizeTransaction(raw) {
+  /**
+   * Converts a transaction from any explorer endpoint or the rpc backend to the Transaction model
+   * @param {Object} raw - transaction from explorerGetTransactions, explorerGetLatestTransactions or explorerGetTransactionDetails
+   * @since      10/19/2026
+   * @return {Object} Returns Transaction.
+   * Sample response:
+   * {
+        hash: '0x8b7a94b7281326420a54ba3c6ab54f2ef5f0bd527576dfa89bc437a9a5eb9d03',
+        blockHash: '0x817cb7ba293929808731cd1ee48c1c4972d84fc0c6153e6334232ddaf9acfd89',
+        blockNumber: 10404506,
+        txIndex: 2,
+        from: 'ronin:3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+        to: 'ronin:213073989821f738a7ba3520c3d31a1f9ad31bbd',
+        value: 0n,
+        gas: 698575n,
+        gasPrice: 0n,
+        gasUsed: 29847n,
+        cumulativeGasUsed: 96502n,
+        input: '0x4d51bfc4...',
+        nonce: 19,
+        status: 0,
+        confirmed: true,
+        timestamp: 2022-01-21T20:49:55.000Z,
+        published: 2022-01-21T20:50:25.073Z,
+        contractAddress: null,
+        logs: []
+     }
+   */
+  let transaction = {
+    hash: field(raw, "hash"),
+    blockHash: field(raw, "blockHash"),
+    blockNumber: toInteger(field(raw, "blockNumber")),
+    txIndex: toInteger(field(raw, "txIndex")),
+    from: toAddress(field(raw, "from")),
+    to: toAddress(field(raw, "to")),
+    value: toQuantity(field(raw, "value")),
+    gas: toQuantity(field(raw, "gas")),
+    gasPrice: toQuantity(field(raw, "gasPrice")),
+    gasUsed: toQuantity(field(raw, "gasUsed")),
+    cumulativeGasUsed: toQuantity(field(raw, "cumulativeGasUsed")),
+    input: field(raw, "input"),
+    nonce: toInteger(field(raw, "nonce")),
+    status: toInteger(field(raw, "status")),
+    confirmed: field(raw, "confirmed") === true,
+    timestamp: toDate(field(raw, "timestamp")),
+    published: publishedDate(field(raw, "published")),
+    contractAddress: toAddress(field(raw, "contractAddress")),
+    ...formattedFields(raw, ["formattedValue"]),
+  };
+  if (Array.isArray(raw.logs)) {
+    transaction.logs = raw.logs;
+  }
+  return transaction;
+}
+
+function normalizeTransfer(raw) {
+  /**
+   * Converts an ERC20 or ERC721 transfer to the Transfer model, value is the token id for ERC721 transfers
+   * @param {Object} raw - transfer from explorerGetERCTransfersByRoninAddress, explorerGetERC20Transfers or explorerGetERC721Transfers
+   * @since      10/19/2026
+   * @return {Object} Returns Transfer.
+   * Sample response:
+   * {
+        txHash: '0x7381de4f019a30dbd14e1568772a81e5365dbe879a5c0493604a27662e06399c',
+        logIndex: 9,
+        blockNumber: 10404504,
+        timestamp: 2022-01-21T20:49:49.000Z,
+        from: 'ronin:3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+        to: 'ronin:a99cacd1427f493a95b585a5c7989a08c86a616b',
+        value: 850000000000000n,
+        tokenAddress: 'ronin:c99a6a985ed2cac1ef41640596c5a5f9f4e19ef5',
+        tokenDecimals: 18,
+        tokenName: 'Ronin Wrapped Ether',
+        tokenSymbol: 'WETH',
+        tokenType: 'ERC20'
+     }
+   */
+  return {
+    txHash: field(raw, "txHash"),
+    logIndex: toInteger(field(raw, "logIndex")),
+    blockNumber: toInteger(field(raw, "blockNumber")),
+    timestamp: toDate(field(raw, "timestamp")),
+    from: toAddress(field(raw, "from")),
+    to: toAddress(field(raw, "to")),
+    value: toQuantity(field(raw, "value")),
+    tokenAddress: toAddress(field(raw, "tokenAddress")),
+    tokenDecimals: toInteger(field(raw, "tokenDecimals")),
+    tokenName: field(raw, "tokenName"),
+    tokenSymbol: field(raw, "tokenSymbol"),
+    tokenType: field(raw, "tokenType"),
+    ...formattedFields(raw, ["formattedValue"]),
+  };
+}
+
+function normalizeBlock(raw) {
+  /**
+   * Converts a block from explorerGetLatestBlocks or explorerGetBlockDetails to the Block model
+   * @param {Object} raw - block
+   * @since      10/19/2026
+   * @return {Object} Returns Block.
+   * Sample response:
+   * {
+        number: 10405229,
+        hash: '0x1f67693a19f43caac0fbcdfb4590e92f0596e368567f58d9454b48f888f584a1',
+        parentHash: '0xc09587c536c71f3a6c0c8eea0ccffea5870d644a44cc1af9604cdc1774671e9d',
+        nonce: '0x0',
+        miner: 'ronin:70bb1fb41c8c42f6ddd53a708e2b82209495e455',
+        difficulty: 7n,
+        size: 10165,
+        gasLimit: 100000000n,
+        gasUsed: 4211050n,
+        transactionCount: 31,
+        transactionRoot: '0x4ea5c426de7f7e4a5de1f44cdeff322dfa4db686b0cf70c5886dfaeb9db5fff8',
+        stateRoot: '0xc804fc6db16e837091949e5c72cb06a5eb326f7699afa1ee9a17bd622b611990',
+        receiptsRoot: '0x44e24fda2b4682866b09b244c871ea03f2c4d1961a5f66a99f5a1d3df7176b73',
+        extraData: 'Bytes([216, 131, ...])',
+        confirmed: false,
+        timestamp: 2022-01-21T21:26:04.000Z,
+        published: 2022-01-21T21:26:04.414Z
+     }
+   */
+  return {
+    number: toInteger(field(raw, "number")),
+    hash: field(raw, "hash"),
+    parentHash: field(raw, "parentHash"),
+    nonce: field(raw, "nonce"),
+    miner: toAddress(field(raw, "miner")),
+    difficulty: toQuantity(field(raw, "difficulty")),
+    size: toInteger(field(raw, "size")),
+    gasLimit: toQuantity(field(raw, "gasLimit")),
+    gasUsed: toQuantity(field(raw, "gasUsed")),
+    transactionCount: toInteger(
+      field(raw, "transactionCount") ?? field(raw, "transactions")
+    ),
+    transactionRoot: field(raw, "transactionRoot"),
+    stateRoot: field(raw, "stateRoot"),
+    receiptsRoot: field(raw, "receiptsRoot"),
+    extraData: field(raw, "extraData"),
+    confirmed: field(raw, "confirmed") === true,
+    timestamp: toDate(field(raw, "timestamp")),
+    published: publishedDate(field(raw, "published")),
+  };
+}
+
+function normalizeAccount(raw) {
+  /**
+   * Converts an explorerGetAccount response to the Account model
+   * @param {Object} raw - account
+   * @since      10/19/2026
+   * @return {Object} Returns Account.
+   * Sample response:
+   * {
+        address: 'ronin:3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+        balance: 0n,
+        transactionCount: 26,
+        blockNumber: 10404510,
+        timestamp: null,
+        contractCreator: null,
+        atTx: null,
+        atBlock: null,
+        totalNfts: 0,
+        erc20Networth: 0.00000291999401061816
+     }
+   */
+  return {
+    address: toAddress(field(raw, "address")),
+    balance: toQuantity(field(raw, "balance")),
+    transactionCount: toInteger(field(raw, "transactionCount")),
+    blockNumber: toInteger(field(raw, "blockNumber")),
+    timestamp: toDate(field(raw, "timestamp")),
+    contractCreator: toAddress(field(raw, "contractCreator")),
+    atTx: field(raw, "atTx"),
+    atBlock: toInteger(field(raw, "atBlock")),
+    totalNfts: toInteger(field(raw, "totalNfts")),
+    erc20Networth: field(raw, "erc20Networth"),
+    ...formattedFields(raw, ["formattedBalance"]),
+  };
+}
+
+function normalizeToken(raw) {
+  /**
+   * Converts an explorerGetERC20Tokens or explorerGetERC721Tokens entry to the Token model
+   * @param {Object} raw - token
+   * @since      10/19/2026
+   * @return {Object} Returns Token.
+   * Sample response:
+   * {
+        address: 'ronin:c99a6a985ed2cac1ef41640596c5a5f9f4e19ef5',
+        name: 'Ronin Wrapped Ether',
+        symbol: 'WETH',
+        decimals: 18,
+        tokenType: 'ERC20',
+        totalSupply: 343486206907896403930354n,
+        holders: 866882,
+        transfers: 40036882,
+        atBlock: 777
+     }
+   */
+  return {
+    address: toAddress(field(raw, "address")),
+    name: field(raw, "name"),
+    symbol: field(raw, "symbol"),
+    decimals: toInteger(field(raw, "decimals")),
+    tokenType: field(raw, "tokenType"),
+    totalSupply: toQuantity(field(raw, "totalSupply")),
+    holders: toInteger(field(raw, "holders")),
+    transfers: toInteger(field(raw, "transfers")),
+    atBlock: toInteger(field(raw, "atBlock")),
+    ...formattedFields(raw, ["formattedTotalSupply"]),
+  };
+}
+
+module.exports = {
+  camelToSnake,
+  normalizeTransaction,
+  normalizeTransfer,
+  normalizeBlock,
+  normalizeAccount,
+  normalizeToken,
+};
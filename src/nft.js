@@ -0,0 +1,93 @@
+const { isSameAddress, toHexAddress } = require("./address");
+const { KNOWN_CONTRACTS } = require("./decoder/contracts");
+const { normalizeTransfer } = require("./models");
+
+function resolveContract(contract) {
+  /**
+   * Resolves a collection symbol of KNOWN_CONTRACTS or a contract address
+   * @param {String} contract - e.g. 'AXIE', 'LAND', 'ITEM' or a 'ronin:' or '0x' formatted address
+   * @since      10/19/2026
+   * @return {String} Returns '0x' address, throws InvalidAddressError if it is neither.
+   */
+  let known = KNOWN_CONTRACTS[String(contract).toUpperCase()];
+  return known ? known.address : toHexAddress(contract);
+}
+
+function knownName(address) {
+  let known = Object.values(KNOWN_CONTRACTS).find(
+    (entry) => entry.address === address
+  );
+  return known ? known.name : null;
+}
+
+function replayOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function nftHoldings(address, account, transfers, options = {}) {
+  /**
+   * Replays ERC721 transfers of an address into the token ids it currently owns, grouped by collection
+   * The count of all collections is compared with totalNfts of the account, also when a contract is given
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @param {Object} account - explorerGetAccount response
+   * @param {Array} transfers - all ERC721 transfers of the address, in any order
+   * @param {Object} options - { contract: null } collection symbol or address to return
+   * @since      10/19/2026
+   * @return {Object} Returns holdings per collection, see getNftHoldings.
+   */
+  let owner = toHexAddress(address);
+  let contract = options.contract ? resolveContract(options.contract) : null;
+  let models = transfers
+    .map(normalizeTransfer)
+    .filter((transfer) => transfer.tokenType === "ERC721")
+    .sort(replayOrder);
+  let collections = new Map();
+  for (let transfer of models) {
+    let tokenAddress = toHexAddress(transfer.tokenAddress);
+    let collection = collections.get(tokenAddress) || {
+      address: tokenAddress,
+      symbol: transfer.tokenSymbol,
+      name: transfer.tokenName || knownName(tokenAddress),
+      tokens: new Map(),
+    };
+    collections.set(tokenAddress, collection);
+    let tokenId = transfer.value.toString();
+    let received = isSameAddress(transfer.to, owner);
+    let sent = isSameAddress(transfer.from, owner);
+    if (received && !sent) {
+      // re-inserting keeps tokens in acquisition order
+      collection.tokens.delete(tokenId);
+      collection.tokens.set(tokenId, {
+        tokenId,
+        txHash: transfer.txHash,
+        blockNumber: transfer.blockNumber,
+        timestamp: transfer.timestamp.getTime() / 1000,
+      });
+    } else if (sent && !received) {
+      collection.tokens.delete(tokenId);
+    }
+  }
+  let all = [...collections.values()]
+    .map(({ tokens, ...collection }) => ({
+      ...collection,
+      count: tokens.size,
+      tokens: [...tokens.values()],
+    }))
+    .filter((collection) => collection.count > 0);
+  let count = all.reduce((sum, collection) => sum + collection.count, 0);
+  let totalNfts = account?.totalNfts ?? null;
+  return {
+    address: owner,
+    count,
+    totalNfts,
+    consistent: totalNfts === null ? null : count === Number(totalNfts),
+    collections: contract
+      ? all.filter((collection) => collection.address === contract)
+      : all,
+  };
+}
+
+module.exports = {
+  resolveContract,
+  nftHoldings,
+};
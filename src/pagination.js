@@ -0,0 +1,199 @@
+// largest page the explorer /api endpoints serve
+const MAX_PAGE_SIZE = 100;
+// default cap of the getAll* helpers, iterators are unbounded by default
+const DEFAULT_MAX_ITEMS = 10000;
+
+async function* paginate(
+  fetchPage,
+  itemKey,
+  { from = 0, pageSize = MAX_PAGE_SIZE, maxItems = Infinity } = {}
+) {
+  /**
+   * Walks an offset based { total, results } endpoint page by page
+   * New items pushed in front while scanning shift the offsets, the resulting duplicates are skipped by itemKey
+   * @param {Function} fetchPage - (from, size) => Promise<{ total, results }>
+   * @param {Function} itemKey - item => unique key of the item
+   * @param {Object} options - { from, pageSize, maxItems }
+   * @since      10/19/2026
+   * @return {AsyncGenerator} Yields items one by one.
+   */
+  let size = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+  let offset = from;
+  let seen = new Set();
+  let yielded = 0;
+  while (yielded < maxItems) {
+    let page = await fetchPage(offset, size);
+    let results = page.results || [];
+    for (let item of results) {
+      let key = itemKey(item);
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      yield item;
+      if (++yielded >= maxItems) {
+        return;
+      }
+    }
+    offset += results.length;
+    if (results.length === 0 || offset >= page.total) {
+      return;
+    }
+  }
+}
+
+async function seekPosition(fetchPage, total, skip) {
+  // binary search for the first item, counted from the oldest, that skip rejects
+  let low = 0;
+  let high = total;
+  while (low < high) {
+    let mid = Math.floor((low + high) / 2);
+    let page = await fetchPage(total - mid - 1, 1);
+    if (page.total !== total) {
+      // items were pushed in front, positions from the oldest item are unchanged
+      high = high === total ? page.total : Math.min(high, page.total);
+      low = Math.min(low, high);
+      total = page.total;
+      continue;
+    }
+    let item = (page.results || [])[0];
+    if (item !== undefined && skip(item)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return { position: low, total };
+}
+
+async function* paginateReverse(
+  fetchPage,
+  itemKey,
+  { pageSize = MAX_PAGE_SIZE, skip = null } = {}
+) {
+  /**
+   * Walks an offset based, newest first { total, results } endpoint from the oldest item to the newest
+   * Positions are counted from the oldest item, so items pushed in front while scanning do not shift them
+   * @param {Function} fetchPage - (from, size) => Promise<{ total, results }>
+   * @param {Function} itemKey - item => unique key of the item
+   * @param {Object} options - { pageSize, skip } skip(item) is true for leading old items that are not needed,
+   *    they are passed over with a binary search instead of being fetched, skip must be false for every newer item once it is false
+   * @since      10/19/2026
+   * @return {AsyncGenerator} Yields items one by one, oldest first.
+   */
+  let size = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+  let first = await fetchPage(0, size);
+  let results = first.results || [];
+  let total = first.total;
+  if (total <= results.length) {
+    // everything fits the first page
+    for (let item of [...results].reverse()) {
+      if (!skip || !skip(item)) {
+        yield item;
+      }
+    }
+    return;
+  }
+  let position = 0;
+  if (skip) {
+    ({ position, total } = await seekPosition(fetchPage, total, skip));
+  }
+  let previous = new Set();
+  while (position < total) {
+    let offset = Math.max(0, total - position - size);
+    let page = await fetchPage(offset, total - position - offset);
+    if (page.total !== total) {
+      // the offsets were computed from an outdated total
+      total = page.total;
+      continue;
+    }
+    results = page.results || [];
+    if (!results.length) {
+      return;
+    }
+    // a reorg can move an item across a page boundary, only neighbouring pages can repeat it
+    let keys = new Set();
+    for (let item of [...results].reverse()) {
+      let key = itemKey(item);
+      keys.add(key);
+      if (!previous.has(key)) {
+        yield item;
+      }
+    }
+    previous = keys;
+    position += results.length;
+  }
+}
+
+async function collect(iterator) {
+  /**
+   * Collects all items of an async iterator into an array
+   * @param {AsyncIterable} iterator - e.g. iterateTransactions(...)
+   * @since      10/19/2026
+   * @return {Array} Returns all items.
+   */
+  let items = [];
+  for await (let item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
+
+function transactionKey(transaction) {
+  return transaction.hash;
+}
+
+function transferKey(transfer) {
+  let hash = transfer.tx_hash ?? transfer.txHash;
+  let logIndex = transfer.log_index ?? transfer.logIndex;
+  return `${hash}:${logIndex}`;
+}
+
+function rangeBound(value) {
+  // numbers are block numbers, dates and date strings compare with the timestamp
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === "number") {
+    return { block: value };
+  }
+  let time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new TypeError(`Invalid range bound: ${value}`);
+  }
+  return { time };
+}
+
+// a model without a timestamp is neither before nor after a date bound, callers decide what to do with it
+function isBefore(model, bound) {
+  if (!bound) {
+    return false;
+  }
+  if (bound.block !== undefined) {
+    return model.blockNumber < bound.block;
+  }
+  return !!model.timestamp && model.timestamp.getTime() < bound.time;
+}
+
+function isAfter(model, bound) {
+  if (!bound) {
+    return false;
+  }
+  if (bound.block !== undefined) {
+    return model.blockNumber > bound.block;
+  }
+  return !!model.timestamp && model.timestamp.getTime() > bound.time;
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  DEFAULT_MAX_ITEMS,
+  paginate,
+  paginateReverse,
+  collect,
+  transactionKey,
+  transferKey,
+  rangeBound,
+  isBefore,
+  isAfter,
+};
@@ -0,0 +1,100 @@
+const { RateLimitError, HttpError, NetworkError } = require("./errors");
+
+const DEFAULT_RETRY = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  retryStatuses: [408, 500, 502, 503, 504],
+  onRetry: null,
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, createError) {
+  /**
+   * Rejects with createError() if promise does not settle within ms
+   * The underlying work is not cancelled, its result is ignored
+   * @param {Promise} promise - any promise
+   * @param {Number} ms - time limit
+   * @param {Function} createError - () => Error
+   * @since      10/19/2026
+   * @return {any} Returns the result of promise.
+   */
+  let timer;
+  let timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createError()), Math.max(0, ms));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isRetryable(error, retryStatuses) {
+  if (error instanceof RateLimitError || error instanceof NetworkError) {
+    return true;
+  }
+  return error instanceof HttpError && retryStatuses.includes(error.status);
+}
+
+function retryDelay(attempt, error, options) {
+  /**
+   * Returns how long to wait before the given retry attempt
+   * Uses the Retry-After delay of the response, capped at maxDelay, else exponential backoff with equal jitter
+   * @param {Number} attempt - 1 for the first retry
+   * @param {Error} error - error of the failed attempt
+   * @param {Object} options - retry options, see DEFAULT_RETRY
+   * @since      10/19/2026
+   * @return {Number} Returns delay in ms.
+   */
+  let { minDelay, maxDelay, factor, jitter } = options;
+  if (error.retryAfter !== undefined) {
+    return Math.min(maxDelay, error.retryAfter);
+  }
+  let delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+  return jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+}
+
+async function withRetry(task, options = {}, context = {}) {
+  /**
+   * Runs task, retrying rate limit, network and transient http errors
+   * @param {Function} task - () => Promise
+   * @param {Object} options - retry options, see DEFAULT_RETRY
+   * @param {Object} context - passed on to onRetry, e.g. { url, method }
+   * @since      10/19/2026
+   * @return {any} Returns the result of task, throws the last error once retries are used up.
+   */
+  let config = { ...DEFAULT_RETRY, ...options };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (
+        attempt >= config.retries ||
+        !isRetryable(error, config.retryStatuses)
+      ) {
+        throw error;
+      }
+      let delay = retryDelay(attempt + 1, error, config);
+      if (config.onRetry) {
+        config.onRetry({
+          ...context,
+          attempt: attempt + 1,
+          retries: config.retries,
+          delay,
+          error,
+        });
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  sleep,
+  withTimeout,
+  retryDelay,
+  withRetry,
+};
@@ -0,0 +1,322 @@
+const { toHexAddress } = require("./address");
+const { NotFoundError, RpcError, responseField } = require("./errors");
+
+// blocks on top of a block before the rpc backend reports it as confirmed
+const DEFAULT_CONFIRMATION_BLOCKS = 15;
+
+function hexToNumber(hex) {
+  return hex === null || hex === undefined ? null : Number(BigInt(hex));
+}
+
+function hexToDecimal(hex) {
+  return hex === null || hex === undefined ? null : BigInt(hex).toString();
+}
+
+function toBlockTag(block) {
+  if (typeof block === "string" && !/^\d+$/.test(block)) {
+    return block;
+  }
+  return "0x" + BigInt(block).toString(16);
+}
+
+function formatExtraData(hex) {
+  // the explorer reports extra data as a rust style byte list
+  let body = (hex || "0x").slice(2);
+  let bytes = body.match(/../g) || [];
+  return `Bytes([${bytes.map((byte) => parseInt(byte, 16)).join(", ")}])`;
+}
+
+function logFromRpc(log) {
+  /**
+   * Converts a JSON-RPC log to the shape used by TransactionDecoder#decodeLog
+   * @param {Object} log - eth_getLogs or receipt log
+   * @since      10/19/2026
+   * @return {Object} Returns { address, topics, data, logIndex, blockNumber, blockHash, transactionHash, transactionIndex, removed }.
+   */
+  return {
+    address: log.address?.toLowerCase() ?? null,
+    topics: log.topics || [],
+    data: log.data,
+    logIndex: hexToNumber(log.logIndex),
+    blockNumber: hexToNumber(log.blockNumber),
+    blockHash: log.blockHash ?? null,
+    transactionHash: log.transactionHash ?? null,
+    transactionIndex: hexToNumber(log.transactionIndex),
+    removed: log.removed === true,
+  };
+}
+
+function blockFromRpc(block, latest, confirmationBlocks) {
+  /**
+   * Converts a JSON-RPC block to the explorerGetBlockDetails shape
+   * @param {Object} block - eth_getBlockByNumber result
+   * @param {Number} latest - latest block number, used for confirmed
+   * @param {Number} confirmationBlocks - blocks on top before a block counts as confirmed
+   * @since      10/19/2026
+   * @return {Object} Returns block, see explorerGetBlockDetails.
+   */
+  let number = hexToNumber(block.number);
+  return {
+    number,
+    hash: block.hash,
+    nonce: block.nonce,
+    miner: block.miner?.toLowerCase() ?? null,
+    difficulty: hexToDecimal(block.difficulty),
+    size: hexToNumber(block.size),
+    timestamp: hexToNumber(block.timestamp),
+    transactions: (block.transactions || []).length,
+    confirmed: latest - number >= confirmationBlocks,
+    published: null,
+    parentHash: block.parentHash,
+    transactionRoot: block.transactionsRoot,
+    stateRoot: block.stateRoot,
+    receiptsRoot: block.receiptsRoot,
+    extraData: formatExtraData(block.extraData),
+    gasLimit: hexToDecimal(block.gasLimit),
+    gasUsed: hexToDecimal(block.gasUsed),
+  };
+}
+
+function transactionFromRpc(
+  transaction,
+  receipt,
+  block,
+  latest,
+  confirmationBlocks
+) {
+  /**
+   * Converts a JSON-RPC transaction and its receipt to the explorerGetTransactionDetails shape
+   * @param {Object} transaction - eth_getTransactionByHash result
+   * @param {Object} receipt - eth_getTransactionReceipt result, null while pending
+   * @param {Object} block - eth_getBlockByNumber result of the transaction block, null while pending
+   * @param {Number} latest - latest block number, used for confirmed
+   * @param {Number} confirmationBlocks - blocks on top before a transaction counts as confirmed
+   * @since      10/19/2026
+   * @return {Object} Returns transaction, see explorerGetTransactionDetails.
+   */
+  let blockNumber = hexToNumber(transaction.blockNumber);
+  return {
+    hash: transaction.hash,
+    from: transaction.from?.toLowerCase() ?? null,
+    to: transaction.to?.toLowerCase() ?? null,
+    gas: hexToDecimal(transaction.gas),
+    input: transaction.input,
+    nonce: hexToNumber(transaction.nonce),
+    value: hexToDecimal(transaction.value),
+    timestamp: block ? hexToNumber(block.timestamp) : null,
+    status: receipt ? hexToNumber(receipt.status) : null,
+    confirmed:
+      blockNumber !== null && receipt !== null
+        ? latest - blockNumber >= confirmationBlocks
+        : false,
+    published: null,
+    logs: (receipt?.logs || []).map(logFromRpc),
+    blockHash: transaction.blockHash ?? null,
+    blockNumber,
+    gasPrice: hexToDecimal(transaction.gasPrice),
+    txIndex: hexToNumber(transaction.transactionIndex),
+    gasUsed: receipt ? hexToDecimal(receipt.gasUsed) : null,
+    cumulativeGasUsed: receipt ? hexToDecimal(receipt.cumulativeGasUsed) : null,
+    contractAddress: receipt?.contractAddress?.toLowerCase() ?? null,
+  };
+}
+
+class RpcProvider {
+  constructor(
+    client,
+    url,
+    { confirmationBlocks = DEFAULT_CONFIRMATION_BLOCKS } = {}
+  ) {
+    /**
+     * Reads accounts, blocks, transactions, receipts and logs over standard Ethereum JSON-RPC
+     * Requests go through the client, so its retry, rate limit and timeout settings apply
+     * @param {RoninClient} client - client used for requests
+     * @param {String} url - JSON-RPC endpoint, e.g. 'https://api.roninchain.com/rpc'
+     * @param {Object} options - { confirmationBlocks: 15 }, blocks on top before a block counts as confirmed
+     * @since      10/19/2026
+     */
+    this.client = client;
+    this.url = url;
+    this.confirmationBlocks = confirmationBlocks;
+    this._id = 0;
+  }
+
+  async call(method, params = []) {
+    /**
+     * Sends a single JSON-RPC request
+     * @param {String} method - e.g. 'eth_blockNumber'
+     * @param {Array} params - method params
+     * @since      10/19/2026
+     * @return {any} Returns the result, throws RpcError for JSON-RPC errors or RoninApiError on failure.
+     */
+    let res = await this.client._request({
+      method: "post",
+      url: this.url,
+      data: { jsonrpc: "2.0", id: ++this._id, method, params },
+    });
+    let error = res.data?.error;
+    if (error) {
+      throw new RpcError(`${method} failed: ${error.message}`, {
+        url: this.url,
+        status: res.status,
+        body: res.data,
+        code: error.code,
+      });
+    }
+    return responseField(res, ["result"], this.url);
+  }
+
+  async getBlockNumber() {
+    /**
+     * Returns the latest block number
+     * @since      10/19/2026
+     * @return {Number} Returns block number, throws RoninApiError on failure.
+     */
+    return hexToNumber(await this.call("eth_blockNumber"));
+  }
+
+  async getAccount(roninAddress) {
+    /**
+     * Returns account details in the explorerGetAccount shape, fields the node does not know are null
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @since      10/19/2026
+     * @return {Object} Returns account details, throws RoninApiError on failure.
+     */
+    let address = toHexAddress(roninAddress);
+    let blockNumber = await this.getBlockNumber();
+    let tag = toBlockTag(blockNumber);
+    let [balance, count] = await Promise.all([
+      this.call("eth_getBalance", [address, tag]),
+      this.call("eth_getTransactionCount", [address, tag]),
+    ]);
+    return {
+      address,
+      balance: hexToDecimal(balance),
+      timestamp: null,
+      transactionCount: hexToDecimal(count),
+      blockNumber,
+      contractCreator: null,
+      atTx: null,
+      atBlock: null,
+      totalNfts: null,
+      erc20Networth: null,
+    };
+  }
+
+  async getBlock(blockNumber = "latest") {
+    /**
+     * Returns a block in the explorerGetBlockDetails shape
+     * @param {Number, String} blockNumber - block number or tag, e.g. 'latest'
+     * @since      10/19/2026
+     * @return {Object} Returns block data, throws NotFoundError if the block does not exist or RoninApiError on failure.
+     */
+    let [block, latest] = await Promise.all([
+      this.call("eth_getBlockByNumber", [toBlockTag(blockNumber), false]),
+      this.getBlockNumber(),
+    ]);
+    if (!block) {
+      throw new NotFoundError(`Block not found: ${blockNumber}`, {
+        url: this.url,
+      });
+    }
+    return blockFromRpc(block, latest, this.confirmationBlocks);
+  }
+
+  async getTransaction(txHash) {
+    /**
+     * Returns a transaction with its receipt in the explorerGetTransactionDetails shape
+     * Pending transactions have status, gasUsed and timestamp null and confirmed false
+     * @param {string} txHash - transaction hash
+     * @since      10/19/2026
+     * @return {Object} Returns transaction data, throws NotFoundError if the transaction is unknown or RoninApiError on failure.
+     */
+    let [transaction, receipt, latest] = await Promise.all([
+      this.call("eth_getTransactionByHash", [txHash]),
+      this.call("eth_getTransactionReceipt", [txHash]),
+      this.getBlockNumber(),
+    ]);
+    if (!transaction) {
+      throw new NotFoundError(`Transaction not found: ${txHash}`, {
+        url: this.url,
+      });
+    }
+    let block = transaction.blockNumber
+      ? await this.call("eth_getBlockByNumber", [
+          transaction.blockNumber,
+          false,
+        ])
+      : null;
+    return transactionFromRpc(
+      transaction,
+      receipt,
+      block,
+      latest,
+      this.confirmationBlocks
+    );
+  }
+
+  async getTransactionReceipt(txHash) {
+    /**
+     * Returns the receipt of a mined transaction
+     * @param {string} txHash - transaction hash
+     * @since      10/19/2026
+     * @return {Object} Returns { transactionHash, blockHash, blockNumber, txIndex, from, to, status, gasUsed, cumulativeGasUsed, contractAddress, logs },
+     *    throws NotFoundError if there is no receipt yet or RoninApiError on failure.
+     */
+    let receipt = await this.call("eth_getTransactionReceipt", [txHash]);
+    if (!receipt) {
+      throw new NotFoundError(`Transaction receipt not found: ${txHash}`, {
+        url: this.url,
+      });
+    }
+    return {
+      transactionHash: receipt.transactionHash,
+      blockHash: receipt.blockHash,
+      blockNumber: hexToNumber(receipt.blockNumber),
+      txIndex: hexToNumber(receipt.transactionIndex),
+      from: receipt.from?.toLowerCase() ?? null,
+      to: receipt.to?.toLowerCase() ?? null,
+      status: hexToNumber(receipt.status),
+      gasUsed: hexToDecimal(receipt.gasUsed),
+      cumulativeGasUsed: hexToDecimal(receipt.cumulativeGasUsed),
+      contractAddress: receipt.contractAddress?.toLowerCase() ?? null,
+      logs: (receipt.logs || []).map(logFromRpc),
+    };
+  }
+
+  async getLogs({
+    address,
+    topics,
+    fromBlock = "latest",
+    toBlock = "latest",
+    blockHash,
+  } = {}) {
+    /**
+     * Returns event logs matching a filter
+     * @param {Object} filter - { address, topics, fromBlock, toBlock, blockHash }, addresses may be 'ronin:' or '0x' formatted
+     * @since      10/19/2026
+     * @return {Array} Returns logs, see logFromRpc, throws RoninApiError on failure.
+     */
+    let filter = blockHash
+      ? { blockHash }
+      : { fromBlock: toBlockTag(fromBlock), toBlock: toBlockTag(toBlock) };
+    if (address) {
+      filter.address = Array.isArray(address)
+        ? address.map(toHexAddress)
+        : toHexAddress(address);
+    }
+    if (topics) {
+      filter.topics = topics;
+    }
+    let logs = await this.call("eth_getLogs", [filter]);
+    return logs.map(logFromRpc);
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATION_BLOCKS,
+  logFromRpc,
+  blockFromRpc,
+  transactionFromRpc,
+  RpcProvider,
+};
@@ -0,0 +1,236 @@
+const { keccak256 } = require("js-sha3");
+const { toHexAddress } = require("./address");
+const { TransactionDecoder } = require("./decoder");
+const { KNOWN_CONTRACTS } = require("./decoder/contracts");
+const { normalizeTransfer } = require("./models");
+const { resolveContract } = require("./nft");
+const { formatUnits } = require("./units");
+
+// collections traded on the Axie marketplace
+const SALE_COLLECTIONS = ["AXIE", "LAND", "ITEM"];
+
+const WETH_ADDRESS = KNOWN_CONTRACTS.WETH.address;
+const WETH_DECIMALS = 18;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// topic of the ERC20 and ERC721 Transfer event
+const TRANSFER_TOPIC = "0x" + keccak256("Transfer(address,address,uint256)");
+
+function addressTopic(address) {
+  return "0x" + toHexAddress(address).slice(2).padStart(64, "0");
+}
+
+function transferFromLog(log, decoder) {
+  /**
+   * Converts a Transfer event log to the explorerGetERC20Transfers / explorerGetERC721Transfers shape
+   * Decimals are only known for the ERC20 tokens of KNOWN_CONTRACTS
+   * @param {Object} log - log from rpcGetLogs, a receipt or explorerGetTransactionDetails
+   * @param {TransactionDecoder} decoder - decoder for the Transfer event
+   * @since      10/19/2026
+   * @return {Object} Returns transfer with timestamp null, or null if the log is not a Transfer event.
+   */
+  let decoded = decoder.decodeLog(log);
+  if (!decoded || decoded.event !== "Transfer") {
+    return null;
+  }
+  let nft = decoded.args.tokenId !== undefined;
+  let known = Object.values(KNOWN_CONTRACTS).find(
+    (contract) => contract.address === toHexAddress(log.address)
+  );
+  return {
+    from: decoded.args.from,
+    to: decoded.args.to,
+    value: nft ? decoded.args.tokenId : decoded.args.value,
+    timestamp: null,
+    logIndex: decoded.logIndex,
+    txHash: log.transactionHash ?? null,
+    blockNumber: log.blockNumber ?? null,
+    tokenAddress: log.address,
+    tokenDecimals: nft ? 0 : known?.decimals ?? null,
+    tokenName: decoded.contract?.name ?? null,
+    tokenSymbol: decoded.contract?.symbol ?? null,
+    tokenType: nft ? "ERC721" : "ERC20",
+  };
+}
+
+function settledBids(transactions, decoder) {
+  // settleAuction calls carry the full price, the seller only sees its proceeds
+  let bids = new Map();
+  for (let transaction of transactions) {
+    let decoded = decoder.decodeTransaction(transaction);
+    if (
+      decoded.method === "settleAuction" &&
+      toHexAddress(decoded.args._token) === WETH_ADDRESS
+    ) {
+      bids.set(decoded.hash, BigInt(decoded.args._bidAmount));
+    }
+  }
+  return bids;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0n);
+}
+
+function matchSales(transfers, options = {}) {
+  /**
+   * Correlates marketplace settlements, an ERC721 transfer paid with WETH transfers in the same transaction, into sales
+   * priceWeth is the WETH paid by the buyer, fee is the part the seller did not receive
+   * Transactions moving several tokens of the collections are bundles without a price per token and are skipped
+   * @param {Array} transfers - ERC721 and ERC20 transfers, e.g. of explorerGetERCTransfersByRoninAddress, in any order
+   * @param {Object} options - { contracts: ['AXIE', 'LAND', 'ITEM'], address: null, transactions: [], decoder: null }
+   * address is the owner of the transfers, if given its sales take the price from the settleAuction calls in transactions
+   * @since      10/19/2026
+   * @return {Array} Returns sales, newest first, fee is null if the price is unknown and priceWeth are the seller proceeds.
+   * Sample response:
+   * [
+        {
+          txHash: '0x8b7a94b7281326420a54ba3c6ab54f2ef5f0bd527576dfa89bc437a9a5eb9d03',
+          blockNumber: 10404506,
+          timestamp: 1642798195,
+          contract: '0x32950db2a7164ae833121501c797d79e7b79d74c',
+          collection: 'AXIE',
+          tokenId: '2673559',
+          seller: '0xf48a09b0af4b51048df65ac575e01d892cf9dabc',
+          buyer: '0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3',
+          priceWeth: '20000000000000000',
+          formattedPrice: '0.02',
+          fee: '850000000000000',
+          formattedFee: '0.00085'
+        }
+     ]
+   */
+  let contracts = (options.contracts || SALE_COLLECTIONS).map(resolveContract);
+  let owner = options.address ? toHexAddress(options.address) : null;
+  let bids = options.transactions?.length
+    ? settledBids(
+        options.transactions,
+        options.decoder || new TransactionDecoder()
+      )
+    : new Map();
+  let byTransaction = new Map();
+  for (let transfer of transfers.map(normalizeTransfer)) {
+    let group = byTransaction.get(transfer.txHash) || [];
+    group.push(transfer);
+    byTransaction.set(transfer.txHash, group);
+  }
+  let sales = [];
+  for (let [txHash, group] of byTransaction) {
+    let nfts = group.filter(
+      (transfer) =>
+        transfer.tokenType === "ERC721" &&
+        contracts.includes(toHexAddress(transfer.tokenAddress))
+    );
+    if (nfts.length !== 1 || toHexAddress(nfts[0].from) === ZERO_ADDRESS) {
+      continue;
+    }
+    let [nft] = nfts;
+    let seller = toHexAddress(nft.from);
+    let buyer = toHexAddress(nft.to);
+    let payments = group.filter(
+      (transfer) => toHexAddress(transfer.tokenAddress) === WETH_ADDRESS
+    );
+    let paid = sum(
+      payments
+        .filter((transfer) => toHexAddress(transfer.from) === buyer)
+        .map((transfer) => transfer.value)
+    );
+    let proceeds = sum(
+      payments
+        .filter((transfer) => toHexAddress(transfer.to) === seller)
+        .map((transfer) => transfer.value)
+    );
+    let bid = bids.get(txHash);
+    if (!paid && !proceeds && bid === undefined) {
+      continue; // a gift or a transfer between own wallets
+    }
+    // transfers of the seller show the payment it received, not the fee paid by the buyer
+    let partial = owner === seller && owner !== buyer;
+    let price = partial ? proceeds : paid || proceeds;
+    let fee = !partial && paid ? paid - proceeds : null;
+    if (bid !== undefined) {
+      price = bid;
+      fee = proceeds ? bid - proceeds : null;
+    }
+    let collection = Object.entries(KNOWN_CONTRACTS).find(
+      ([, contract]) => contract.address === toHexAddress(nft.tokenAddress)
+    );
+    sales.push({
+      txHash,
+      blockNumber: nft.blockNumber,
+      timestamp: nft.timestamp ? nft.timestamp.getTime() / 1000 : null,
+      contract: toHexAddress(nft.tokenAddress),
+      collection: collection ? collection[0] : nft.tokenSymbol,
+      tokenId: nft.value.toString(),
+      seller,
+      buyer,
+      priceWeth: price.toString(),
+      formattedPrice: formatUnits(price, WETH_DECIMALS),
+      fee: fee === null ? null : fee.toString(),
+      formattedFee: fee === null ? null : formatUnits(fee, WETH_DECIMALS),
+      logIndex: nft.logIndex,
+    });
+  }
+  return sales
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+    .map(({ logIndex, ...sale }) => sale);
+}
+
+function median(prices) {
+  let sorted = [...prices].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  let middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+function salesStats(sales) {
+  /**
+   * Aggregates sales into volume, median price and floor per collection
+   * floor is the lowest sale price of the given sales, not the lowest current listing
+   * @param {Array} sales - sales from matchSales, getSales or getCollectionSales
+   * @since      10/19/2026
+   * @return {Array} Returns statistics per collection, highest volume first, see getCollectionStats.
+   */
+  let collections = new Map();
+  for (let sale of sales) {
+    let entry = collections.get(sale.contract) || {
+      address: sale.contract,
+      collection: sale.collection,
+      prices: [],
+    };
+    entry.prices.push(BigInt(sale.priceWeth));
+    collections.set(sale.contract, entry);
+  }
+  let amount = (name, value) => ({
+    [name]: value.toString(),
+    [`formatted${name[0].toUpperCase()}${name.slice(1)}`]: formatUnits(
+      value,
+      WETH_DECIMALS
+    ),
+  });
+  return [...collections.values()]
+    .map(({ prices, ...entry }) => ({
+      ...entry,
+      sales: prices.length,
+      ...amount("volume", sum(prices)),
+      ...amount("median", median(prices)),
+      ...amount(
+        "floor",
+        prices.reduce((low, price) => (price < low ? price : low))
+      ),
+    }))
+    .sort((a, b) => {
+      let difference = BigInt(b.volume) - BigInt(a.volume);
+      return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+    });
+}
+
+module.exports = {
+  SALE_COLLECTIONS,
+  TRANSFER_TOPIC,
+  addressTopic,
+  transferFromLog,
+  matchSales,
+  salesStats,
+};
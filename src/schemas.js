@@ -0,0 +1,196 @@
+const { UpstreamSchemaError } = require("./errors");
+
+// field types are typeof names joined with |, "null" allows null, "array" and "object" check the kind only
+const ACCOUNT = {
+  address: "string",
+  balance: "string",
+  transactionCount: "string|number",
+  blockNumber: "number",
+  totalNfts: "number|null",
+  erc20Networth: "number|null",
+};
+
+const TRANSACTION = {
+  hash: "string",
+  block_hash: "string",
+  block_number: "number",
+  from: "string",
+  to: "string|null",
+  gas: "string",
+  gas_price: "string",
+  input: "string",
+  nonce: "number",
+  tx_index: "number",
+  value: "string",
+  timestamp: "number",
+  status: "number",
+  confirmed: "boolean",
+};
+
+const TRANSACTION_DETAILS = {
+  hash: "string",
+  from: "string",
+  to: "string|null",
+  gas: "string",
+  input: "string",
+  nonce: "number",
+  value: "string",
+  timestamp: "number|null",
+  status: "number|null",
+  confirmed: "boolean",
+  logs: "array",
+  blockHash: "string|null",
+  blockNumber: "number|null",
+  gasUsed: "string|null",
+};
+
+const TRANSFER = {
+  from: "string",
+  to: "string",
+  value: "string",
+  log_index: "string|number",
+  tx_hash: "string",
+  block_number: "number",
+  timestamp: "number",
+  token_address: "string",
+  token_decimals: "number",
+  token_symbol: "string",
+  token_type: "string",
+};
+
+const LATEST_TRANSFER = {
+  from: "string",
+  to: "string",
+  value: "string",
+  logIndex: "string|number",
+  txHash: "string",
+  blockNumber: "number",
+  timestamp: "number",
+  tokenAddress: "string",
+  tokenDecimals: "number",
+  tokenSymbol: "string",
+  tokenType: "string",
+};
+
+const BLOCK = {
+  number: "number",
+  hash: "string",
+  parent_hash: "string",
+  miner: "string",
+  timestamp: "number",
+  transactions: "number",
+  confirmed: "boolean",
+};
+
+const BLOCK_DETAILS = {
+  number: "number",
+  hash: "string",
+  parentHash: "string",
+  miner: "string",
+  timestamp: "number",
+  transactions: "number",
+  confirmed: "boolean",
+  extraData: "string",
+  gasUsed: "string",
+};
+
+const TOKEN = {
+  address: "string",
+  symbol: "string",
+  name: "string",
+  decimals: "number",
+  tokenType: "string",
+  totalSupply: "string",
+};
+
+function page(item) {
+  return { total: "number", results: [item] };
+}
+
+const SCHEMAS = {
+  explorerGetAccount: ACCOUNT,
+  explorerGetTransactions: page(TRANSACTION),
+  explorerDecodeTransactionActions: "array|object",
+  explorerGetERCTransfersByRoninAddress: page(TRANSFER),
+  explorerGetLatestBlocks: page(BLOCK),
+  explorerGetLatestTransactions: page(TRANSACTION),
+  explorerGet14DayTransactionVolumes: {
+    overviewData: { totalTxs: "number", totalBlocks: "number" },
+    txChartData: { txCount: "array", label: "array" },
+  },
+  explorerGetERC20Tokens: [TOKEN],
+  explorerGetERC20Transfers: [LATEST_TRANSFER],
+  explorerGetERC721Tokens: [TOKEN],
+  explorerGetERC721Transfers: [LATEST_TRANSFER],
+  explorerGetTransactionDetails: TRANSACTION_DETAILS,
+  explorerGetBlockDetails: BLOCK_DETAILS,
+  exchangeGetRates: "object",
+};
+
+function kindOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+function findMismatch(schema, value, path) {
+  if (typeof schema === "string") {
+    let kind = kindOf(value);
+    return schema.split("|").includes(kind)
+      ? null
+      : { field: path, expected: schema, actual: kind };
+  }
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      return { field: path, expected: "array", actual: kindOf(value) };
+    }
+    for (let i = 0; i < value.length; i++) {
+      let mismatch = findMismatch(schema[0], value[i], `${path}[${i}]`);
+      if (mismatch) {
+        return mismatch;
+      }
+    }
+    return null;
+  }
+  if (kindOf(value) !== "object") {
+    return { field: path, expected: "object", actual: kindOf(value) };
+  }
+  for (let [key, fieldSchema] of Object.entries(schema)) {
+    let field = path ? `${path}.${key}` : key;
+    let mismatch = findMismatch(fieldSchema, value[key], field);
+    if (mismatch) {
+      return mismatch;
+    }
+  }
+  return null;
+}
+
+function validateResponse(endpoint, value) {
+  /**
+   * Checks a response against the expected shape of its endpoint
+   * Only the fields listed in SCHEMAS are checked, additional fields are allowed
+   * @param {String} endpoint - endpoint method name, e.g. 'explorerGetAccount'
+   * @param {any} value - response
+   * @since      10/19/2026
+   * @return {any} Returns value, throws UpstreamSchemaError naming the endpoint and field that does not match.
+   */
+  let schema = SCHEMAS[endpoint];
+  let mismatch = schema && findMismatch(schema, value, "");
+  if (!mismatch) {
+    return value;
+  }
+  let { field, expected, actual } = mismatch;
+  let label = field || "response";
+  throw new UpstreamSchemaError(
+    `${endpoint}: unexpected response, "${label}" should be ${expected} but is ${
+      actual === "undefined" ? "missing" : actual
+    }`,
+    { endpoint, field: label, body: value }
+  );
+}
+
+module.exports = {
+  SCHEMAS,
+  validateResponse,
+};
@@ -0,0 +1,191 @@
+const { toHexAddress } = require("./address");
+const { KNOWN_CONTRACTS } = require("./decoder/contracts");
+const { normalizeTransfer } = require("./models");
+const { rangeBound, isBefore, isAfter } = require("./pagination");
+
+const SLP_ADDRESS = KNOWN_CONTRACTS.SLP.address;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// ratios are applied in millionths so expected payouts stay integers
+const RATIO_PRECISION = 1000000;
+
+function transferOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function slpTransfers(transfers) {
+  return transfers
+    .map(normalizeTransfer)
+    .filter((transfer) => toHexAddress(transfer.tokenAddress) === SLP_ADDRESS)
+    .sort(transferOrder);
+}
+
+function claimOf(transfer) {
+  return {
+    txHash: transfer.txHash,
+    blockNumber: transfer.blockNumber,
+    timestamp: transfer.timestamp ? transfer.timestamp.getTime() / 1000 : null,
+    amount: transfer.value.toString(),
+  };
+}
+
+function claimsOf(address, transfers, options) {
+  let lower = rangeBound(options.from);
+  let upper = rangeBound(options.to);
+  return transfers.filter(
+    (transfer) =>
+      toHexAddress(transfer.from) === ZERO_ADDRESS &&
+      toHexAddress(transfer.to) === address &&
+      !isBefore(transfer, lower) &&
+      !isAfter(transfer, upper)
+  );
+}
+
+function slpClaims(address, transfers, options = {}) {
+  /**
+   * Returns the SLP claims of an address, in-game claims mint SLP from the zero address to the player
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @param {Array} transfers - ERC20 transfers of the address, other tokens are ignored
+   * @param {Object} options - { from: null, to: null } inclusive block numbers, or dates compared with the claim timestamp
+   * @since      10/19/2026
+   * @return {Array} Returns claims, newest first.
+   * Sample response:
+   * [
+        {
+          txHash: '0x5c0e0f4b5a9b6bdb8d1b1d6f8c2a0b0e8c9a0f6d4c3b2a1908f7e6d5c4b3a291',
+          blockNumber: 10400017,
+          timestamp: 1642785051,
+          amount: '150'
+        }
+     ]
+   */
+  let owner = toHexAddress(address);
+  return claimsOf(owner, slpTransfers(transfers), options)
+    .map(claimOf)
+    .reverse();
+}
+
+function shareRecipients(scholar, options) {
+  let ratios = options.ratios;
+  if (!ratios || typeof ratios !== "object" || !Object.keys(ratios).length) {
+    throw new TypeError(
+      "ratios are required, e.g. { manager: 0.6, scholar: 0.4 }"
+    );
+  }
+  let total = 0;
+  let recipients = Object.entries(ratios).map(([recipient, ratio]) => {
+    if (typeof ratio !== "number" || !(ratio >= 0 && ratio <= 1)) {
+      throw new TypeError(`Invalid ratio for ${recipient}: ${ratio}`);
+    }
+    total += ratio;
+    let address;
+    if (recipient === "manager") {
+      if (!options.managerAddress) {
+        throw new TypeError("managerAddress is required for the manager ratio");
+      }
+      address = toHexAddress(options.managerAddress);
+    } else if (recipient === "scholar") {
+      address = options.scholarPayoutAddress
+        ? toHexAddress(options.scholarPayoutAddress)
+        : scholar;
+    } else {
+      address = toHexAddress(recipient);
+    }
+    return { recipient, address, ratio };
+  });
+  if (total > 1 + 1e-9) {
+    throw new TypeError(`ratios add up to ${total}, more than 1`);
+  }
+  return recipients;
+}
+
+function payout(recipient, expected, actual, tolerance) {
+  let difference = actual - expected;
+  return {
+    ...recipient,
+    expected: expected.toString(),
+    actual: actual.toString(),
+    difference: difference.toString(),
+    ok: (difference < 0n ? -difference : difference) <= tolerance,
+  };
+}
+
+function revenueShare(scholarAddress, transfers, options = {}) {
+  /**
+   * Compares the expected split of every SLP claim of a scholar account with the SLP it actually sent out
+   * A claim's period lasts until the next claim, payouts sent in it are attributed to the claim
+   * A share paid to the scholar account itself is what the account kept, the claim minus all SLP sent out in the period
+   * @param {String} scholarAddress - 'ronin:' or '0x' formatted address the claims are minted to
+   * @param {Array} transfers - ERC20 transfers of the scholar account, other tokens are ignored
+   * @param {Object} options - { managerAddress, ratios, scholarPayoutAddress: null, from: null, to: null, tolerance: 1 }
+   * ratios maps 'manager', 'scholar' or an address to its share, e.g. { manager: 0.6, scholar: 0.4 }, the scholar share is paid to scholarPayoutAddress or kept in the account
+   * from and to select the claims, see slpClaims, tolerance is the difference in SLP that still counts as paid
+   * @since      10/19/2026
+   * @return {Object} Returns expected and actual payouts per claim and in total, throws TypeError for invalid ratios.
+   */
+  let scholar = toHexAddress(scholarAddress);
+  let recipients = shareRecipients(scholar, options);
+  let tolerance = BigInt(options.tolerance ?? 1);
+  let models = slpTransfers(transfers);
+  let claims = claimsOf(scholar, models, options);
+  let totals = recipients.map((recipient) => ({
+    ...recipient,
+    expected: 0n,
+    actual: 0n,
+  }));
+  let periods = claims.map((claim) => {
+    let next = models.find(
+      (transfer) =>
+        transferOrder(transfer, claim) > 0 &&
+        toHexAddress(transfer.from) === ZERO_ADDRESS &&
+        toHexAddress(transfer.to) === scholar
+    );
+    let sent = models.filter(
+      (transfer) =>
+        transferOrder(transfer, claim) > 0 &&
+        (!next || transferOrder(transfer, next) < 0) &&
+        toHexAddress(transfer.from) === scholar
+    );
+    let sentTotal = sent.reduce(
+      (total, transfer) => total + transfer.value,
+      0n
+    );
+    let payouts = recipients.map((recipient, i) => {
+      let expected =
+        (claim.value * BigInt(Math.round(recipient.ratio * RATIO_PRECISION))) /
+        BigInt(RATIO_PRECISION);
+      let actual =
+        recipient.address === scholar
+          ? claim.value - sentTotal
+          : sent
+              .filter(
+                (transfer) => toHexAddress(transfer.to) === recipient.address
+              )
+              .reduce((total, transfer) => total + transfer.value, 0n);
+      totals[i].expected += expected;
+      totals[i].actual += actual;
+      return payout(recipient, expected, actual, tolerance);
+    });
+    return {
+      claim: claimOf(claim),
+      payouts,
+      discrepancy: payouts.some((entry) => !entry.ok),
+    };
+  });
+  let claimed = claims.reduce((total, claim) => total + claim.value, 0n);
+  return {
+    scholar,
+    claimed: claimed.toString(),
+    claims: claims.length,
+    discrepancies: periods.filter((period) => period.discrepancy).length,
+    totals: totals.map(({ expected, actual, ...recipient }) =>
+      payout(recipient, expected, actual, tolerance * BigInt(claims.length))
+    ),
+    periods: periods.reverse(),
+  };
+}
+
+module.exports = {
+  slpClaims,
+  revenueShare,
+};
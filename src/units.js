@@ -0,0 +1,149 @@
+// decimals of RON, used for account balances and transaction values
+const RON_DECIMALS = 18;
+
+function toBigInt(value) {
+  /**
+   * Converts a raw integer amount to BigInt without losing precision
+   * @param {String, Number, BigInt} value - e.g. '850000000000000', numbers must be safe integers
+   * @since      10/19/2026
+   * @return {BigInt} Returns the amount, throws TypeError if it is not an integer.
+   */
+  if (typeof value === "bigint") {
+    return value;
+  }
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new TypeError(`Amount is not a safe integer: ${value}`);
+    }
+    return BigInt(value);
+  }
+  if (
+    typeof value === "string" &&
+    /^-?(\d+|0x[0-9a-f]+)$/i.test(value.trim())
+  ) {
+    let trimmed = value.trim();
+    return trimmed.startsWith("-")
+      ? -BigInt(trimmed.slice(1))
+      : BigInt(trimmed);
+  }
+  throw new TypeError(`Invalid amount: ${value}`);
+}
+
+function formatUnits(value, decimals = RON_DECIMALS) {
+  /**
+   * Formats a raw integer amount as a decimal string using the token decimals
+   * @param {String, Number, BigInt} value - raw amount, e.g. '850000000000000'
+   * @param {Number} decimals - token decimals, e.g. 18
+   * @since      10/19/2026
+   * @return {String} Returns formatted amount, e.g. '0.00085'.
+   */
+  let amount = toBigInt(value);
+  let negative = amount < 0n;
+  let digits = (negative ? -amount : amount).toString();
+  decimals = Number(decimals);
+  if (decimals > 0) {
+    digits = digits.padStart(decimals + 1, "0");
+    let whole = digits.slice(0, -decimals);
+    let fraction = digits.slice(-decimals).replace(/0+$/, "");
+    digits = fraction ? `${whole}.${fraction}` : whole;
+  }
+  return negative ? `-${digits}` : digits;
+}
+
+function parseUnits(amount, decimals = RON_DECIMALS) {
+  /**
+   * Parses a decimal amount into a raw integer amount
+   * @param {String, Number} amount - e.g. '0.00085'
+   * @param {Number} decimals - token decimals, e.g. 18
+   * @since      10/19/2026
+   * @return {BigInt} Returns raw amount, throws TypeError if the amount has more fraction digits than decimals.
+   */
+  let text = String(amount).trim();
+  let match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[2] && !match[3])) {
+    throw new TypeError(`Invalid amount: ${amount}`);
+  }
+  let [, sign, whole, fraction = ""] = match;
+  fraction = fraction.replace(/0+$/, "");
+  if (fraction.length > decimals) {
+    throw new TypeError(`Amount ${amount} has more than ${decimals} decimals`);
+  }
+  let raw = BigInt((whole || "0") + fraction.padEnd(decimals, "0"));
+  return sign ? -raw : raw;
+}
+
+function formatTransfer(transfer) {
+  /**
+   * Returns a copy of an ERC20 transfer with the formatted value added
+   * Adds formatted_value to snake_case transfers and formattedValue to camelCase ones, ERC721 transfers are returned as they are
+   * @param {Object} transfer - transfer from explorerGetERCTransfersByRoninAddress or explorerGetERC20Transfers
+   * @since      10/19/2026
+   * @return {Object} Returns transfer.
+   */
+  let snake = "token_decimals" in transfer;
+  let decimals = snake ? transfer.token_decimals : transfer.tokenDecimals;
+  let type = snake ? transfer.token_type : transfer.tokenType;
+  if (type === "ERC721" || decimals === undefined || decimals === null) {
+    return transfer;
+  }
+  let formatted = formatUnits(transfer.value, decimals);
+  return snake
+    ? { ...transfer, formatted_value: formatted }
+    : { ...transfer, formattedValue: formatted };
+}
+
+function formatToken(token) {
+  /**
+   * Returns a copy of an ERC20 token with formattedTotalSupply added
+   * @param {Object} token - token from explorerGetERC20Tokens
+   * @since      10/19/2026
+   * @return {Object} Returns token.
+   */
+  if (token.totalSupply === undefined || token.decimals === undefined) {
+    return token;
+  }
+  return {
+    ...token,
+    formattedTotalSupply: formatUnits(token.totalSupply, token.decimals),
+  };
+}
+
+function formatAccount(account) {
+  /**
+   * Returns a copy of an account with formattedBalance (RON) added
+   * @param {Object} account - account from explorerGetAccount
+   * @since      10/19/2026
+   * @return {Object} Returns account.
+   */
+  if (!account || account.balance === undefined || account.balance === null) {
+    return account;
+  }
+  return { ...account, formattedBalance: formatUnits(account.balance) };
+}
+
+function formatTransaction(transaction) {
+  /**
+   * Returns a copy of a transaction with the formatted RON value added
+   * @param {Object} transaction - transaction from explorerGetTransactions or explorerGetTransactionDetails
+   * @since      10/19/2026
+   * @return {Object} Returns transaction.
+   */
+  if (transaction.value === undefined || transaction.value === null) {
+    return transaction;
+  }
+  let formatted = formatUnits(transaction.value);
+  return "block_number" in transaction
+    ? { ...transaction, formatted_value: formatted }
+    : { ...transaction, formattedValue: formatted };
+}
+
+module.exports = {
+  RON_DECIMALS,
+  toBigInt,
+  formatUnits,
+  parseUnits,
+  formatTransfer,
+  formatToken,
+  formatAccount,
+  formatTransaction,
+};
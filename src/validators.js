@@ -0,0 +1,192 @@
+const { toHexAddress } = require("./address");
+const { normalizeBlock } = require("./models");
+
+// clique style extra data: 32 bytes vanity, validator addresses on checkpoint blocks, 65 bytes seal
+const VANITY_LENGTH = 32;
+const SEAL_LENGTH = 65;
+const ADDRESS_LENGTH = 20;
+
+function toHex(bytes) {
+  return (
+    "0x" + bytes.map((byte) => byte.toString(16).padStart(2, "0")).join("")
+  );
+}
+
+function extraDataBytes(value) {
+  if (Array.isArray(value) || value instanceof Uint8Array) {
+    return [...value];
+  }
+  let text = String(value ?? "").trim();
+  let list = text.match(/^Bytes\(\[([\d,\s]*)\]\)$/);
+  let bytes = null;
+  if (list) {
+    bytes = list[1]
+      .split(",")
+      .map((byte) => byte.trim())
+      .filter(Boolean)
+      .map(Number);
+  } else if (/^0x([0-9a-f]{2})*$/i.test(text)) {
+    bytes = (text.slice(2).match(/../g) || []).map((byte) =>
+      parseInt(byte, 16)
+    );
+  }
+  if (!bytes || bytes.some((byte) => !(byte >= 0 && byte <= 255))) {
+    throw new TypeError(`Unsupported extraData: ${text.slice(0, 40)}`);
+  }
+  return bytes;
+}
+
+function decodeRlpList(bytes) {
+  // only the short list of short strings geth writes into the vanity
+  let head = bytes[0];
+  if (head === undefined || head < 0xc0 || head > 0xf7) {
+    return null;
+  }
+  let end = 1 + head - 0xc0;
+  let items = [];
+  let i = 1;
+  while (i < end) {
+    let byte = bytes[i];
+    if (byte < 0x80) {
+      items.push([byte]);
+      i++;
+    } else if (byte <= 0xb7) {
+      let length = byte - 0x80;
+      items.push(bytes.slice(i + 1, i + 1 + length));
+      i += 1 + length;
+    } else {
+      return null;
+    }
+  }
+  return i === end && end <= bytes.length ? items : null;
+}
+
+function decodeVanity(bytes) {
+  let items = decodeRlpList(bytes);
+  let text = (item) => String.fromCharCode(...item);
+  if (items && items.length === 4) {
+    // geth writes [major << 16 | minor << 8 | patch, 'geth', go version, os]
+    let [version, name, go, os] = items;
+    let number = version.reduce((value, byte) => value * 256 + byte, 0);
+    return {
+      client: `${text(name)}/${text(go)}/${text(os)}`,
+      version: `${number >> 16}.${(number >> 8) & 0xff}.${number & 0xff}`,
+    };
+  }
+  let printable = text(bytes.filter((byte) => byte >= 0x20 && byte < 0x7f));
+  return { client: printable.trim() || null, version: null };
+}
+
+function parseExtraData(value) {
+  /**
+   * Parses block extra data into the client vanity, checkpoint validators and the validator seal
+   * @param {String} value - extra_data / extraData of a block, 'Bytes([216, 131, ...])' or '0x' hex
+   * @since      10/19/2026
+   * @return {Object} Returns parsed extra data, throws TypeError for unsupported formats.
+   * Sample response:
+   * {
+        hex: '0xd88302030084676574688867...',
+        bytes: [216, 131, 2, 3, 0, 132, ...],
+        vanity: '0xd883020300846765746888676f312e31352e35856c696e757800000000000000',
+        client: 'geth/go1.15.5/linux',
+        version: '2.3.0',
+        validators: [],
+        seal: '0x260b1db9c991688a7b1b0e3804fe4c68e0ec71231fe2cff777531b5833c5c99e...'
+     }
+   */
+  let bytes = extraDataBytes(value);
+  let vanity = bytes.slice(0, VANITY_LENGTH);
+  let hasSeal = bytes.length >= VANITY_LENGTH + SEAL_LENGTH;
+  let signers = hasSeal
+    ? bytes.slice(VANITY_LENGTH, bytes.length - SEAL_LENGTH)
+    : [];
+  let validators = [];
+  if (signers.length % ADDRESS_LENGTH === 0) {
+    for (let i = 0; i < signers.length; i += ADDRESS_LENGTH) {
+      validators.push(toHex(signers.slice(i, i + ADDRESS_LENGTH)));
+    }
+  }
+  return {
+    hex: toHex(bytes),
+    bytes,
+    vanity: toHex(vanity),
+    ...decodeVanity(vanity),
+    validators,
+    seal: hasSeal ? toHex(bytes.slice(bytes.length - SEAL_LENGTH)) : null,
+  };
+}
+
+function validatorStats(blocks) {
+  /**
+   * Aggregates produced blocks, gas used and missed turns per validator
+   * The in-turn validator of block n is validators[n % validators.length], sorted by address, as in clique
+   * The validator set is read from the latest checkpoint block given, else it is the set of miners seen
+   * @param {Array} blocks - blocks from explorerGetLatestBlocks, explorerGetBlockDetails or normalized Block models
+   * @since      10/19/2026
+   * @return {Object} Returns per validator statistics, see getValidatorStats.
+   */
+  let models = blocks.map(normalizeBlock).sort((a, b) => a.number - b.number);
+  let checkpoint = null;
+  let stats = new Map();
+  let entry = (address) => {
+    if (!stats.has(address)) {
+      stats.set(address, {
+        address,
+        blocks: 0,
+        share: 0,
+        gasUsed: 0n,
+        transactions: 0,
+        outOfTurn: 0,
+        missedTurns: 0,
+        lastBlock: null,
+        client: null,
+        version: null,
+      });
+    }
+    return stats.get(address);
+  };
+  for (let block of models) {
+    let extraData = block.extraData ? parseExtraData(block.extraData) : null;
+    if (extraData?.validators.length) {
+      checkpoint = extraData.validators;
+    }
+    let validator = entry(toHexAddress(block.miner));
+    validator.blocks++;
+    validator.gasUsed += block.gasUsed ?? 0n;
+    validator.transactions += block.transactionCount ?? 0;
+    validator.lastBlock = block.number;
+    if (extraData) {
+      validator.client = extraData.client;
+      validator.version = extraData.version;
+    }
+  }
+  let validatorSet = checkpoint || [...stats.keys()];
+  validatorSet = [...validatorSet].sort();
+  for (let block of models) {
+    let inTurn = validatorSet[block.number % validatorSet.length];
+    let miner = toHexAddress(block.miner);
+    if (miner !== inTurn) {
+      entry(miner).outOfTurn++;
+      entry(inTurn).missedTurns++;
+    }
+  }
+  let validators = [...stats.values()]
+    .map((validator) => ({
+      ...validator,
+      share: models.length ? validator.blocks / models.length : 0,
+      gasUsed: validator.gasUsed.toString(),
+    }))
+    .sort((a, b) => b.blocks - a.blocks || (a.address < b.address ? -1 : 1));
+  return {
+    fromBlock: models.length ? models[0].number : null,
+    toBlock: models.length ? models[models.length - 1].number : null,
+    blocks: models.length,
+    validatorSet,
+    validators,
+  };
+}
+
+module.exports = {
+  parseExtraData,
+  validatorStats,
+};
@@ -0,0 +1,239 @@
+const { toHexAddress, isSameAddress } = require("./address");
+const { RON_DECIMALS, toBigInt, formatUnits } = require("./units");
+
+const SUPPORTED_CURRENCIES = [
+  "CNY",
+  "EUR",
+  "GBP",
+  "JPY",
+  "KRW",
+  "MYR",
+  "PHP",
+  "SGD",
+  "USD",
+  "VND",
+];
+
+// token symbols priced under a different key of the exchangeGetRates response
+const RATE_ALIASES = {
+  WETH: "eth",
+  WRON: "ron",
+};
+
+function checkCurrency(currency) {
+  let code = String(currency).toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(code)) {
+    throw new TypeError(
+      `Unsupported currency ${currency}, use one of ${SUPPORTED_CURRENCIES.join(
+        ", "
+      )}`
+    );
+  }
+  return code;
+}
+
+function getRate(rates, symbol, currency) {
+  /**
+   * Returns the fiat rate of a token from an exchangeGetRates response
+   * @param {Object} rates - exchangeGetRates response, e.g. { eth: { usd: 3000, ... }, slp: { ... } }
+   * @param {String} symbol - token symbol, e.g. 'WETH' or 'SLP'
+   * @param {String} currency - one of CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+   * @since      10/19/2026
+   * @return {Number} Returns price of one token, or null if the token has no rate.
+   */
+  let code = checkCurrency(currency).toLowerCase();
+  let upper = String(symbol).toUpperCase();
+  let keys = [RATE_ALIASES[upper], upper.toLowerCase()].filter(Boolean);
+  for (let [key, tokenRates] of Object.entries(rates || {})) {
+    if (!keys.includes(key.toLowerCase()) || typeof tokenRates !== "object") {
+      continue;
+    }
+    let entry = Object.entries(tokenRates || {}).find(
+      ([name]) => name.toLowerCase() === code
+    );
+    let rate = Number(entry?.[1]);
+    if (entry && Number.isFinite(rate)) {
+      return rate;
+    }
+  }
+  return null;
+}
+
+function fiatValue(amount, decimals, rate) {
+  if (rate === null) {
+    return null;
+  }
+  return Number(formatUnits(amount, decimals)) * rate;
+}
+
+function transferToken(transfer) {
+  let snake = "token_decimals" in transfer;
+  return {
+    address: snake ? transfer.token_address : transfer.tokenAddress,
+    symbol: snake ? transfer.token_symbol : transfer.tokenSymbol,
+    name: snake ? transfer.token_name : transfer.tokenName,
+    decimals: snake ? transfer.token_decimals : transfer.tokenDecimals,
+    type: snake ? transfer.token_type : transfer.tokenType,
+  };
+}
+
+function summarize(entries, currency) {
+  let total = 0;
+  let unpriced = [];
+  for (let entry of entries) {
+    if (entry.value === null) {
+      unpriced.push(entry.symbol);
+    } else {
+      total += entry.value;
+    }
+  }
+  return { currency, total, tokens: entries, unpriced };
+}
+
+function valueTransfers(transfers, currency, rates, { address } = {}) {
+  /**
+   * Values ERC20 transfers in fiat, ERC721 transfers are skipped
+   * With an address, amounts received count positive and amounts sent negative, so total is the net change of the address
+   * Without one, amounts are added up whatever their direction, so total is the gross turnover
+   * Tokens without a rate get value null and are listed in unpriced, they are not part of the total
+   * @param {Array} transfers - transfers from explorerGetERCTransfersByRoninAddress or explorerGetERC20Transfers
+   * @param {String} currency - one of CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+   * @param {Object} rates - exchangeGetRates response
+   * @param {Object} options - { address } 'ronin:' or '0x' formatted owner of the transfers
+   * @since      10/19/2026
+   * @return {Object} Returns per-token and total values.
+   * Sample response:
+   * {
+        currency: 'EUR',
+        total: 57.2,
+        tokens: [
+          {
+            address: '0xc99a6a985ed2cac1ef41640596c5a5f9f4e19ef5',
+            symbol: 'WETH',
+            name: 'Ronin Wrapped Ether',
+            decimals: 18,
+            amount: '20000000000000000',
+            formattedAmount: '0.02',
+            rate: 2860,
+            value: 57.2
+          }
+        ],
+        unpriced: [],
+        transfers: [ { ...transfer, fiatValue: 2.431 }, ... ]
+     }
+   */
+  let code = checkCurrency(currency);
+  let owner = address === undefined ? null : toHexAddress(address);
+  let byToken = new Map();
+  let valued = [];
+  for (let transfer of transfers) {
+    let token = transferToken(transfer);
+    if (token.type === "ERC721") {
+      continue;
+    }
+    let rate = getRate(rates, token.symbol, code);
+    let amount = toBigInt(transfer.value);
+    if (owner) {
+      let received = isSameAddress(transfer.to, owner) ? amount : 0n;
+      let sent = isSameAddress(transfer.from, owner) ? amount : 0n;
+      amount = received - sent;
+    }
+    valued.push({
+      ...transfer,
+      fiatValue: fiatValue(amount, token.decimals, rate),
+    });
+    let key = token.address || token.symbol;
+    let entry = byToken.get(key) || {
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name,
+      decimals: token.decimals,
+      amount: 0n,
+      rate,
+    };
+    entry.amount += amount;
+    byToken.set(key, entry);
+  }
+  let entries = [...byToken.values()].map((entry) => ({
+    ...entry,
+    amount: entry.amount.toString(),
+    formattedAmount: formatUnits(entry.amount, entry.decimals),
+    value: fiatValue(entry.amount, entry.decimals, entry.rate),
+  }));
+  let summary = { ...summarize(entries, code), transfers: valued };
+  return owner ? { address: owner, ...summary } : summary;
+}
+
+function tokenBalances(address, transfers) {
+  /**
+   * Replays ERC20 transfers of an address into its token balances
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @param {Array} transfers - all ERC20 transfers of the address
+   * @since      10/19/2026
+   * @return {Array} Returns [{ address, symbol, name, decimals, balance }], balance as raw string.
+   */
+  let owner = toHexAddress(address);
+  let balances = new Map();
+  for (let transfer of transfers) {
+    let token = transferToken(transfer);
+    if (token.type === "ERC721") {
+      continue;
+    }
+    let entry = balances.get(token.address) || { ...token, balance: 0n };
+    let value = toBigInt(transfer.value);
+    if (isSameAddress(transfer.to, owner)) {
+      entry.balance += value;
+    }
+    if (isSameAddress(transfer.from, owner)) {
+      entry.balance -= value;
+    }
+    balances.set(token.address, entry);
+  }
+  return [...balances.values()].map(({ type, balance, ...token }) => ({
+    ...token,
+    balance: balance.toString(),
+  }));
+}
+
+function buildPortfolio(address, account, balances, currency, rates) {
+  /**
+   * Values RON and token balances of an address in fiat
+   * @param {String} address - 'ronin:' or '0x' formatted address
+   * @param {Object} account - explorerGetAccount response
+   * @param {Array} balances - see tokenBalances
+   * @param {String} currency - one of CNY, EUR, GBP, JPY, KRW, MYR, PHP, SGD, USD, VND
+   * @param {Object} rates - exchangeGetRates response
+   * @since      10/19/2026
+   * @return {Object} Returns per-token and total values, see getPortfolio.
+   */
+  let code = checkCurrency(currency);
+  let holdings = [
+    {
+      address: null,
+      symbol: "RON",
+      name: "Ronin",
+      decimals: RON_DECIMALS,
+      balance: String(account?.balance ?? "0"),
+    },
+    ...balances,
+  ].filter((holding) => toBigInt(holding.balance) !== 0n);
+  let entries = holdings.map((holding) => {
+    let rate = getRate(rates, holding.symbol, code);
+    return {
+      ...holding,
+      formattedBalance: formatUnits(holding.balance, holding.decimals),
+      rate,
+      value: fiatValue(holding.balance, holding.decimals, rate),
+    };
+  });
+  return { address: toHexAddress(address), ...summarize(entries, code) };
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  checkCurrency,
+  getRate,
+  valueTransfers,
+  tokenBalances,
+  buildPortfolio,
+};
@@ -0,0 +1,334 @@
+const { EventEmitter } = require("events");
+const { toHexAddress } = require("./address");
+const { transactionKey, transferKey } = require("./pagination");
+const { camelToSnake } = require("./models");
+
+function blockFromDetails(details) {
+  /**
+   * Converts an explorerGetBlockDetails block to the explorerGetLatestBlocks shape
+   * @param {Object} details - camelCase block
+   * @since      10/19/2026
+   * @return {Object} Returns snake_case block.
+   */
+  let block = {};
+  for (let [key, value] of Object.entries(details)) {
+    block[camelToSnake(key)] = value;
+  }
+  return block;
+}
+
+class SeenItems {
+  constructor(limit) {
+    this.limit = limit;
+    this._items = new Map();
+  }
+
+  has(key) {
+    return this._items.has(key);
+  }
+
+  change(key, version, confirmed) {
+    /**
+     * Records an item and returns how it changed since it was last seen
+     * @return {Object} Returns null for new items, { reorg, confirmation } for known ones.
+     */
+    let known = this._items.get(key);
+    this._items.delete(key);
+    this._items.set(key, { version, confirmed });
+    while (this._items.size > this.limit) {
+      this._items.delete(this._items.keys().next().value);
+    }
+    if (!known) {
+      return null;
+    }
+    return {
+      reorg: known.version !== version,
+      confirmation: !known.confirmed && confirmed === true,
+    };
+  }
+}
+
+class Watcher extends EventEmitter {
+  constructor(client, { interval = 3000 } = {}) {
+    super();
+    this.client = client;
+    this.interval = interval;
+    this.running = false;
+    this.lastError = null;
+    this._timer = null;
+  }
+
+  start() {
+    /**
+     * Starts polling, the first poll runs right away
+     * @since      10/19/2026
+     * @return {Watcher} Returns the watcher.
+     */
+    if (!this.running) {
+      this.running = true;
+      this._tick();
+    }
+    return this;
+  }
+
+  stop(error) {
+    /**
+     * Stops polling, a poll that is already running finishes without emitting further polls
+     * @param {Error} error - error that stopped the watcher, passed on to 'stop' listeners
+     * @since      10/19/2026
+     * @return {Watcher} Returns the watcher.
+     */
+    this.running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.emit("stop", error);
+    return this;
+  }
+
+  async _tick() {
+    try {
+      await this.poll();
+      this.lastError = null;
+    } catch (e) {
+      this.lastError = e;
+      // an 'error' event without listeners would throw and kill the process,
+      // stop instead of polling on without anyone seeing the failures
+      if (!this.listenerCount("error")) {
+        this.stop(e);
+        return;
+      }
+      this.emit("error", e);
+    }
+    if (this.running) {
+      this._timer = setTimeout(() => this._tick(), this.interval);
+    }
+  }
+
+  _emitChange(event, item, change, extra = {}) {
+    if (!change) {
+      this.emit(event, item, { reorg: false, confirmation: false, ...extra });
+    } else if (change.reorg || change.confirmation) {
+      this.emit(event, item, { ...change, ...extra });
+    }
+  }
+}
+
+class BlockWatcher extends Watcher {
+  constructor(
+    client,
+    {
+      interval = 3000,
+      size = 20,
+      maxBackfill = 100,
+      fromBlock = null,
+      transactions = false,
+    } = {}
+  ) {
+    /**
+     * Polls the latest blocks and emits every new block once, in order
+     * Blocks missing from the latest blocks response are backfilled with explorerGetBlockDetails
+     * @param {RoninClient} client - client used for polling
+     * @param {Object} options - Watcher options, all optional:
+        {
+            interval: 3000, // ms between polls
+            size: 20, // latest blocks fetched per poll
+            maxBackfill: 100, // most blocks backfilled per poll, older ones are reported with a 'gap' event
+            fromBlock: null, // first block to emit, by default only blocks after the current head are emitted
+            transactions: false // also poll the latest transactions and emit 'transaction' events
+        }
+     * Events:
+     *   'block' (block, { reorg, confirmation }) - new block, or a known one re-emitted after a reorg or once confirmed
+     *   'transaction' (transaction, { reorg, confirmation }) - same for the latest transactions
+     *   'gap' ({ from, to }) - blocks skipped because they exceed maxBackfill
+     *   'error' (error) - failed poll, polling continues, without 'error' listeners the watcher stops instead
+     *   'stop' (error) - polling stopped, error is set when a failed poll stopped it
+     * @since      10/19/2026
+     */
+    super(client, { interval });
+    this.size = size;
+    this.maxBackfill = maxBackfill;
+    this.fromBlock = fromBlock;
+    this.transactions = transactions;
+    this.lastNumber = null;
+    this._blocks = new SeenItems(Math.max(size, maxBackfill) * 2);
+    this._transactions = new SeenItems(size * 10);
+    this._transactionsStarted = false;
+  }
+
+  async poll() {
+    await this._pollBlocks();
+    if (this.transactions) {
+      await this._pollTransactions();
+    }
+  }
+
+  async _pollBlocks() {
+    let { results } = await this.client.explorerGetLatestBlocks(this.size);
+    let blocks = [...results].sort((a, b) => a.number - b.number);
+    if (!blocks.length) {
+      return;
+    }
+    let head = blocks[blocks.length - 1].number;
+    if (this.lastNumber === null) {
+      if (this.fromBlock === null) {
+        blocks.forEach((b) =>
+          this._blocks.change(b.number, b.hash, b.confirmed)
+        );
+        this.lastNumber = head;
+        return;
+      }
+      this.lastNumber = this.fromBlock - 1;
+    }
+    let known = blocks.filter((b) => b.number <= this.lastNumber);
+    for (let block of known) {
+      if (this._blocks.has(block.number)) {
+        let change = this._blocks.change(
+          block.number,
+          block.hash,
+          block.confirmed
+        );
+        this._emitChange("block", block, change);
+      }
+    }
+    let byNumber = new Map(blocks.map((b) => [b.number, b]));
+    let from = Math.max(this.lastNumber + 1, head - this.maxBackfill + 1);
+    if (from > this.lastNumber + 1) {
+      this.emit("gap", { from: this.lastNumber + 1, to: from - 1 });
+    }
+    for (let number = from; number <= head && this.running; number++) {
+      let block = byNumber.get(number);
+      if (!block) {
+        let details = await this.client.explorerGetBlockDetails(number);
+        // normalized clients already return the same model for both endpoints
+        block = this.client.normalized ? details : blockFromDetails(details);
+      }
+      this._blocks.change(number, block.hash, block.confirmed);
+      this._emitChange("block", block, null);
+      this.lastNumber = number;
+    }
+  }
+
+  async _pollTransactions() {
+    let { results } = await this.client.explorerGetLatestTransactions(
+      this.size
+    );
+    let started = this._transactionsStarted;
+    this._transactionsStarted = true;
+    for (let transaction of [...results].reverse()) {
+      let change = this._transactions.change(
+        transactionKey(transaction),
+        transaction.block_hash ?? transaction.blockHash,
+        transaction.confirmed
+      );
+      if (started || change) {
+        this._emitChange("transaction", transaction, change);
+      }
+    }
+  }
+}
+
+class AddressWatcher extends Watcher {
+  constructor(
+    client,
+    roninAddress,
+    { interval = 3000, size = 25, maxBackfill = 100, ercs = [20, 721] } = {}
+  ) {
+    /**
+     * Polls the transactions and token transfers of an address and emits new activity
+     * @param {RoninClient} client - client used for polling
+     * @param {String} roninAddress - 'ronin:' or '0x' formatted address
+     * @param {Object} options - Watcher options, all optional:
+        {
+            interval: 3000, // ms between polls
+            size: 25, // page size, more pages are fetched while every item of a page is new
+            maxBackfill: 100, // most new items fetched per poll and kind
+            ercs: [20, 721] // token standards to watch transfers of, [] for transactions only
+        }
+     * Events:
+     *   'transaction' (transaction, { reorg, confirmation }) - new transaction, or a known one re-emitted after a reorg or once confirmed
+     *   'transfer' (transfer, { reorg, confirmation, erc }) - new ERC20 or ERC721 transfer
+     *   'error' (error) - failed poll, polling continues, without 'error' listeners the watcher stops instead
+     *   'stop' (error) - polling stopped, error is set when a failed poll stopped it
+     * @since      10/19/2026
+     */
+    super(client, { interval });
+    this.address = toHexAddress(roninAddress);
+    this.size = size;
+    this.maxBackfill = maxBackfill;
+    this.ercs = ercs;
+    this._transactions = new SeenItems(maxBackfill * 10);
+    this._transfers = new SeenItems(
+      maxBackfill * 10 * Math.max(1, ercs.length)
+    );
+    this._started = false;
+  }
+
+  async poll() {
+    let started = this._started;
+    let transactions = await this._fetchNew(
+      (from, size) =>
+        this.client.explorerGetTransactions(this.address, from, size),
+      transactionKey,
+      this._transactions,
+      started
+    );
+    for (let transaction of transactions) {
+      let change = this._transactions.change(
+        transactionKey(transaction),
+        transaction.block_hash ?? transaction.blockHash,
+        transaction.confirmed
+      );
+      if (started) {
+        this._emitChange("transaction", transaction, change);
+      }
+    }
+    for (let erc of this.ercs) {
+      let transfers = await this._fetchNew(
+        (from, size) =>
+          this.client.explorerGetERCTransfersByRoninAddress(
+            this.address,
+            erc,
+            from,
+            size
+          ),
+        transferKey,
+        this._transfers,
+        started
+      );
+      for (let transfer of transfers) {
+        let change = this._transfers.change(
+          transferKey(transfer),
+          transfer.block_number ?? transfer.blockNumber,
+          true
+        );
+        if (started) {
+          this._emitChange("transfer", transfer, change, { erc });
+        }
+      }
+    }
+    this._started = true;
+  }
+
+  async _fetchNew(fetchPage, keyOf, seen, started) {
+    // pages are newest first, keep paging while a whole page is unseen
+    let items = [];
+    let from = 0;
+    while (items.length < this.maxBackfill) {
+      let { total, results } = await fetchPage(from, this.size);
+      items.push(...results);
+      from += results.length;
+      let reachedKnown = results.some((item) => seen.has(keyOf(item)));
+      if (!started || reachedKnown || !results.length || from >= total) {
+        break;
+      }
+    }
+    return items.reverse();
+  }
+}
+
+module.exports = {
+  blockFromDetails,
+  Watcher,
+  BlockWatcher,
+  AddressWatcher,
+};
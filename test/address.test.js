@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  InvalidAddressError,
+  isAddressValid,
+  isChecksumValid,
+  isSameAddress,
+  toHexAddress,
+  toRoninAddress,
+  toChecksumAddress,
+} = require("..");
+const { ADDRESS, RONIN_ADDRESS } = require("./helpers");
+
+const CHECKSUM_ADDRESS = "0x3ead4cA7305E30169E42437c74E7c81bdAB7b9C3";
+
+test("converts between ronin: and 0x addresses", () => {
+  assert.equal(toHexAddress(RONIN_ADDRESS), ADDRESS);
+  assert.equal(
+    toRoninAddress(ADDRESS.toUpperCase().replace("0X", "0x")),
+    RONIN_ADDRESS
+  );
+  assert.equal(toChecksumAddress(RONIN_ADDRESS), CHECKSUM_ADDRESS);
+  assert.equal(
+    toChecksumAddress(ADDRESS, "ronin:"),
+    CHECKSUM_ADDRESS.replace("0x", "ronin:")
+  );
+});
+
+test("validates addresses and checksums", () => {
+  assert.equal(isAddressValid(RONIN_ADDRESS), true);
+  assert.equal(isAddressValid("ronin:123"), false);
+  assert.equal(isChecksumValid(CHECKSUM_ADDRESS), true);
+  assert.equal(isChecksumValid(CHECKSUM_ADDRESS.replace("A", "a")), false);
+  assert.throws(() => toHexAddress("nope"), InvalidAddressError);
+});
+
+test("isSameAddress ignores prefix and case", () => {
+  assert.equal(isSameAddress(RONIN_ADDRESS, CHECKSUM_ADDRESS), true);
+  assert.equal(isSameAddress(RONIN_ADDRESS, "0x" + "0".repeat(40)), false);
+});
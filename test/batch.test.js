@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { InvalidAddressError, createClient, toHexAddress } = require("..");
+const { settleAll } = require("../src/batch");
+const { ADDRESS, RONIN_ADDRESS } = require("./helpers");
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test("settleAll keeps failures per key in the order of the keys", async () => {
+  let results = await settleAll(["b", "a", "fail", "b"], async (key) => {
+    if (key === "fail") {
+      throw new Error("down");
+    }
+    await delay(key === "b" ? 10 : 0);
+    return key.toUpperCase();
+  });
+  assert.deepEqual([...results.keys()], ["b", "a", "fail"]);
+  assert.deepEqual(results.get("b"), { ok: true, data: "B" });
+  assert.deepEqual(results.get("a"), { ok: true, data: "A" });
+  assert.equal(results.get("fail").ok, false);
+  assert.match(results.get("fail").error.message, /down/);
+});
+
+test("settleAll runs duplicates once and at most concurrency workers at a time", async () => {
+  let calls = [];
+  let active = 0;
+  let peak = 0;
+  let progress = [];
+  await settleAll(
+    [1, 2, 3, 4, 5, 1, 2],
+    async (key) => {
+      calls.push(key);
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+    },
+    {
+      concurrency: 2,
+      onProgress: ({ done, total, key }) => progress.push([done, total, key]),
+    }
+  );
+  assert.deepEqual(
+    calls.sort((a, b) => a - b),
+    [1, 2, 3, 4, 5]
+  );
+  assert.equal(peak, 2);
+  assert.deepEqual(
+    progress.map(([done, total]) => [done, total]),
+    [
+      [1, 5],
+      [2, 5],
+      [3, 5],
+      [4, 5],
+      [5, 5],
+    ]
+  );
+});
+
+test("settleAll throws a TypeError on an invalid concurrency", async () => {
+  for (let concurrency of [0, -1, 1.5, "2"]) {
+    await assert.rejects(
+      settleAll(["a"], async () => null, { concurrency }),
+      TypeError
+    );
+  }
+});
+
+test("getAccounts returns the account of every address and keeps failures per address", async () => {
+  let client = createClient();
+  client.explorerGetAccount = async (address) => {
+    if (address === "down") {
+      throw new Error("down");
+    }
+    return { address: toHexAddress(address) };
+  };
+  let results = await client.getAccounts([RONIN_ADDRESS, "nope", "down"]);
+  assert.deepEqual([...results.keys()], [RONIN_ADDRESS, "nope", "down"]);
+  assert.deepEqual(results.get(RONIN_ADDRESS), {
+    ok: true,
+    data: { address: ADDRESS },
+  });
+  assert.ok(results.get("nope").error instanceof InvalidAddressError);
+  assert.match(results.get("down").error.message, /down/);
+});
+
+test("getTransfersForAddresses passes the page options and reports progress", async () => {
+  let calls = [];
+  let client = createClient();
+  client.getAllTokenTransfers = async (address, options) => {
+    calls.push([address, options]);
+    return [];
+  };
+  let progress = [];
+  let results = await client.getTransfersForAddresses([RONIN_ADDRESS], {
+    erc: 721,
+    maxItems: 50,
+    concurrency: 1,
+    onProgress: ({ done, total, key }) => progress.push([done, total, key]),
+  });
+  assert.deepEqual(calls, [[RONIN_ADDRESS, { erc: 721, maxItems: 50 }]]);
+  assert.deepEqual(results.get(RONIN_ADDRESS), { ok: true, data: [] });
+  assert.deepEqual(progress, [[1, 1, RONIN_ADDRESS]]);
+});
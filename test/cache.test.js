@@ -0,0 +1,128 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ResponseCache, MemoryCache } = require("..");
+const { ADDRESS, RONIN_ADDRESS, fixtureClient } = require("./helpers");
+
+const CHECKSUMMED = "0x3ead4cA7305E30169E42437c74E7c81bdAB7b9C3";
+
+function counter(value) {
+  let calls = 0;
+  let fetch = async () => {
+    calls++;
+    return typeof value === "function" ? value() : value;
+  };
+  fetch.calls = () => calls;
+  return fetch;
+}
+
+test("ronin:, 0x and checksummed addresses share one cache entry", async () => {
+  let cache = new ResponseCache({ ttl: { explorerGetAccount: 60000 } });
+  let fetch = counter({ address: ADDRESS });
+  await cache.wrap("explorerGetAccount", [RONIN_ADDRESS], fetch);
+  await cache.wrap("explorerGetAccount", [ADDRESS], fetch);
+  await cache.wrap("explorerGetAccount", [CHECKSUMMED], fetch);
+  assert.equal(fetch.calls(), 1);
+  assert.equal(cache.store.size, 1);
+});
+
+test("cached responses are copies", async () => {
+  let cache = new ResponseCache({ ttl: { explorerGetAccount: 60000 } });
+  let fetch = counter({ address: ADDRESS, tokens: [{ balance: "1" }] });
+  let first = await cache.wrap("explorerGetAccount", [ADDRESS], fetch);
+  first.tokens[0].balance = "2";
+  let second = await cache.wrap("explorerGetAccount", [ADDRESS], fetch);
+  assert.equal(second.tokens[0].balance, "1");
+  assert.notEqual(first, second);
+});
+
+test("concurrent identical calls are coalesced", async () => {
+  let cache = new ResponseCache();
+  let fetch = counter(
+    () => new Promise((resolve) => setTimeout(() => resolve({ n: 1 }), 10))
+  );
+  let results = await Promise.all([
+    cache.wrap("explorerGetAccount", [ADDRESS], fetch),
+    cache.wrap("explorerGetAccount", [RONIN_ADDRESS], fetch),
+  ]);
+  assert.equal(fetch.calls(), 1);
+  assert.deepEqual(results[0], results[1]);
+  assert.notEqual(results[0], results[1]);
+  // ttl 0, so the next call fetches again
+  await cache.wrap("explorerGetAccount", [ADDRESS], fetch);
+  assert.equal(fetch.calls(), 2);
+
+  let uncoalesced = new ResponseCache({ coalesce: false });
+  let separate = counter({ n: 1 });
+  await Promise.all([
+    uncoalesced.wrap("explorerGetAccount", [ADDRESS], separate),
+    uncoalesced.wrap("explorerGetAccount", [ADDRESS], separate),
+  ]);
+  assert.equal(separate.calls(), 2);
+});
+
+test("immutable responses are kept forever, failures are not cached", async () => {
+  let cache = new ResponseCache();
+  let fetch = counter({ confirmed: true });
+  let isImmutable = (block) => block.confirmed;
+  await cache.wrap("explorerGetBlockDetails", [1], fetch, isImmutable);
+  await cache.wrap("explorerGetBlockDetails", [1], fetch, isImmutable);
+  assert.equal(fetch.calls(), 1);
+
+  let failing = counter(() => Promise.reject(new Error("down")));
+  await assert.rejects(cache.wrap("exchangeGetRates", [], failing), /down/);
+  await assert.rejects(cache.wrap("exchangeGetRates", [], failing), /down/);
+  assert.equal(failing.calls(), 2);
+});
+
+test("stores get a ttl in ms, or undefined for entries that never expire", async () => {
+  let ttls = [];
+  let store = new MemoryCache();
+  let set = store.set.bind(store);
+  store.set = (key, value, ttl) => {
+    ttls.push(ttl);
+    set(key, value, ttl);
+  };
+  let cache = new ResponseCache({ store });
+  let isImmutable = (block) => block.confirmed;
+  await cache.wrap(
+    "explorerGetBlockDetails",
+    [1],
+    counter({ confirmed: true }),
+    isImmutable
+  );
+  await cache.wrap("exchangeGetRates", [], counter({ ron: {} }));
+  assert.deepEqual(ttls, [undefined, 60000]);
+
+  let forever = new MemoryCache();
+  forever.set("a", 1);
+  forever.set("b", 2, -1);
+  assert.equal(forever.get("a"), 1);
+  assert.equal(forever.get("b"), undefined);
+});
+
+test("MemoryCache evicts the least recently used entry", () => {
+  let store = new MemoryCache({ maxEntries: 2 });
+  store.set("a", 1);
+  store.set("b", 2);
+  store.get("a");
+  store.set("c", 3);
+  assert.equal(store.get("b"), undefined);
+  assert.equal(store.get("a"), 1);
+  assert.equal(store.size, 2);
+});
+
+test("client cache serves repeated calls without requests", async () => {
+  let requests = 0;
+  let client = fixtureClient({
+    cache: { ttl: { explorerGetAccount: 60000 } },
+  });
+  client.http.interceptors.request.use((config) => {
+    requests++;
+    return config;
+  });
+  let account = await client.explorerGetAccount(RONIN_ADDRESS);
+  let afterFirst = requests;
+  assert.deepEqual(await client.explorerGetAccount(ADDRESS), account);
+  assert.deepEqual(await client.explorerGetAccount(CHECKSUMMED), account);
+  assert.equal(requests, afterFirst);
+});
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { run, EXIT_CODES } = require("../src/cli");
+const { ADDRESS, TX_HASH, fixtureClient } = require("./helpers");
+
+async function ronin(...argv) {
+  let out = "";
+  let err = "";
+  let stdout = { write: (text) => (out += text) };
+  let stderr = { write: (text) => (err += text) };
+  let code = await run(argv, { stdout, stderr, client: fixtureClient() });
+  return { code, out, err };
+}
+
+test("prints json output", async () => {
+  let { code, out } = await ronin("account", ADDRESS, "-o", "json");
+  assert.equal(code, EXIT_CODES.ok);
+  assert.equal(JSON.parse(out).address, ADDRESS);
+});
+
+test("prints tables with the default columns", async () => {
+  let { code, out } = await ronin("txs", ADDRESS);
+  assert.equal(code, EXIT_CODES.ok);
+  let [header, , ...rows] = out.trim().split("\n");
+  assert.match(header, /^hash\s+block_number\s+from/);
+  assert.equal(rows.length, 2);
+});
+
+test("prints csv with selected columns", async () => {
+  let { out } = await ronin(
+    "transfers",
+    ADDRESS,
+    "--all",
+    "-o",
+    "csv",
+    "--columns",
+    "token_symbol,value"
+  );
+  let lines = out.trim().split("\n");
+  assert.equal(lines[0], "token_symbol,value");
+  assert.equal(lines.length, 6);
+});
+
+test("exit codes report usage errors and missing items", async () => {
+  assert.equal((await ronin()).code, EXIT_CODES.usage);
+  assert.equal((await ronin("account", "nope")).code, EXIT_CODES.usage);
+  assert.equal((await ronin("txs", ADDRESS, "--bogus")).code, EXIT_CODES.usage);
+  let missing = await ronin("tx", "0x" + "0".repeat(64));
+  assert.equal(missing.code, EXIT_CODES.notFound);
+  assert.match(missing.err, /Transaction not found/);
+  assert.equal((await ronin("tx", TX_HASH)).code, EXIT_CODES.ok);
+});
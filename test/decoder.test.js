@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { keccak256 } = require("js-sha3");
+const {
+  TransactionDecoder,
+  KNOWN_CONTRACTS,
+  toChecksumAddress,
+} = require("..");
+const { ADDRESS, RONIN_ADDRESS } = require("./helpers");
+
+const WETH = KNOWN_CONTRACTS.WETH.address;
+const CUSTOM = "0x00000000000000000000000000000000000c0ffe";
+const RECEIVER = "0xd0e1739f15e09a5f3cdf8bbd6eb8a532e2d9d895";
+const TRANSFER_TOPIC = "0x" + keccak256("Transfer(address,address,uint256)");
+
+function word(value) {
+  // one 32 byte abi word from an address or a number
+  let hex = typeof value === "string" ? value.slice(2) : value.toString(16);
+  return hex.padStart(64, "0");
+}
+
+function selector(signature) {
+  return "0x" + keccak256(signature).slice(0, 8);
+}
+
+test("decodeInput decodes calls of the known contracts", () => {
+  let decoder = new TransactionDecoder();
+  let input =
+    selector("transfer(address,uint256)") + word(RECEIVER) + word(1000n);
+  let call = decoder.decodeInput(WETH, input);
+  assert.deepEqual(call, {
+    method: "transfer",
+    signature: "transfer(address,uint256)",
+    selector: "0xa9059cbb",
+    args: { to: RECEIVER, value: "1000" },
+  });
+  assert.deepEqual(decoder.decodeInput("ronin:" + WETH.slice(2), input), call);
+  assert.equal(decoder.decodeInput(CUSTOM, input), null);
+  assert.equal(decoder.decodeInput(WETH, "0xdeadbeef"), null);
+  assert.equal(decoder.decodeInput(null, input), null);
+});
+
+test("decodeLog decodes Transfer events of known and unknown contracts", () => {
+  let decoder = new TransactionDecoder();
+  let log = {
+    address: WETH,
+    topics: [TRANSFER_TOPIC, "0x" + word(ADDRESS), "0x" + word(RECEIVER)],
+    data: "0x" + word(5n),
+    logIndex: 3,
+  };
+  assert.deepEqual(decoder.decodeLog(log), {
+    address: WETH,
+    contract: { address: WETH, name: "Ronin Wrapped Ether", symbol: "WETH" },
+    event: "Transfer",
+    signature: "Transfer(address,address,uint256)",
+    args: { from: ADDRESS, to: RECEIVER, value: "5" },
+    logIndex: 3,
+  });
+  let generic = decoder.decodeLog({ ...log, address: CUSTOM });
+  assert.equal(generic.contract, null);
+  assert.deepEqual(generic.args, { from: ADDRESS, to: RECEIVER, value: "5" });
+  assert.equal(decoder.decodeLog({ ...log, topics: ["0x" + word(1n)] }), null);
+  assert.equal(decoder.decodeLog({ address: WETH, topics: [] }), null);
+});
+
+test("registerAbi adds custom contracts and merges repeated registrations", () => {
+  let decoder = new TransactionDecoder({ contracts: {} });
+  decoder.registerAbi(
+    "ronin:" + CUSTOM.slice(2),
+    ["function ping(uint256 n)"],
+    {
+      name: "Custom",
+      symbol: "PING",
+    }
+  );
+  decoder.registerAbi(CUSTOM, ["event Pinged(address indexed by, uint256 n)"]);
+  let call = decoder.decodeInput(CUSTOM, selector("ping(uint256)") + word(7n));
+  assert.deepEqual([call.method, call.args], ["ping", { n: "7" }]);
+  let event = decoder.decodeLog({
+    address: CUSTOM,
+    topics: ["0x" + keccak256("Pinged(address,uint256)"), "0x" + word(ADDRESS)],
+    data: "0x" + word(7n),
+  });
+  assert.deepEqual(
+    [event.event, event.args, event.contract.symbol, event.logIndex],
+    ["Pinged", { by: ADDRESS, n: "7" }, "PING", null]
+  );
+  assert.equal(decoder.getContract(WETH), null);
+});
+
+test("getContract looks up 'ronin:' and checksummed addresses", () => {
+  let decoder = new TransactionDecoder();
+  let { address } = KNOWN_CONTRACTS.AXIE;
+  let expected = { address, name: "Axie", symbol: "AXIE" };
+  assert.deepEqual(decoder.getContract("ronin:" + address.slice(2)), expected);
+  assert.deepEqual(decoder.getContract(toChecksumAddress(address)), expected);
+  assert.equal(decoder.getContract(RONIN_ADDRESS), null);
+  assert.equal(decoder.getContract(null), null);
+});
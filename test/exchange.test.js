@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getRate } = require("..");
+const { ADDRESS, fixtureClient } = require("./helpers");
+
+test("exchangeGetRates returns rates of the supported tokens", async () => {
+  let rates = await fixtureClient().exchangeGetRates();
+  assert.deepEqual(Object.keys(rates), ["ron", "axs", "slp", "eth", "usdc"]);
+  assert.equal(rates.eth.usd, 3080);
+});
+
+test("getRate maps wrapped tokens and currencies", async () => {
+  let rates = await fixtureClient().exchangeGetRates();
+  assert.equal(getRate(rates, "WETH", "usd"), 3080);
+  assert.equal(getRate(rates, "SLP", "USD"), 0.032);
+  assert.equal(getRate(rates, "UNKNOWN", "USD"), null);
+  assert.throws(() => getRate(rates, "SLP", "ABC"), TypeError);
+});
+
+test("valueTransfers values ERC20 transfers in fiat", async () => {
+  let client = fixtureClient();
+  let { results } = await client.explorerGetERCTransfersByRoninAddress(
+    ADDRESS,
+    20
+  );
+  let valuation = await client.valueTransfers(results, "USD");
+  let weth = valuation.tokens.find((token) => token.symbol === "WETH");
+  assert.equal(weth.formattedAmount, "0.04");
+  assert.equal(weth.value, 0.04 * 3080);
+  assert.deepEqual(valuation.unpriced, []);
+});
+
+test("valueTransfers with an owner address nets received against sent", async () => {
+  let client = fixtureClient();
+  let { results } = await client.explorerGetERCTransfersByRoninAddress(
+    ADDRESS,
+    20
+  );
+  let valuation = await client.valueTransfers(results, "USD", {
+    address: ADDRESS,
+  });
+  assert.equal(valuation.address, ADDRESS);
+  let weth = valuation.tokens.find((token) => token.symbol === "WETH");
+  // the WETH received and sent cancel out
+  assert.equal(weth.amount, "0");
+  assert.equal(weth.value, 0);
+  let sent = valuation.transfers.find(
+    (transfer) => transfer.token_symbol === "WETH" && transfer.from === ADDRESS
+  );
+  assert.ok(sent.fiatValue < 0);
+});
+
+test("getPortfolio replays ERC20 transfers into fiat balances", async () => {
+  let portfolio = await fixtureClient().getPortfolio(ADDRESS, "usd");
+  assert.equal(portfolio.address, ADDRESS);
+  let balances = Object.fromEntries(
+    portfolio.tokens.map((token) => [token.symbol, token.formattedBalance])
+  );
+  // the WETH received and sent cancel out, zero balances are left out
+  assert.deepEqual(balances, { SLP: "540" });
+  assert.ok(portfolio.total > 0);
+});
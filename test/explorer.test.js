@@ -0,0 +1,235 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_OPTIONS,
+  HttpError,
+  NotFoundError,
+  UpstreamSchemaError,
+  createClient,
+} = require("..");
+const { parseBuildId } = require("../src/buildId");
+const {
+  ADDRESS,
+  RONIN_ADDRESS,
+  TX_HASH,
+  fixtureClient,
+  stubServer,
+} = require("./helpers");
+
+test("createClient starts from the exported DEFAULT_OPTIONS", () => {
+  let client = createClient();
+  assert.equal(client.explorerUrl, DEFAULT_OPTIONS.explorerUrl);
+  assert.equal(client.timeout, DEFAULT_OPTIONS.timeout);
+});
+
+test("explorerGetAccount accepts ronin: and 0x addresses", async () => {
+  let client = fixtureClient();
+  let account = await client.explorerGetAccount(RONIN_ADDRESS);
+  assert.equal(account.address, ADDRESS);
+  assert.equal(account.transactionCount, "26");
+  assert.deepEqual(await client.explorerGetAccount(ADDRESS), account);
+});
+
+test("explorerGetTransactions returns a page of transactions", async () => {
+  let page = await fixtureClient().explorerGetTransactions(RONIN_ADDRESS);
+  assert.equal(page.total, 2);
+  assert.equal(page.results.length, 2);
+  assert.equal(
+    page.results[0].hash,
+    "0x1b40db41915a4d028c734e6918a1bfdf1dadaf8e8362b1615c2870013bbf4387"
+  );
+  assert.equal(page.results[0].from, ADDRESS);
+});
+
+test("explorerGetERCTransfersByRoninAddress returns ERC20 and ERC721 transfers", async () => {
+  let client = fixtureClient();
+  let erc20 = await client.explorerGetERCTransfersByRoninAddress(ADDRESS, 20);
+  assert.equal(erc20.total, 5);
+  assert.equal(erc20.results[0].token_symbol, "WETH");
+  assert.equal(erc20.results[0].value, "850000000000000");
+  let erc721 = await client.explorerGetERCTransfersByRoninAddress(ADDRESS, 721);
+  assert.deepEqual(erc721, { total: 0, results: [] });
+});
+
+test("explorerDecodeTransactionActions posts transactions to the decoder", async () => {
+  let [transaction] = (await fixtureClient().explorerGetTransactions(ADDRESS))
+    .results;
+  let decoded = await fixtureClient().explorerDecodeTransactionActions([
+    { contractAddress: transaction.to, callData: transaction.input, logs: [] },
+  ]);
+  assert.equal(decoded[0].method, "safeTransferFrom");
+});
+
+test("decodeTransaction decodes known contracts locally", async () => {
+  let client = fixtureClient();
+  let [transaction] = (await client.explorerGetTransactions(ADDRESS)).results;
+  let decoded = client.decodeTransaction(transaction);
+  assert.equal(decoded.contract.symbol, "AXIE");
+  assert.equal(decoded.method, "safeTransferFrom");
+  assert.equal(decoded.args.tokenId, "2673559");
+});
+
+test("latest blocks, transactions and volumes", async () => {
+  let client = fixtureClient();
+  let blocks = await client.explorerGetLatestBlocks();
+  assert.equal(blocks.results[0].number, 10405229);
+  let transactions = await client.explorerGetLatestTransactions();
+  assert.equal(transactions.results.length, 2);
+  let volumes = await client.explorerGet14DayTransactionVolumes();
+  assert.equal(volumes.overviewData.totalTxs, 285006903);
+  assert.equal(
+    volumes.txChartData.txCount.length,
+    volumes.txChartData.label.length
+  );
+});
+
+test("ERC20 and ERC721 tokens and latest transfers", async () => {
+  let client = fixtureClient();
+  let erc20 = await client.explorerGetERC20Tokens();
+  assert.deepEqual(
+    erc20.map((token) => token.symbol),
+    ["WETH", "AXS"]
+  );
+  let erc721 = await client.explorerGetERC721Tokens();
+  assert.ok(erc721.every((token) => token.tokenType === "ERC721"));
+  let transfers = await client.explorerGetERC20Transfers();
+  assert.equal(transfers[0].tokenSymbol, "USDC");
+  let nftTransfers = await client.explorerGetERC721Transfers();
+  assert.ok(nftTransfers.every((transfer) => transfer.tokenType === "ERC721"));
+});
+
+test("explorerGetTransactionDetails returns the transaction or throws NotFoundError", async () => {
+  let client = fixtureClient();
+  let transaction = await client.explorerGetTransactionDetails(TX_HASH);
+  assert.equal(transaction.hash, TX_HASH);
+  assert.equal(transaction.status, 0);
+  await assert.rejects(
+    client.explorerGetTransactionDetails("0x" + "0".repeat(64)),
+    NotFoundError
+  );
+});
+
+test("a 404 resolves the buildId again only after a redeploy or when it is stale", async () => {
+  let pages = 0;
+  let stub = await stubServer((req) => {
+    if (req.url === "/") {
+      pages++;
+      return {
+        html: '<script id="__NEXT_DATA__">{"buildId":"current"}</script>',
+      };
+    }
+    if (req.url.startsWith(`/_next/data/current/tx/${TX_HASH}.json`)) {
+      return { body: { pageProps: { transaction: { hash: TX_HASH } } } };
+    }
+    return { status: 404 };
+  });
+  try {
+    let client = createClient({
+      explorerUrl: stub.url,
+      buildId: "outdated",
+      retry: false,
+    });
+    let transaction = await client.explorerGetTransactionDetails(TX_HASH);
+    assert.equal(transaction.hash, TX_HASH);
+    assert.equal(client.buildId, "current");
+    assert.equal(pages, 1);
+    // a pending transaction, the buildId was just resolved
+    let pending = "0x" + "0".repeat(64);
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(
+        client.explorerGetTransactionDetails(pending),
+        NotFoundError
+      );
+    }
+    assert.equal(pages, 1);
+    // resolving the same buildId again means the page does not exist
+    client._buildIdResolvedAt = 0;
+    await assert.rejects(
+      client.explorerGetTransactionDetails(pending),
+      NotFoundError
+    );
+    assert.equal(pages, 2);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("parseBuildId throws UpstreamSchemaError when the page has no buildId", () => {
+  assert.equal(
+    parseBuildId('<script>{"buildId":"Dzpc5gZ1yQhLmF5JqXh8M"}</script>'),
+    "Dzpc5gZ1yQhLmF5JqXh8M"
+  );
+  assert.throws(
+    () => parseBuildId("<html></html>", "https://explorer.roninchain.com/"),
+    (e) => {
+      assert.ok(e instanceof UpstreamSchemaError);
+      assert.equal(e.field, "buildId");
+      assert.equal(e.url, "https://explorer.roninchain.com/");
+      return true;
+    }
+  );
+});
+
+test("explorerGetBlockDetails returns block details", async () => {
+  let block = await fixtureClient().explorerGetBlockDetails(1);
+  assert.equal(block.number, 1);
+  assert.equal(block.confirmed, true);
+});
+
+test("upstream errors are thrown as HttpError", async () => {
+  await assert.rejects(fixtureClient().explorerGetLatestBlocks(1), (e) => {
+    assert.ok(e instanceof HttpError);
+    assert.equal(e.status, 500);
+    return true;
+  });
+});
+
+test("formatted adds human readable amounts", async () => {
+  let client = fixtureClient({ formatted: true });
+  let { results } = await client.explorerGetERCTransfersByRoninAddress(
+    ADDRESS,
+    20
+  );
+  assert.equal(results[0].formatted_value, "0.00085");
+  let [weth] = await client.explorerGetERC20Tokens();
+  assert.equal(weth.formattedTotalSupply, "343486.206907896403930354");
+});
+
+test("normalized returns camelCase models", async () => {
+  let client = fixtureClient({ normalized: true });
+  let account = await client.explorerGetAccount(ADDRESS);
+  assert.equal(account.address, RONIN_ADDRESS);
+  assert.equal(account.transactionCount, 26);
+  let { results } = await client.explorerGetTransactions(ADDRESS);
+  assert.equal(results[0].blockNumber, 10404510);
+  assert.ok(results[0].timestamp instanceof Date);
+  assert.equal(typeof results[0].value, "bigint");
+});
+
+test("normalized covers the ERC721 token and transfer endpoints", async () => {
+  let client = fixtureClient({ normalized: true });
+  let [land] = await client.explorerGetERC721Tokens();
+  assert.equal(land.address, "ronin:8c811e3c958e190f5ec15fb376533a3398620500");
+  assert.equal(land.totalSupply, 16780n);
+  let [transfer] = await client.explorerGetERC721Transfers();
+  assert.equal(transfer.logIndex, 55);
+  assert.equal(transfer.from, "ronin:d02288ee9440058dd14457e814ed0e2db5bc66a1");
+  assert.equal(
+    transfer.tokenAddress,
+    "ronin:32950db2a7164ae833121501c797d79e7b79d74c"
+  );
+  assert.equal(transfer.value, 3042003n);
+  assert.ok(transfer.timestamp instanceof Date);
+});
+
+test("validate accepts the fixture responses", async () => {
+  let client = fixtureClient({ validate: true });
+  await client.explorerGetAccount(ADDRESS);
+  await client.explorerGetTransactions(ADDRESS);
+  await client.explorerGetERCTransfersByRoninAddress(ADDRESS, 20);
+  await client.explorerGetLatestBlocks();
+  await client.explorerGetERC20Tokens();
+  await client.explorerGetTransactionDetails(TX_HASH);
+  let block = await client.explorerGetBlockDetails(1);
+  assert.equal(block.number, 1);
+});
@@ -0,0 +1,207 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { readCheckpoint, EXPORT_COLUMNS } = require("..");
+const { exportAddressHistory } = require("../src/export");
+const { paginateReverse, collect } = require("../src/pagination");
+const { ADDRESS, RONIN_ADDRESS, fixtureClient } = require("./helpers");
+
+async function read(stream) {
+  let text = "";
+  for await (let chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+function lines(text) {
+  return text.split("\n").filter(Boolean);
+}
+
+function historyClient({ transactions = [], transfers = [] }) {
+  // newest first lists served like the explorer /api endpoints, counting requests
+  let requests = 0;
+  let page = (items, from, size) => {
+    requests++;
+    return { total: items.length, results: items.slice(from, from + size) };
+  };
+  return {
+    requests: () => requests,
+    explorerGetTransactions: async (address, from, size) =>
+      page(transactions, from, size),
+    explorerGetERCTransfersByRoninAddress: async (address, erc, from, size) =>
+      page(erc === 20 ? transfers : [], from, size),
+  };
+}
+
+function transactions(count, timestamp = (number) => 1642000000 + number) {
+  // one transaction per block, block count is the newest
+  return Array.from({ length: count }, (_, i) => {
+    let number = count - i;
+    return {
+      hash: "0x" + number.toString(16).padStart(64, "0"),
+      block_number: number,
+      timestamp: timestamp(number),
+      from: ADDRESS,
+      to: ADDRESS,
+      value: "0",
+      status: 1,
+    };
+  });
+}
+
+test("exportAddressHistory merges the history oldest first", async () => {
+  let text = await read(
+    fixtureClient().exportAddressHistory(RONIN_ADDRESS, { currency: "USD" })
+  );
+  let [header, ...rows] = lines(text);
+  assert.equal(header, EXPORT_COLUMNS.join(","));
+  assert.equal(rows.length, 7);
+  let blocks = rows.map((row) => Number(row.split(",")[0]));
+  assert.deepEqual(
+    blocks,
+    [...blocks].sort((a, b) => a - b)
+  );
+  // transfers of block 10404504 in log index order
+  assert.match(
+    rows[3],
+    /^10404504,9,.*,out,,ERC20,WETH,.*,0\.00085,2\.618,USD$/
+  );
+  assert.match(rows[4], /^10404504,10,/);
+  assert.match(rows[5], /^10404510,,.*,transaction,/);
+});
+
+test("exportAddressHistory resumes after a checkpoint", async () => {
+  let full = await read(
+    fixtureClient().exportAddressHistory(ADDRESS, { format: "jsonl" })
+  );
+  let written = lines(full).slice(0, 4).join("\n") + "\n" + '{"block_nu';
+  let checkpoint = readCheckpoint(written, "jsonl");
+  assert.equal(checkpoint.block_number, 10404504);
+  assert.equal(checkpoint.log_index, 9);
+  let rest = await read(
+    fixtureClient().exportAddressHistory(ADDRESS, {
+      format: "jsonl",
+      checkpoint,
+    })
+  );
+  assert.deepEqual([...lines(full).slice(0, 4), ...lines(rest)], lines(full));
+
+  let csv = await read(fixtureClient().exportAddressHistory(ADDRESS));
+  let csvCheckpoint = readCheckpoint(lines(csv).slice(0, 3).join("\n") + "\n");
+  assert.deepEqual(csvCheckpoint, {
+    block_number: 10357129,
+    log_index: 2,
+    kind: "erc20",
+    tx_hash:
+      "0x6d1f1a5c6b0c7cec9e2c2e7a9d3b1c1f9d0b1a7e5d4c3b2a1918a7f6e5d4c3b2",
+  });
+  assert.equal(readCheckpoint("block_number,log_index\n"), null);
+});
+
+test("exportAddressHistory limits the range by block or date", async () => {
+  let byBlock = await read(
+    fixtureClient().exportAddressHistory(ADDRESS, {
+      format: "jsonl",
+      from: 10357129,
+      to: 10404504,
+    })
+  );
+  assert.deepEqual(
+    lines(byBlock).map((line) => JSON.parse(line).block_number),
+    [10357129, 10400017, 10404504, 10404504]
+  );
+  let byDate = await read(
+    fixtureClient().exportAddressHistory(ADDRESS, {
+      format: "jsonl",
+      from: new Date("2022-01-21T00:00:00Z"),
+    })
+  );
+  assert.equal(lines(byDate).length, 5);
+  assert.throws(
+    () => fixtureClient().exportAddressHistory(ADDRESS, { from: "never" }),
+    TypeError
+  );
+});
+
+test("rows are written while older pages are still being fetched", async () => {
+  let client = historyClient({ transactions: transactions(450) });
+  let stream = exportAddressHistory(client, ADDRESS, { format: "jsonl" });
+  let iterator = stream[Symbol.asyncIterator]();
+  let { value } = await iterator.next();
+  assert.equal(JSON.parse(value).block_number, 1);
+  // the newest page of each source and the oldest transaction page
+  assert.ok(client.requests() <= 4);
+  let rest = "";
+  for await (let chunk of iterator) {
+    rest += chunk;
+  }
+  assert.equal(lines(rest).length, 449);
+  assert.equal(JSON.parse(lines(rest).pop()).block_number, 450);
+});
+
+test("from and checkpoints skip old pages with a binary search", async () => {
+  let client = historyClient({ transactions: transactions(10000) });
+  let text = await read(
+    exportAddressHistory(client, ADDRESS, { format: "jsonl", from: 9990 })
+  );
+  assert.deepEqual(
+    lines(text).map((line) => JSON.parse(line).block_number),
+    [9990, 9991, 9992, 9993, 9994, 9995, 9996, 9997, 9998, 9999, 10000]
+  );
+  assert.ok(client.requests() < 30);
+});
+
+test("rows without a timestamp use their block or are skipped for date ranges", async () => {
+  let list = transactions(3, (number) => (number === 2 ? null : 1642000000));
+  let transfers = [
+    {
+      tx_hash: list[0].hash,
+      log_index: 1,
+      block_number: 3,
+      timestamp: null,
+      from: ADDRESS,
+      to: RONIN_ADDRESS,
+      value: "5",
+      token_address: "0xa8754b9fa15fc18bb59458815510e40a12cd2014",
+      token_decimals: 0,
+      token_symbol: "SLP",
+      token_type: "ERC20",
+    },
+  ];
+  let client = historyClient({ transactions: list, transfers });
+  let text = await read(
+    exportAddressHistory(client, ADDRESS, {
+      format: "jsonl",
+      from: new Date(0),
+    })
+  );
+  let rows = lines(text).map((line) => JSON.parse(line));
+  // block 2 has no timestamp at all, the transfer takes the one of its transaction
+  assert.deepEqual(
+    rows.map((row) => [row.block_number, row.kind, row.timestamp]),
+    [
+      [1, "transaction", "2022-01-12T15:06:40.000Z"],
+      [3, "transaction", "2022-01-12T15:06:40.000Z"],
+      [3, "erc20", "2022-01-12T15:06:40.000Z"],
+    ]
+  );
+  let all = await read(
+    exportAddressHistory(client, ADDRESS, { format: "jsonl" })
+  );
+  assert.equal(lines(all).length, 4);
+});
+
+test("paginateReverse is not shifted by items pushed in front", async () => {
+  let items = Array.from({ length: 7 }, (_, i) => 7 - i);
+  let fetches = 0;
+  let fetchPage = async (from, size) => {
+    if (++fetches === 3) {
+      items.unshift(8, 9);
+    }
+    return { total: items.length, results: items.slice(from, from + size) };
+  };
+  let oldestFirst = await collect(
+    paginateReverse(fetchPage, (item) => item, { pageSize: 3 })
+  );
+  assert.deepEqual(oldestFirst, [1, 2, 3, 4, 5, 6, 7, 9, 8]);
+});
@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { transactionFee, isFreeTransaction, feeSummary } = require("..");
+const {
+  ADDRESS,
+  RONIN_ADDRESS,
+  fixtureClient,
+  transaction,
+} = require("./helpers");
+
+const RATES = { ron: { usd: 2 } };
+
+test("transactionFee multiplies gas used and gas price", () => {
+  let paid = transaction({ gas_price: "1000000000" });
+  assert.equal(transactionFee(paid), 21000000000000n);
+  assert.equal(isFreeTransaction(paid), false);
+  assert.equal(transactionFee(transaction()), 0n);
+  assert.equal(isFreeTransaction(transaction()), true);
+});
+
+test("feeSummary counts fees, free usage per day and wasted gas", () => {
+  let summary = feeSummary(
+    RONIN_ADDRESS,
+    [
+      transaction({ gas_price: "1000000000" }),
+      transaction({ gas_price: "1000000000", status: 0, gas_used: "50000" }),
+      transaction({ timestamp: 1642798207 + 86400 }),
+      transaction({ from: "0x32950db2a7164ae833121501c797d79e7b79d74c" }),
+    ],
+    "usd",
+    RATES
+  );
+  assert.equal(summary.address, ADDRESS);
+  assert.deepEqual(
+    [summary.transactions, summary.free, summary.paid, summary.failed],
+    [3, 1, 2, 1]
+  );
+  assert.equal(summary.fee, "71000000000000");
+  assert.equal(summary.formattedFee, "0.000071");
+  assert.equal(summary.value, 0.000071 * 2);
+  assert.deepEqual(summary.wasted, {
+    gasUsed: "50000",
+    fee: "50000000000000",
+    formattedFee: "0.00005",
+    value: 0.00005 * 2,
+  });
+  assert.deepEqual(
+    summary.daily.map((day) => [day.date, day.free, day.paid]),
+    [
+      ["2022-01-21", 0, 2],
+      ["2022-01-22", 1, 0],
+    ]
+  );
+});
+
+test("feeSummary skips transactions before since", () => {
+  let summary = feeSummary(
+    ADDRESS,
+    [transaction({ timestamp: 1642798207 + 86400 }), transaction()],
+    "USD",
+    RATES,
+    { since: "2022-01-22" }
+  );
+  assert.equal(summary.transactions, 1);
+  assert.throws(() => feeSummary(ADDRESS, [], "ABC", RATES), TypeError);
+});
+
+test("getFeeSummary reports free transactions of an address", async () => {
+  let summary = await fixtureClient().getFeeSummary(RONIN_ADDRESS);
+  assert.deepEqual(
+    [summary.transactions, summary.free, summary.paid, summary.failed],
+    [2, 2, 0, 1]
+  );
+  assert.equal(summary.fee, "0");
+  assert.equal(summary.value, 0);
+  assert.equal(summary.wasted.gasUsed, "29847");
+  assert.equal(summary.daily.length, 1);
+});
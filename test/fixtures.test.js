@@ -0,0 +1,112 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createClient,
+  createFixtureAdapter,
+  FixtureNotFoundError,
+  HttpError,
+} = require("..");
+const { requestKey } = require("../src/fixtures");
+const { ADDRESS, fixtureClient } = require("./helpers");
+
+let tempDirs = [];
+
+function tempDir() {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), "ronin-fixtures-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+after(() => {
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function upstream(status, data) {
+  let calls = [];
+  let adapter = async (config) => {
+    calls.push(config.url);
+    let response = { status, statusText: "", headers: {}, data, config };
+    if (status >= 400) {
+      let error = new Error(`Request failed with status code ${status}`);
+      error.response = response;
+      error.config = config;
+      throw error;
+    }
+    return response;
+  };
+  return { adapter, calls };
+}
+
+test("requestKey includes method, url with query and body", () => {
+  assert.equal(
+    requestKey({ method: "get", url: "https://x/api", params: { size: 1 } }),
+    "GET https://x/api?size=1"
+  );
+  assert.equal(
+    requestKey({ method: "post", url: "https://x/rpc", data: '{"id":1}' }),
+    'POST https://x/rpc {"id":1}'
+  );
+  assert.equal(
+    requestKey({
+      method: "post",
+      url: "https://x/rpc",
+      data: '{"jsonrpc":"2.0","id":7,"method":"eth_blockNumber","params":[]}',
+    }),
+    'POST https://x/rpc {"jsonrpc":"2.0","method":"eth_blockNumber","params":[]}'
+  );
+});
+
+test("records responses and replays them without sending requests", async () => {
+  let dir = tempDir();
+  let { adapter, calls } = upstream(200, JSON.stringify({ eth: { usd: 1 } }));
+  let recorder = createClient({ fixtures: { mode: "record", dir }, adapter });
+  assert.deepEqual(await recorder.exchangeGetRates(), { eth: { usd: 1 } });
+  assert.equal(fs.readdirSync(dir).length, 1);
+
+  let replayer = createClient({ fixtures: { mode: "replay", dir }, adapter });
+  assert.deepEqual(await replayer.exchangeGetRates(), { eth: { usd: 1 } });
+  assert.equal(calls.length, 1);
+});
+
+test("records and replays error responses", async () => {
+  let dir = tempDir();
+  let { adapter } = upstream(500, "upstream connect error");
+  let options = { retry: false, adapter };
+  let recorder = createClient({
+    ...options,
+    fixtures: { mode: "record", dir },
+  });
+  await assert.rejects(recorder.exchangeGetRates(), HttpError);
+
+  let replayer = createClient({
+    ...options,
+    fixtures: { mode: "replay", dir },
+  });
+  await assert.rejects(replayer.exchangeGetRates(), (e) => {
+    assert.ok(e instanceof HttpError);
+    assert.equal(e.status, 500);
+    assert.equal(e.body, "upstream connect error");
+    return true;
+  });
+});
+
+test("replay fails on requests without a fixture and does not retry", async () => {
+  let client = fixtureClient({ retry: { retries: 3, minDelay: 10000 } });
+  await assert.rejects(client.explorerGetTransactions(ADDRESS, 0, 3), (e) => {
+    assert.ok(e instanceof FixtureNotFoundError);
+    assert.match(e.key, /^GET https:\/\/explorer\.roninchain\.com\/api\/txs\//);
+    assert.match(e.file, /\.json$/);
+    return true;
+  });
+});
+
+test("createFixtureAdapter validates its options", () => {
+  assert.throws(
+    () => createFixtureAdapter({ mode: "live", dir: "x" }),
+    TypeError
+  );
+  assert.throws(() => createFixtureAdapter({ mode: "replay" }), TypeError);
+});
@@ -0,0 +1,115 @@
+const http = require("http");
+const path = require("path");
+const { createClient, KNOWN_CONTRACTS } = require("..");
+
+// synthetic fixtures written by hand in the recorded format, buildId, hashes and chain data are made up
+const FIXTURE_DIR = path.join(__dirname, "fixtures");
+// RONIN_FIXTURES=record npm test replaces them with responses recorded from the live services
+const FIXTURE_MODE = process.env.RONIN_FIXTURES || "replay";
+
+const ADDRESS = "0x3ead4ca7305e30169e42437c74e7c81bdab7b9c3";
+const RONIN_ADDRESS = "ronin:3ead4ca7305e30169e42437c74e7c81bdab7b9c3";
+const TX_HASH =
+  "0x8b7a94b7281326420a54ba3c6ab54f2ef5f0bd527576dfa89bc437a9a5eb9d03";
+
+function fixtureClient(options = {}) {
+  return createClient({
+    fixtures: { mode: FIXTURE_MODE, dir: FIXTURE_DIR },
+    retry: false,
+    ...options,
+  });
+}
+
+// decimals of the ERC20 tokens in KNOWN_CONTRACTS, the other known contracts are ERC721 collections
+const DECIMALS = { WETH: 18, AXS: 18, SLP: 0, USDC: 6, WRON: 18 };
+
+function tokenInfo(token) {
+  // symbol of KNOWN_CONTRACTS, or { address, symbol, name, decimals, type } of any other token
+  if (typeof token !== "string") {
+    return token;
+  }
+  let { address, name } = KNOWN_CONTRACTS[token];
+  let nft = !(token in DECIMALS);
+  return {
+    address,
+    symbol: token,
+    name,
+    decimals: nft ? 0 : DECIMALS[token],
+    type: nft ? "ERC721" : "ERC20",
+  };
+}
+
+function transfer(token, from, to, value, overrides = {}) {
+  // transfer in the explorerGetERCTransfersByRoninAddress shape, value is the token id for ERC721 tokens
+  let info = tokenInfo(token);
+  return {
+    from,
+    to,
+    value,
+    log_index: "1",
+    tx_hash: TX_HASH,
+    block_number: 10404506,
+    timestamp: 1642798195,
+    token_address: info.address,
+    token_decimals: info.decimals,
+    token_name: info.name,
+    token_symbol: info.symbol,
+    token_type: info.type,
+    ...overrides,
+  };
+}
+
+function transaction(overrides = {}) {
+  // transaction in the explorerGetTransactions shape
+  return {
+    hash: TX_HASH,
+    block_number: 10404506,
+    from: ADDRESS,
+    to: KNOWN_CONTRACTS.AXIE.address,
+    input: "0x",
+    value: "0",
+    gas_price: "0",
+    gas_used: "21000",
+    status: 1,
+    timestamp: 1642798195,
+    ...overrides,
+  };
+}
+
+async function stubServer(handler) {
+  // local http server, handler(req, body) returns { status, headers, body } or { status, html }, or a promise of it
+  let server = http.createServer(async (req, res) => {
+    let chunks = [];
+    for await (let chunk of req) {
+      chunks.push(chunk);
+    }
+    let body = chunks.length ? JSON.parse(Buffer.concat(chunks)) : undefined;
+    let reply = await handler(req, body);
+    let html = reply.html !== undefined;
+    res.writeHead(reply.status || 200, {
+      "content-type": html ? "text/html" : "application/json",
+      ...reply.headers,
+    });
+    res.end(html ? reply.html : JSON.stringify(reply.body ?? null));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      // drop requests the handler never answered
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  ADDRESS,
+  RONIN_ADDRESS,
+  TX_HASH,
+  fixtureClient,
+  stubServer,
+  transfer,
+  transaction,
+};
@@ -0,0 +1,120 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isKatanaTransaction, parseKatanaTransaction } = require("..");
+const {
+  ADDRESS,
+  fixtureClient,
+  transfer,
+  transaction: buildTransaction,
+} = require("./helpers");
+
+const SWAP_TX = "0x" + "d4".repeat(32);
+const LIQUIDITY_TX = "0x" + "e5".repeat(32);
+const ROUTER = "0x7d0556d55ca1a92708681e2e231733ebd922597d";
+const SLP_PAIR = "0x8f1c5eda143fa3d1bea8b4e92f33562014d30e0d";
+const USDC_PAIR = "0xa7964991f339668107e2b6a6f6b8e8b74aa9d017";
+const KLP = {
+  address: SLP_PAIR,
+  symbol: "KLP",
+  name: "Katana LP",
+  decimals: 18,
+  type: "ERC20",
+};
+
+const transaction = buildTransaction({ hash: SWAP_TX, to: ROUTER });
+
+test("parseKatanaTx parses a swap into RON from the transfer events", async () => {
+  let activity = await fixtureClient().parseKatanaTx(SWAP_TX);
+  assert.equal(activity.method, "swapExactTokensForRON");
+  assert.equal(activity.type, "swap");
+  let { swap } = activity;
+  assert.deepEqual(
+    [swap.tokenIn.symbol, swap.formattedAmountIn],
+    ["SLP", "540"]
+  );
+  assert.deepEqual(
+    [swap.tokenOut.symbol, swap.formattedAmountOut],
+    ["RON", "8.21"]
+  );
+  assert.equal(swap.price, 8.21 / 540);
+  assert.deepEqual(
+    swap.legs.map((leg) => [leg.pair, leg.tokenOut.symbol]),
+    [[SLP_PAIR, "WRON"]]
+  );
+  assert.equal(activity.liquidity, null);
+});
+
+test("parseKatanaTx parses liquidity added with RON", async () => {
+  let activity = await fixtureClient().parseKatanaTx(LIQUIDITY_TX);
+  assert.equal(activity.type, "addLiquidity");
+  assert.equal(activity.swap, null);
+  assert.equal(activity.liquidity.formattedAmountLp, "5");
+  assert.deepEqual(
+    activity.liquidity.tokens.map((entry) => [
+      entry.token.symbol,
+      entry.formattedAmount,
+    ]),
+    [
+      ["AXS", "1"],
+      ["RON", "30"],
+    ]
+  );
+});
+
+test("parseKatanaTransaction splits multi hop swaps into legs", () => {
+  let activity = parseKatanaTransaction(transaction, {
+    transfers: [
+      transfer("SLP", ADDRESS, SLP_PAIR, "1000", { log_index: "1" }),
+      transfer("WETH", SLP_PAIR, USDC_PAIR, "10000000000000000", {
+        log_index: "2",
+      }),
+      transfer("USDC", USDC_PAIR, ADDRESS, "30000000", { log_index: "3" }),
+    ],
+  });
+  assert.equal(activity.type, "swap");
+  assert.deepEqual(
+    [activity.swap.formattedAmountIn, activity.swap.formattedAmountOut],
+    ["1000", "30"]
+  );
+  assert.equal(activity.swap.price, 0.03);
+  assert.deepEqual(
+    activity.swap.legs.map((leg) => [
+      leg.tokenIn.symbol,
+      leg.tokenOut.symbol,
+      leg.price,
+    ]),
+    [
+      ["SLP", "WETH", 0.00001],
+      ["WETH", "USDC", 3000],
+    ]
+  );
+});
+
+test("parseKatanaTransaction parses removed liquidity", () => {
+  let activity = parseKatanaTransaction(transaction, {
+    transfers: [
+      transfer(KLP, ADDRESS, SLP_PAIR, "2000000000000000000", {
+        log_index: "1",
+      }),
+      transfer("SLP", SLP_PAIR, ADDRESS, "700", { log_index: "3" }),
+      transfer("WETH", SLP_PAIR, ADDRESS, "5000000000000000", {
+        log_index: "4",
+      }),
+    ],
+  });
+  assert.equal(activity.type, "removeLiquidity");
+  assert.equal(activity.liquidity.pair, SLP_PAIR);
+  assert.equal(activity.liquidity.formattedAmountLp, "2");
+  assert.deepEqual(
+    activity.liquidity.tokens.map((entry) => entry.formattedAmount),
+    ["700", "0.005"]
+  );
+});
+
+test("getSwaps only parses Katana router calls", async () => {
+  let client = fixtureClient();
+  let { results } = await client.explorerGetTransactions(ADDRESS);
+  assert.ok(results.every((result) => !isKatanaTransaction(result)));
+  assert.ok(isKatanaTransaction(transaction));
+  assert.deepEqual(await client.getSwaps(ADDRESS), []);
+});
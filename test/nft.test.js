@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { InvalidAddressError, KNOWN_CONTRACTS, createClient } = require("..");
+const { nftHoldings } = require("../src/nft");
+const { ADDRESS, RONIN_ADDRESS, transfer } = require("./helpers");
+
+const ZERO = "0x0000000000000000000000000000000000000000";
+const BUYER = "0xf48a09b0af4b51048df65ac575e01d892cf9dabc";
+
+// received 1, 2 and land 7, sent 1, received 1 back, out of order on purpose
+const transfers = [
+  transfer("AXIE", ADDRESS, BUYER, "1", { block_number: 20 }),
+  transfer("LAND", ZERO, ADDRESS, "7", { block_number: 15 }),
+  transfer("AXIE", ZERO, ADDRESS, "1", { block_number: 10 }),
+  transfer("AXIE", ZERO, ADDRESS, "2", { block_number: 10, log_index: "2" }),
+  transfer("AXIE", BUYER, ADDRESS, "1", { block_number: 30 }),
+  transfer("SLP", ZERO, ADDRESS, "1000", { block_number: 30 }),
+];
+
+test("nftHoldings replays ERC721 transfers in block and log order", () => {
+  let holdings = nftHoldings(RONIN_ADDRESS, { totalNfts: 3 }, transfers);
+  assert.equal(holdings.address, ADDRESS);
+  assert.equal(holdings.count, 3);
+  assert.equal(holdings.consistent, true);
+  assert.deepEqual(
+    holdings.collections.map((collection) => [
+      collection.symbol,
+      collection.name,
+      collection.tokens.map((token) => [token.tokenId, token.blockNumber]),
+    ]),
+    [
+      [
+        "AXIE",
+        "Axie",
+        [
+          ["2", 10],
+          ["1", 30],
+        ],
+      ],
+      ["LAND", "Axie Land", [["7", 15]]],
+    ]
+  );
+});
+
+test("nftHoldings filters by contract but checks every collection against totalNfts", () => {
+  let holdings = nftHoldings(ADDRESS, { totalNfts: 4 }, transfers, {
+    contract: "land",
+  });
+  assert.equal(holdings.count, 3);
+  assert.equal(holdings.consistent, false);
+  assert.deepEqual(
+    holdings.collections.map((collection) => collection.address),
+    [KNOWN_CONTRACTS.LAND.address]
+  );
+  let unchecked = nftHoldings(ADDRESS, null, transfers);
+  assert.equal(unchecked.totalNfts, null);
+  assert.equal(unchecked.consistent, null);
+});
+
+test("nftHoldings drops collections that were sold out", () => {
+  let sold = [
+    transfer("ITEM", ZERO, ADDRESS, "5", { block_number: 10 }),
+    transfer("ITEM", ADDRESS, BUYER, "5", { block_number: 11 }),
+    transfer("ITEM", ADDRESS, ADDRESS, "6", { block_number: 12 }),
+  ];
+  let holdings = nftHoldings(ADDRESS, { totalNfts: 0 }, sold);
+  assert.equal(holdings.count, 0);
+  assert.deepEqual(holdings.collections, []);
+});
+
+function historyClient(account, history) {
+  // serves the account and the full ERC721 history without the explorer, records every call
+  let client = createClient();
+  client.calls = [];
+  client.explorerGetAccount = async (address) => {
+    client.calls.push(["explorerGetAccount", address]);
+    return account;
+  };
+  client.getAllTokenTransfers = async (address, options) => {
+    client.calls.push(["getAllTokenTransfers", address, options]);
+    return history;
+  };
+  return client;
+}
+
+test("getNftHoldings fetches the account and the full ERC721 history", async () => {
+  let client = historyClient({ totalNfts: 3 }, transfers);
+  let holdings = await client.getNftHoldings(RONIN_ADDRESS, {
+    contract: "AXIE",
+  });
+  assert.deepEqual(client.calls, [
+    ["explorerGetAccount", RONIN_ADDRESS],
+    ["getAllTokenTransfers", RONIN_ADDRESS, { maxItems: Infinity, erc: 721 }],
+  ]);
+  assert.equal(holdings.consistent, true);
+  assert.deepEqual(
+    holdings.collections.map((collection) => [
+      collection.symbol,
+      collection.count,
+    ]),
+    [["AXIE", 2]]
+  );
+});
+
+test("getNftHoldings rejects an invalid contract before fetching", async () => {
+  let client = historyClient({ totalNfts: 3 }, transfers);
+  await assert.rejects(
+    client.getNftHoldings(RONIN_ADDRESS, { contract: "nope" }),
+    InvalidAddressError
+  );
+  assert.deepEqual(client.calls, []);
+});
@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { collect, paginate } = require("../src/pagination");
+const { ADDRESS, fixtureClient } = require("./helpers");
+
+test("iterateTokenTransfers walks all pages", async () => {
+  let transfers = await collect(
+    fixtureClient().iterateTokenTransfers(ADDRESS, { erc: 20, pageSize: 2 })
+  );
+  assert.equal(transfers.length, 5);
+  assert.equal(new Set(transfers.map((t) => t.tx_hash + t.log_index)).size, 5);
+});
+
+test("maxItems stops fetching further pages", async () => {
+  let transfers = await collect(
+    fixtureClient().iterateTokenTransfers(ADDRESS, { pageSize: 2, maxItems: 3 })
+  );
+  assert.equal(transfers.length, 3);
+});
+
+test("getAllTransactions and getAllTokenTransfers collect every page", async () => {
+  let client = fixtureClient();
+  assert.equal((await client.getAllTransactions(ADDRESS)).length, 2);
+  assert.equal((await client.getAllTokenTransfers(ADDRESS)).length, 5);
+  assert.deepEqual(
+    await client.getAllTokenTransfers(ADDRESS, { erc: 721 }),
+    []
+  );
+});
+
+test("paginate skips the items shifted onto the next page by newer items", async () => {
+  // newest first, two items are pushed in front after the first page
+  let items = ["e", "d", "c", "b", "a"];
+  let offsets = [];
+  let fetchPage = async (from, size) => {
+    offsets.push(from);
+    let page = { total: items.length, results: items.slice(from, from + size) };
+    if (offsets.length === 1) {
+      items = ["g", "f", ...items];
+    }
+    return page;
+  };
+  let keys = await collect(paginate(fetchPage, (key) => key, { pageSize: 3 }));
+  assert.deepEqual(keys, ["e", "d", "c", "b", "a"]);
+  assert.deepEqual(offsets, [0, 3, 6]);
+});
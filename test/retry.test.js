@@ -0,0 +1,147 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createClient, RateLimiter, HttpError, RateLimitError } = require("..");
+const { ADDRESS, stubServer } = require("./helpers");
+
+const PAGE = { total: 0, results: [] };
+
+function stubClient(url, options = {}) {
+  return createClient({ explorerUrl: url, ...options });
+}
+
+function replies(...list) {
+  // answers each request with the next reply, the last one repeats
+  let requests = 0;
+  let handler = () => list[Math.min(requests++, list.length - 1)];
+  handler.count = () => requests;
+  return handler;
+}
+
+test("429 is retried after the Retry-After delay", async () => {
+  let handler = replies(
+    { status: 429, headers: { "retry-after": "0.05" } },
+    { body: PAGE }
+  );
+  let stub = await stubServer(handler);
+  try {
+    let retries = [];
+    let client = stubClient(stub.url, {
+      retry: { onRetry: (retry) => retries.push(retry) },
+    });
+    let started = Date.now();
+    assert.deepEqual(await client.explorerGetTransactions(ADDRESS), PAGE);
+    assert.ok(Date.now() - started >= 45);
+    assert.equal(handler.count(), 2);
+    assert.equal(retries.length, 1);
+    assert.equal(retries[0].attempt, 1);
+    assert.equal(retries[0].delay, 50);
+    assert.ok(retries[0].error instanceof RateLimitError);
+    assert.equal(
+      retries[0].url,
+      `${stub.url}/api/txs/${ADDRESS}?from=0&size=10`
+    );
+  } finally {
+    await stub.close();
+  }
+});
+
+test("5xx Retry-After is honoured and capped at maxDelay", async () => {
+  let handler = replies(
+    { status: 503, headers: { "retry-after": "3600" } },
+    { body: PAGE }
+  );
+  let stub = await stubServer(handler);
+  try {
+    let delays = [];
+    let client = stubClient(stub.url, {
+      retry: { maxDelay: 20, onRetry: ({ delay }) => delays.push(delay) },
+    });
+    await client.explorerGetTransactions(ADDRESS);
+    assert.deepEqual(delays, [20]);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("5xx without Retry-After backs off exponentially with jitter", async () => {
+  let handler = replies({ status: 500 }, { status: 502 }, { body: PAGE });
+  let stub = await stubServer(handler);
+  try {
+    let delays = [];
+    let client = stubClient(stub.url, {
+      retry: { minDelay: 10, onRetry: ({ delay }) => delays.push(delay) },
+    });
+    await client.explorerGetTransactions(ADDRESS);
+    assert.equal(handler.count(), 3);
+    assert.ok(delays[0] >= 5 && delays[0] <= 10);
+    assert.ok(delays[1] >= 10 && delays[1] <= 20);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("retries give up with the last error and skip other statuses", async () => {
+  let handler = replies({ status: 503 });
+  let stub = await stubServer(handler);
+  try {
+    let client = stubClient(stub.url, {
+      retry: { retries: 2, minDelay: 1, jitter: false },
+    });
+    await assert.rejects(client.explorerGetTransactions(ADDRESS), (e) => {
+      assert.ok(e instanceof HttpError);
+      assert.equal(e.status, 503);
+      return true;
+    });
+    assert.equal(handler.count(), 3);
+  } finally {
+    await stub.close();
+  }
+  let badRequest = replies({ status: 400 });
+  stub = await stubServer(badRequest);
+  try {
+    await assert.rejects(
+      stubClient(stub.url).explorerGetTransactions(ADDRESS),
+      HttpError
+    );
+    assert.equal(badRequest.count(), 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("maxConcurrency caps requests in flight", async () => {
+  let active = 0;
+  let peak = 0;
+  let stub = await stubServer(async () => {
+    peak = Math.max(peak, ++active);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    active--;
+    return { body: PAGE };
+  });
+  try {
+    let client = stubClient(stub.url, { rateLimit: { maxConcurrency: 2 } });
+    let pages = await Promise.all(
+      Array.from({ length: 6 }, () => client.explorerGetTransactions(ADDRESS))
+    );
+    assert.equal(pages.length, 6);
+    assert.equal(peak, 2);
+    assert.equal(client.limiter.active, 0);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("RateLimiter starts tasks at requestsPerSecond after the burst", async () => {
+  let limiter = new RateLimiter({ requestsPerSecond: 50, burst: 2 });
+  let started = [];
+  let t0 = Date.now();
+  await Promise.all(
+    Array.from({ length: 4 }, (_, i) =>
+      limiter.schedule(async () => started.push(Date.now() - t0))
+    )
+  );
+  assert.ok(started[1] < 15);
+  // 2 tokens of burst, then one every 20ms
+  assert.ok(started[3] >= 35);
+  assert.equal(limiter.pending, 0);
+});
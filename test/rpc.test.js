@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { NotFoundError, RpcError } = require("..");
+const { ADDRESS, TX_HASH, fixtureClient } = require("./helpers");
+
+function rpcClient(options = {}) {
+  return fixtureClient({ backend: "rpc", ...options });
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.map((key) => [key, object[key]]));
+}
+
+test("rpc backend returns accounts in the explorer shape", async () => {
+  let account = await rpcClient().explorerGetAccount(ADDRESS);
+  let explorer = await fixtureClient().explorerGetAccount(ADDRESS);
+  assert.deepEqual(Object.keys(account).sort(), Object.keys(explorer).sort());
+  assert.deepEqual(
+    pick(account, ["address", "balance", "transactionCount"]),
+    pick(explorer, ["address", "balance", "transactionCount"])
+  );
+  // the node does not know explorer statistics
+  assert.equal(account.totalNfts, null);
+  assert.equal(account.blockNumber, 10405229);
+});
+
+test("rpc backend returns blocks in the explorer shape", async () => {
+  let block = await rpcClient().explorerGetBlockDetails(1);
+  let explorer = await fixtureClient().explorerGetBlockDetails(1);
+  assert.deepEqual(Object.keys(block).sort(), Object.keys(explorer).sort());
+  let { published, ...rest } = explorer;
+  assert.deepEqual({ ...block, published }, { ...rest, published });
+  assert.equal(block.published, null);
+});
+
+test("rpc backend returns transactions in the explorer shape", async () => {
+  let transaction = await rpcClient().explorerGetTransactionDetails(TX_HASH);
+  let explorer = await fixtureClient().explorerGetTransactionDetails(TX_HASH);
+  assert.deepEqual(
+    Object.keys(transaction).sort(),
+    Object.keys(explorer).sort()
+  );
+  let { published, ...rest } = explorer;
+  assert.deepEqual({ ...transaction, published }, { ...rest, published });
+  await assert.rejects(
+    rpcClient().explorerGetTransactionDetails("0x" + "0".repeat(64)),
+    NotFoundError
+  );
+});
+
+test("rpc backend normalizes to the same models", async () => {
+  let transaction = await rpcClient({
+    normalized: true,
+  }).explorerGetTransactionDetails(TX_HASH);
+  let explorer = await fixtureClient({
+    normalized: true,
+  }).explorerGetTransactionDetails(TX_HASH);
+  let { published, ...rest } = explorer;
+  assert.deepEqual({ ...transaction, published }, { ...rest, published });
+});
+
+test("getTransactionReceipt returns the receipt or throws RpcError", async () => {
+  let client = rpcClient();
+  let receipt = await client.rpc.getTransactionReceipt(TX_HASH);
+  let transaction = await fixtureClient().explorerGetTransactionDetails(
+    TX_HASH
+  );
+  assert.deepEqual(receipt, {
+    transactionHash: TX_HASH,
+    blockHash: transaction.blockHash,
+    blockNumber: transaction.blockNumber,
+    txIndex: transaction.txIndex,
+    from: transaction.from,
+    to: transaction.to,
+    status: 0,
+    gasUsed: transaction.gasUsed,
+    cumulativeGasUsed: transaction.cumulativeGasUsed,
+    contractAddress: null,
+    logs: [],
+  });
+  await assert.rejects(client.rpc.getTransactionReceipt("0xbad"), (e) => {
+    assert.ok(e instanceof RpcError);
+    assert.equal(e.code, -32602);
+    return true;
+  });
+});
+
+test("rpc fixtures replay whatever the call order", async () => {
+  let client = rpcClient();
+  let [account, block] = await Promise.all([
+    client.explorerGetAccount(ADDRESS),
+    client.explorerGetBlockDetails(1),
+  ]);
+  assert.equal(account.address, ADDRESS);
+  assert.equal(block.number, 1);
+});
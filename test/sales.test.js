@@ -0,0 +1,114 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { matchSales, salesStats } = require("..");
+const { ADDRESS, TX_HASH, fixtureClient, transfer } = require("./helpers");
+
+const AXIE = "0x32950db2a7164ae833121501c797d79e7b79d74c";
+const MARKETPLACE = "0x213073989821f738a7ba3520c3d31a1f9ad31bbd";
+const SELLER = "0xf48a09b0af4b51048df65ac575e01d892cf9dabc";
+
+const nft = transfer("AXIE", SELLER, ADDRESS, "2673559", { log_index: "3" });
+const proceeds = transfer("WETH", ADDRESS, SELLER, "19150000000000000");
+const fee = transfer("WETH", ADDRESS, MARKETPLACE, "850000000000000");
+
+test("matchSales pairs an ERC721 transfer with the WETH paid by the buyer", () => {
+  let [sale] = matchSales([fee, nft, proceeds]);
+  assert.deepEqual(sale, {
+    txHash: TX_HASH,
+    blockNumber: 10404506,
+    timestamp: 1642798195,
+    contract: AXIE,
+    collection: "AXIE",
+    tokenId: "2673559",
+    seller: SELLER,
+    buyer: ADDRESS,
+    priceWeth: "20000000000000000",
+    formattedPrice: "0.02",
+    fee: "850000000000000",
+    formattedFee: "0.00085",
+  });
+});
+
+test("matchSales reads the price of the seller's sales from settleAuction", async () => {
+  let [partial] = matchSales([nft, proceeds], { address: SELLER });
+  assert.equal(partial.priceWeth, "19150000000000000");
+  assert.equal(partial.fee, null);
+  let transaction = await fixtureClient().explorerGetTransactionDetails(
+    TX_HASH
+  );
+  let [sale] = matchSales([nft, proceeds], {
+    address: SELLER,
+    transactions: [transaction],
+  });
+  assert.equal(sale.priceWeth, "20000000000000000");
+  assert.equal(sale.fee, "850000000000000");
+});
+
+test("matchSales skips gifts, mints and bundles", () => {
+  assert.deepEqual(matchSales([nft]), []);
+  let mint = transfer(
+    "AXIE",
+    "0x0000000000000000000000000000000000000000",
+    ADDRESS,
+    "1"
+  );
+  assert.deepEqual(matchSales([mint, proceeds]), []);
+  let second = transfer("AXIE", SELLER, ADDRESS, "2673560", { log_index: "4" });
+  assert.deepEqual(matchSales([nft, second, proceeds, fee]), []);
+  assert.deepEqual(
+    matchSales([nft, proceeds, fee], { contracts: ["LAND"] }),
+    []
+  );
+});
+
+test("salesStats aggregates volume, median and floor per collection", () => {
+  let sale = matchSales([nft, proceeds, fee])[0];
+  let stats = salesStats([
+    sale,
+    { ...sale, priceWeth: "30000000000000000" },
+    { ...sale, priceWeth: "10000000000000000" },
+    { ...sale, priceWeth: "50000000000000000" },
+  ]);
+  assert.deepEqual(stats, [
+    {
+      address: AXIE,
+      collection: "AXIE",
+      sales: 4,
+      volume: "110000000000000000",
+      formattedVolume: "0.11",
+      median: "25000000000000000",
+      formattedMedian: "0.025",
+      floor: "10000000000000000",
+      formattedFloor: "0.01",
+    },
+  ]);
+});
+
+test("getCollectionStats reads sales from Transfer logs", async () => {
+  let stats = await fixtureClient().getCollectionStats({
+    fromBlock: 1,
+    toBlock: 3,
+  });
+  assert.deepEqual([stats.fromBlock, stats.toBlock, stats.sales], [1, 3, 2]);
+  assert.deepEqual(
+    stats.collections.map((collection) => [
+      collection.collection,
+      collection.formattedFloor,
+    ]),
+    [
+      ["LAND", "0.1"],
+      ["AXIE", "0.02"],
+    ]
+  );
+  let sales = await fixtureClient().getCollectionSales({
+    fromBlock: 1,
+    toBlock: 3,
+  });
+  assert.equal(sales[1].fee, "850000000000000");
+  assert.ok(sales.every((sale) => Number.isInteger(sale.timestamp)));
+});
+
+test("getSales returns no sales without ERC721 transfers", async () => {
+  assert.deepEqual(await fixtureClient().getSales(ADDRESS), []);
+  await assert.rejects(fixtureClient().getSales(ADDRESS, { contract: "nope" }));
+});
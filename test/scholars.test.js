@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { slpClaims, revenueShare } = require("..");
+const {
+  ADDRESS,
+  RONIN_ADDRESS,
+  fixtureClient,
+  transfer,
+} = require("./helpers");
+
+const ZERO = "0x0000000000000000000000000000000000000000";
+const MANAGER = "0xd0e1739f15e09a5f3cdf8bbd6eb8a532e2d9d895";
+const PAYOUT = "0xa99cacd1427f493a95b585a5c7989a08c86a616b";
+
+const transfers = [
+  transfer("SLP", ZERO, ADDRESS, "1000", { block_number: 10 }),
+  transfer("SLP", ADDRESS, MANAGER, "600", { block_number: 11 }),
+  transfer("SLP", ADDRESS, PAYOUT, "400", { block_number: 12 }),
+  transfer("SLP", ZERO, ADDRESS, "500", { block_number: 20 }),
+  transfer("SLP", ADDRESS, MANAGER, "250", { block_number: 21 }),
+  transfer("SLP", ZERO, MANAGER, "999", { block_number: 22 }),
+];
+
+test("slpClaims returns SLP minted to the address", () => {
+  let claims = slpClaims(RONIN_ADDRESS, transfers);
+  assert.deepEqual(
+    claims.map((claim) => [claim.blockNumber, claim.amount]),
+    [
+      [20, "500"],
+      [10, "1000"],
+    ]
+  );
+  assert.equal(slpClaims(ADDRESS, transfers, { from: 15 }).length, 1);
+  assert.equal(slpClaims(ADDRESS, transfers, { to: 15 }).length, 1);
+});
+
+test("revenueShare flags periods paid differently than the ratios", () => {
+  let share = revenueShare(ADDRESS, transfers, {
+    managerAddress: MANAGER,
+    ratios: { manager: 0.6, scholar: 0.4 },
+    scholarPayoutAddress: PAYOUT,
+  });
+  assert.equal(share.claimed, "1500");
+  assert.equal(share.discrepancies, 1);
+  let [second, first] = share.periods;
+  assert.equal(first.discrepancy, false);
+  assert.deepEqual(
+    first.payouts.map((entry) => [entry.recipient, entry.actual]),
+    [
+      ["manager", "600"],
+      ["scholar", "400"],
+    ]
+  );
+  assert.deepEqual(
+    second.payouts.map((entry) => [entry.expected, entry.difference, entry.ok]),
+    [
+      ["300", "-50", false],
+      ["200", "-200", false],
+    ]
+  );
+  assert.deepEqual(
+    share.totals.map((entry) => [entry.expected, entry.actual]),
+    [
+      ["900", "850"],
+      ["600", "400"],
+    ]
+  );
+});
+
+test("revenueShare counts SLP kept in the scholar account", () => {
+  let share = revenueShare(ADDRESS, transfers.slice(0, 2), {
+    managerAddress: MANAGER,
+    ratios: { manager: 0.6, scholar: 0.4 },
+  });
+  assert.equal(share.periods[0].payouts[1].actual, "400");
+  assert.equal(share.discrepancies, 0);
+});
+
+test("revenueShare rejects invalid ratios", () => {
+  assert.throws(() => revenueShare(ADDRESS, [], {}), TypeError);
+  assert.throws(
+    () => revenueShare(ADDRESS, [], { ratios: { manager: 0.6 } }),
+    TypeError
+  );
+  assert.throws(
+    () =>
+      revenueShare(ADDRESS, [], {
+        managerAddress: MANAGER,
+        ratios: { manager: 0.7, scholar: 0.4 },
+      }),
+    TypeError
+  );
+});
+
+test("getSlpClaims and computeRevenueShare read the ERC20 history", async () => {
+  let claims = await fixtureClient().getSlpClaims(RONIN_ADDRESS);
+  assert.deepEqual(
+    claims.map((claim) => claim.amount),
+    ["150", "390"]
+  );
+  let share = await fixtureClient().computeRevenueShare(RONIN_ADDRESS, {
+    managerAddress: MANAGER,
+    ratios: { manager: 0.5, scholar: 0.5 },
+  });
+  assert.equal(share.claimed, "540");
+  assert.equal(share.discrepancies, 2);
+  await assert.rejects(
+    fixtureClient().computeRevenueShare(RONIN_ADDRESS, { ratios: {} }),
+    TypeError
+  );
+});
@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { toBigInt, formatUnits, parseUnits } = require("..");
+
+test("formatUnits formats raw amounts without losing precision", () => {
+  assert.equal(formatUnits("850000000000000", 18), "0.00085");
+  assert.equal(
+    formatUnits("343486206907896403930354", 18),
+    "343486.206907896403930354"
+  );
+  assert.equal(formatUnits("540", 0), "540");
+  assert.equal(formatUnits(-1500000n, 6), "-1.5");
+});
+
+test("parseUnits is the inverse of formatUnits", () => {
+  assert.equal(parseUnits("0.00085", 18), 850000000000000n);
+  assert.equal(parseUnits("1", 6), 1000000n);
+  assert.throws(() => parseUnits("0.0000001", 6), TypeError);
+});
+
+test("toBigInt rejects amounts that are not integers", () => {
+  assert.equal(toBigInt("19150000000000000"), 19150000000000000n);
+  assert.throws(() => toBigInt(1.5), TypeError);
+  assert.throws(() => toBigInt(2 ** 60), TypeError);
+});
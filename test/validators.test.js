@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseExtraData, validatorStats } = require("..");
+const { fixtureClient } = require("./helpers");
+
+const MINER = "0xf224beff587362a88d859e899d0d80c080e1e812";
+const OTHER_MINER = "0x4a4bc674a97737376cfe990ae2fe0d2b6e738393";
+
+test("parseExtraData splits vanity and seal", async () => {
+  let block = await fixtureClient().explorerGetBlockDetails(1);
+  let extraData = parseExtraData(block.extraData);
+  assert.equal(extraData.bytes.length, 97);
+  assert.equal(extraData.client, "geth/go1.15.5/linux");
+  assert.equal(extraData.version, "2.1.0");
+  assert.deepEqual(extraData.validators, []);
+  assert.equal(extraData.seal.length, 2 + 65 * 2);
+  assert.equal(parseExtraData(extraData.hex).seal, extraData.seal);
+});
+
+test("parseExtraData reads validators of checkpoint blocks", () => {
+  let vanity = Array(32).fill(0);
+  let seal = Array(65).fill(1);
+  let validators = [Array(20).fill(0xaa), Array(20).fill(0xbb)];
+  let extraData = parseExtraData([...vanity, ...validators.flat(), ...seal]);
+  assert.deepEqual(extraData.validators, [
+    "0x" + "aa".repeat(20),
+    "0x" + "bb".repeat(20),
+  ]);
+  assert.equal(extraData.client, null);
+  assert.throws(() => parseExtraData("garbage"), TypeError);
+});
+
+test("validatorStats counts blocks and missed turns per miner", async () => {
+  let client = fixtureClient();
+  let blocks = [
+    await client.explorerGetBlockDetails(1),
+    await client.explorerGetBlockDetails(2),
+    await client.explorerGetBlockDetails(3),
+  ];
+  let stats = validatorStats(blocks);
+  assert.deepEqual([stats.fromBlock, stats.toBlock, stats.blocks], [1, 3, 3]);
+  assert.deepEqual(stats.validatorSet, [OTHER_MINER, MINER]);
+  let [other, miner] = stats.validators;
+  assert.equal(other.address, OTHER_MINER);
+  assert.equal(other.blocks, 2);
+  assert.equal(other.gasUsed, "105000");
+  assert.equal(other.outOfTurn, 1);
+  assert.equal(miner.missedTurns, 1);
+  assert.equal(miner.client, "geth/go1.15.5/linux");
+});
+
+test("getValidatorStats fetches the block range", async () => {
+  let stats = await fixtureClient().getValidatorStats({
+    fromBlock: 1,
+    toBlock: 3,
+  });
+  assert.equal(stats.blocks, 3);
+  assert.deepEqual(
+    stats.validators.map((validator) => validator.blocks),
+    [2, 1]
+  );
+});
@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createClient, TimeoutError, TransactionFailedError } = require("..");
+const { TX_HASH, fixtureClient, stubServer } = require("./helpers");
+
+const SWAP_HASH = "0x" + "d4".repeat(32);
+
+test("waitForTransaction resolves once the transaction is confirmed", async () => {
+  let transaction = await fixtureClient().waitForTransaction(SWAP_HASH, {
+    timeout: 5000,
+  });
+  assert.equal(transaction.hash, SWAP_HASH);
+  assert.equal(transaction.success, true);
+  assert.equal(transaction.confirmations, 1);
+});
+
+test("waitForTransaction throws TransactionFailedError for status 0", async () => {
+  await assert.rejects(
+    fixtureClient().waitForTransaction(TX_HASH, { timeout: 5000 }),
+    (e) => {
+      assert.ok(e instanceof TransactionFailedError);
+      assert.equal(e.hash, TX_HASH);
+      assert.equal(e.transaction.success, false);
+      return true;
+    }
+  );
+});
+
+test("waitForTransaction times out while the hash is unknown", async () => {
+  let started = Date.now();
+  await assert.rejects(
+    fixtureClient().waitForTransaction("0x" + "0".repeat(64), {
+      timeout: 100,
+      interval: 20,
+    }),
+    TimeoutError
+  );
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("waitForTransaction times out while a request is stalled", async () => {
+  // the stub never answers, the client has no request timeout
+  let stub = await stubServer(() => new Promise(() => {}));
+  try {
+    let client = createClient({ explorerUrl: stub.url, buildId: "stub" });
+    let started = Date.now();
+    await assert.rejects(
+      client.waitForTransaction(SWAP_HASH, { timeout: 100 }),
+      TimeoutError
+    );
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    await stub.close();
+  }
+});
@@ -0,0 +1,150 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { Watcher, BlockWatcher, AddressWatcher, HttpError } = require("..");
+const { ADDRESS, fixtureClient } = require("./helpers");
+
+function block(number, hash = `0x${number}`, confirmed = false) {
+  return { number, hash, confirmed };
+}
+
+function blocksClient(pages) {
+  // serves one latest blocks page per poll, the last one repeats
+  let polls = 0;
+  return {
+    normalized: false,
+    explorerGetLatestBlocks: async () => ({
+      results: pages[Math.min(polls++, pages.length - 1)],
+    }),
+    explorerGetBlockDetails: async (number) => ({
+      number,
+      hash: `0x${number}`,
+      parentHash: `0x${number - 1}`,
+      confirmed: true,
+    }),
+  };
+}
+
+test("BlockWatcher and AddressWatcher extend the exported Watcher", () => {
+  let client = fixtureClient();
+  assert.ok(new BlockWatcher(client) instanceof Watcher);
+  assert.ok(new AddressWatcher(client, ADDRESS) instanceof Watcher);
+});
+
+test("BlockWatcher emits blocks from fromBlock in order", async () => {
+  let watcher = new BlockWatcher(fixtureClient(), {
+    size: 10,
+    fromBlock: 10405228,
+  });
+  let numbers = [];
+  watcher.on("block", (block, meta) => {
+    numbers.push(block.number);
+    assert.deepEqual(meta, { reorg: false, confirmation: false });
+  });
+  watcher.running = true;
+  await watcher.poll();
+  await watcher.poll();
+  assert.deepEqual(numbers, [10405228, 10405229]);
+  assert.equal(watcher.lastNumber, 10405229);
+});
+
+test("BlockWatcher backfills, reports gaps, reorgs and confirmations", async () => {
+  let watcher = new BlockWatcher(
+    blocksClient([
+      [block(10), block(9)],
+      [block(14), block(13)],
+      [block(14, "0x14b", true), block(13)],
+      [block(30)],
+    ]),
+    { maxBackfill: 5 }
+  );
+  let events = [];
+  watcher.on("block", (block, { reorg, confirmation }) =>
+    events.push([block.number, reorg, confirmation])
+  );
+  watcher.on("gap", (gap) => events.push(["gap", gap.from, gap.to]));
+  watcher.running = true;
+  // the first poll only records the head
+  await watcher.poll();
+  assert.deepEqual(events, []);
+  await watcher.poll();
+  assert.deepEqual(events, [
+    [11, false, false],
+    [12, false, false],
+    [13, false, false],
+    [14, false, false],
+  ]);
+  events = [];
+  await watcher.poll();
+  assert.deepEqual(events, [[14, true, true]]);
+  events = [];
+  await watcher.poll();
+  assert.deepEqual(events[0], ["gap", 15, 25]);
+  assert.deepEqual(
+    events.slice(1).map(([number]) => number),
+    [26, 27, 28, 29, 30]
+  );
+});
+
+test("AddressWatcher emits only activity after the first poll", async () => {
+  let transactions = [{ hash: "0xa", block_hash: "0x1", confirmed: false }];
+  let client = {
+    explorerGetTransactions: async () => ({
+      total: transactions.length,
+      results: [...transactions],
+    }),
+  };
+  let watcher = new AddressWatcher(client, ADDRESS, { ercs: [] });
+  let events = [];
+  watcher.on("transaction", (transaction, { reorg, confirmation }) =>
+    events.push([transaction.hash, reorg, confirmation])
+  );
+  await watcher.poll();
+  assert.deepEqual(events, []);
+  transactions = [
+    { hash: "0xb", block_hash: "0x2", confirmed: false },
+    { hash: "0xa", block_hash: "0x1", confirmed: true },
+  ];
+  await watcher.poll();
+  assert.deepEqual(events, [
+    ["0xa", false, true],
+    ["0xb", false, false],
+  ]);
+});
+
+test("AddressWatcher polls transactions and transfers of the fixtures", async () => {
+  let watcher = new AddressWatcher(fixtureClient(), ADDRESS, { size: 10 });
+  let events = 0;
+  watcher.on("transaction", () => events++);
+  watcher.on("transfer", () => events++);
+  await watcher.poll();
+  await watcher.poll();
+  assert.equal(events, 0);
+});
+
+test("failed polls emit error and polling continues", async () => {
+  let watcher = new BlockWatcher(fixtureClient(), { size: 1, interval: 5 });
+  let errors = [];
+  watcher.on("error", (e) => errors.push(e));
+  watcher.start();
+  while (errors.length < 2) {
+    await once(watcher, "error");
+  }
+  assert.ok(watcher.running);
+  assert.ok(errors[0] instanceof HttpError);
+  assert.equal(watcher.lastError, errors[1]);
+  watcher.stop();
+  assert.equal(watcher.running, false);
+});
+
+test("without error listeners a failed poll stops the watcher", async () => {
+  let watcher = new BlockWatcher(fixtureClient(), { size: 1, interval: 5 });
+  // events.once would add an error listener itself
+  let stopped = new Promise((resolve) => watcher.on("stop", resolve));
+  watcher.start();
+  let error = await stopped;
+  assert.ok(error instanceof HttpError);
+  assert.equal(error.status, 500);
+  assert.equal(watcher.lastError, error);
+  assert.equal(watcher.running, false);
+});